@@ -1,22 +1,48 @@
 // ============================================================================
-// ACS API SERVICE - ENHANCED WITH 24-HOUR CACHE TTL & CORS PROXY
+// ACS API SERVICE - STALE-WHILE-REVALIDATE CACHE & CORS PROXY CHAIN
 // ============================================================================
 
 class ACSAPIService {
-    constructor(apiKey) {
+    constructor(apiKey, options = {}) {
         this.apiKey = apiKey;
-        this.baseUrl = 'https://api.census.gov/data/2022/acs/acs5';
-        this.cacheDuration = 90 * 24 * 60 * 60 * 1000; // 24 hours (changed from 90 days)
+        this.metricRegistry = options.metricRegistry || new ACSMetricRegistry();
+        // Offline: serve only cached/imported records, never call the API
+        this.offline = !!options.offline;
+        this.setCacheTtl(options.cacheTtlDays || ACSAPIService.DEFAULT_CACHE_TTL_DAYS);
+        // Serve expired records immediately and refresh them in the background
+        this.staleWhileRevalidate = options.staleWhileRevalidate !== false;
+        this.onRevalidated = options.onRevalidated || null;
+        // Refreshes running per "vintage_geography", and ZIPs that went stale
+        // while one was running
+        this.revalidating = new Set();
+        this.revalidationQueue = new Map();
         this.batchSize = 30; // Reduced to avoid URL length limits
-        this.cachePrefix = 'acs_2022_';
-        this.proxyUrls = [
-            'https://corsproxy.io/?',
-            'https://api.allorigins.win/raw?url=',
-            ''
-        ];
-        this.currentProxyIndex = 0;
-        
-        this.dbName = 'acs_data_cache_v3'; // Incremented version
+        this.minBatchSize = 5; // Failed batches are split down to this size
+        this.concurrency = options.concurrency || ACSRequestScheduler.DEFAULT_CONCURRENCY;
+        
+        // ZIPs still outstanding from an interrupted load, per vintage and geography.
+        // Workers have no localStorage, so the worker's copy posts changes back.
+        this.queueStorageKey = 'acs_fetch_queue_v1';
+        this.queueStorage = options.queueStorage || ACSAPIService.localQueueStorage(this.queueStorageKey);
+        this.queueSavedAt = 0;
+        this.lastFetchReport = null;
+        
+        // Recent classified request failures
+        this.diagnostics = options.diagnostics || [];
+        this.maxDiagnostics = 50;
+        this.onDiagnostic = options.onDiagnostic || null;
+        
+        // Local mock API (tools/mockCensusServer.js) standing in for api.census.gov
+        this.fixtureServer = null;
+        this.fixtureProxy = null;
+        this.setFixtureServer(options.fixtureServer || null);
+        this.setVintage(options.vintage || ACSAPIService.DEFAULT_VINTAGE);
+        this.setGeography(options.geography || ACSGeography.DEFAULT_LEVEL);
+        // Shared across vintage siblings so proxy health is tracked once
+        this.proxyChain = options.proxyChain || new ACSProxyChain();
+        
+        this.dbName = ACSAPIService.DB_NAME;
+        this.dbVersion = ACSAPIService.DB_VERSION;
         this.storeName = 'census_data';
         this.db = null;
         this.cachePromise = null;
@@ -31,6 +57,204 @@ class ACSAPIService {
         // Memory cache for frequently accessed data
         this.memoryCache = new Map();
         this.memoryCacheSize = 500;
+        
+        // Fetch, parse and cache run in the ACS worker when one is available
+        this.worker = options.worker || null;
+        this.sibling = !!options.sibling;
+        if (this.worker && !this.sibling) {
+            this.attachWorker(this.worker);
+        }
+    }
+
+    static get VINTAGES() {
+        return [2015, 2016, 2017, 2018, 2019, 2020, 2021, 2022, 2023];
+    }
+
+    static get DEFAULT_VINTAGE() {
+        return 2022;
+    }
+
+    static get DEFAULT_CACHE_TTL_DAYS() {
+        return 90;
+    }
+
+    static get CACHE_TTL_OPTIONS() {
+        return [1, 7, 30, 90, 365];
+    }
+
+    // The API answers at most 50 `get=` variables per request, NAME included
+    static get MAX_VARIABLES_PER_REQUEST() {
+        return 50;
+    }
+
+    // Stable database name; schema changes bump DB_VERSION and migrate in place
+    static get DB_NAME() {
+        return 'acs_data_cache';
+    }
+
+    static get DB_VERSION() {
+        return 4;
+    }
+
+    // Databases from earlier releases, migrated once and then deleted
+    static get LEGACY_DB_NAMES() {
+        return ['acs_data_cache_v3', 'acs_data_cache_v2', 'acs_data_cache_v1'];
+    }
+
+    // Bump when the cached record shape changes (independent of metrics).
+    // v3: records carry flags for annotated / top-coded values
+    static get CACHE_SCHEMA_VERSION() {
+        return 3;
+    }
+
+    setCacheTtl(days) {
+        this.cacheTtlDays = Math.max(1, parseInt(days) || ACSAPIService.DEFAULT_CACHE_TTL_DAYS);
+        this.cacheDuration = this.cacheTtlDays * 24 * 60 * 60 * 1000;
+    }
+
+    // Switch the 5-year dataset; each vintage is cached under its own prefix
+    setVintage(vintage) {
+        const year = parseInt(vintage);
+        if (!ACSAPIService.VINTAGES.includes(year)) {
+            throw new Error(`Unsupported ACS 5-year vintage: ${vintage}`);
+        }
+        
+        this.vintage = year;
+        this.baseUrl = `${this.fixtureServer || ACSAPIService.CENSUS_ORIGIN}/data/${year}/acs/acs5`;
+        // Fixture answers are cached apart so they never pass for real data
+        this.cachePrefix = this.fixtureServer ? `acs_fixture_${year}_` : `acs_${year}_`;
+        this.memoryCache?.clear();
+    }
+
+    static get CENSUS_ORIGIN() {
+        return 'https://api.census.gov';
+    }
+
+    /**
+     * Whether an origin is this machine (localhost, 127.0.0.0/8, ::1). Only
+     * those are trusted as fixture servers without asking.
+     */
+    static isLoopbackOrigin(origin) {
+        try {
+            const host = new URL(origin).hostname.replace(/^\[|\]$/g, '');
+            return host === 'localhost' || host === '::1' || /^127(\.\d{1,3}){3}$/.test(host);
+        } catch (e) {
+            return false;
+        }
+    }
+
+    /**
+     * Point requests at a local mock Census API (fixture mode), or pass null
+     * to go back to api.census.gov. Fixture requests go direct, skipping the
+     * proxy chain, so injected failures reach the scheduler unchanged.
+     * Callers confirm non-loopback origins with the user first.
+     * @param {string|null} url - Origin such as http://localhost:8787
+     */
+    setFixtureServer(url) {
+        const origin = url ? String(url).trim().replace(/\/+$/, '') : null;
+        if (origin && !/^https?:\/\/[^/]+$/i.test(origin)) {
+            throw new Error('Fixture server must be an http(s) origin, e.g. http://localhost:8787');
+        }
+        if (origin === this.fixtureServer) return;
+        
+        this.fixtureServer = origin;
+        this.fixtureProxy = origin
+            ? { id: 'fixture', name: 'Fixture server', template: '{rawUrl}', thirdParty: false, direct: true }
+            : null;
+        if (this.vintage) this.setVintage(this.vintage);
+    }
+
+    // The API key goes to api.census.gov only, never to a fixture server
+    keyParam() {
+        return this.fixtureServer ? '' : `&key=${this.apiKey}`;
+    }
+
+    /**
+     * Switch the geography level (ZCTA, tract, block group, county, place).
+     * Levels share the database but never a cache key or fetch queue.
+     */
+    setGeography(levelId) {
+        if (!ACSGeography.isValid(levelId)) {
+            throw new Error(`Unsupported geography level: ${levelId}`);
+        }
+        
+        this.geography = levelId;
+        this.geographyLevel = ACSGeography.get(levelId);
+        this.memoryCache?.clear();
+    }
+
+    // Sibling service for another vintage, sharing key and metric registry
+    forVintage(vintage, options = {}) {
+        const sibling = new ACSAPIService(this.apiKey, {
+            vintage,
+            geography: options.geography || this.geography,
+            metricRegistry: this.metricRegistry,
+            offline: this.offline,
+            concurrency: this.concurrency,
+            diagnostics: this.diagnostics,
+            onDiagnostic: this.onDiagnostic,
+            proxyChain: this.proxyChain,
+            cacheTtlDays: this.cacheTtlDays,
+            staleWhileRevalidate: this.staleWhileRevalidate,
+            queueStorage: this.queueStorage,
+            fixtureServer: this.fixtureServer,
+            worker: this.worker,
+            sibling: true
+        });
+        return sibling;
+    }
+
+    /**
+     * Attach per-metric change versus a baseline vintage to each record
+     * @param {Object} currentData - { zip: record } for this.vintage
+     * @param {Object} baselineData - { zip: record } for the baseline vintage
+     * @param {number} baselineVintage - Year of the baseline data
+     * @returns {number} - Number of ZIPs with a comparison
+     */
+    attachComparison(currentData, baselineData, baselineVintage) {
+        let compared = 0;
+        
+        Object.entries(currentData).forEach(([zip, record]) => {
+            const baseline = baselineData[zip];
+            if (!record?.data || !baseline?.data) {
+                delete record?.comparison;
+                return;
+            }
+            
+            const deltas = {};
+            this.metricRegistry.getAll().forEach(metric => {
+                const current = record.data[metric.id];
+                const previous = baseline.data[metric.id];
+                
+                // Open-ended or annotated values have no meaningful difference
+                if (record.flags?.[metric.id] || baseline.flags?.[metric.id]) {
+                    deltas[metric.id] = null;
+                    return;
+                }
+                
+                if (current === null || current === undefined || previous === null || previous === undefined) {
+                    deltas[metric.id] = null;
+                    return;
+                }
+                
+                deltas[metric.id] = {
+                    absolute: current - previous,
+                    percent: previous !== 0 ? ((current - previous) / Math.abs(previous)) * 100 : null
+                };
+            });
+            
+            record.comparison = {
+                vintage: baselineVintage,
+                baseline: { ...baseline.data },
+                baselineFlags: baseline.flags || {},
+                baselineDistributions: baseline.distributions || {},
+                deltas
+            };
+            compared++;
+        });
+        
+        console.log(`Compared ${compared} ZIP codes against ACS ${baselineVintage}`);
+        return compared;
     }
 
     // Initialize with Promise caching
@@ -40,116 +264,467 @@ class ACSAPIService {
         }
         
         this.cachePromise = new Promise((resolve) => {
-            const request = indexedDB.open(this.dbName, 3);
+            const request = indexedDB.open(this.dbName, this.dbVersion);
             
             request.onerror = () => {
                 console.warn('IndexedDB initialization failed, using memory cache only');
                 resolve();
             };
             
-            request.onsuccess = (event) => {
+            request.onsuccess = async (event) => {
                 this.db = event.target.result;
-                console.log('IndexedDB cache initialized (24-hour TTL)');
-                this.cleanExpiredCache().then(resolve);
+                console.log(`IndexedDB cache initialized (${this.cacheTtlDays}-day TTL${this.staleWhileRevalidate ? ', stale-while-revalidate' : ''})`);
+                // Full-store scans belong to the worker when there is one,
+                // and to the service that owns the siblings
+                if (!this.worker?.available && !this.sibling) {
+                    await this.migrateLegacyDatabases();
+                    await this.cleanExpiredCache();
+                }
+                resolve();
             };
             
             request.onupgradeneeded = (event) => {
-                const db = event.target.result;
-                if (!db.objectStoreNames.contains(this.storeName)) {
-                    const store = db.createObjectStore(this.storeName, { keyPath: 'key' });
-                    store.createIndex('zip', 'zip', { unique: false });
-                    store.createIndex('expiry', 'expiry', { unique: false });
-                }
+                this.upgradeDatabase(event.target.result, event.target.transaction, event.oldVersion);
             };
         });
         
         return this.cachePromise;
     }
 
-    // Enhanced fetch with CORS proxy fallback
-    async fetchWithCorsFallback(url, options = {}, retryCount = 0) {
-        const proxy = this.proxyUrls[this.currentProxyIndex];
-        const fetchUrl = proxy ? (proxy === this.proxyUrls[2] ? url : `${proxy}${encodeURIComponent(url)}`) : url;
+    /**
+     * Step-wise schema upgrades; each block brings the store from one
+     * version to the next so any older database ends up current
+     */
+    upgradeDatabase(db, transaction, oldVersion) {
+        console.log(`Upgrading cache database from v${oldVersion} to v${this.dbVersion}`);
         
+        if (!db.objectStoreNames.contains(this.storeName)) {
+            const store = db.createObjectStore(this.storeName, { keyPath: 'key' });
+            store.createIndex('zip', 'zip', { unique: false });
+            store.createIndex('expiry', 'expiry', { unique: false });
+        }
+        
+        const store = transaction.objectStore(this.storeName);
+        
+        // v4: entries record their vintage and schema hash
+        if (oldVersion < 4) {
+            if (!store.indexNames.contains('vintage')) {
+                store.createIndex('vintage', 'vintage', { unique: false });
+            }
+            if (!store.indexNames.contains('schema')) {
+                store.createIndex('schema', 'schema', { unique: false });
+            }
+        }
+    }
+
+    /**
+     * Copy records out of databases left by earlier releases, then delete
+     * them. Those releases stored only estimates (education, high-income
+     * households and median income), so each record is converted by
+     * convertLegacyRecord() and stored as already expired: with
+     * stale-while-revalidate it renders at once and is refreshed in the
+     * background, otherwise it is refetched before use and the migration
+     * amounts to a purge.
+     */
+    async migrateLegacyDatabases() {
+        if (!this.db || typeof indexedDB.databases !== 'function') return 0;
+        
+        let existing;
         try {
-            this.stats.apiCalls++;
+            existing = new Set((await indexedDB.databases()).map(info => info.name));
+        } catch (e) {
+            return 0;
+        }
+        
+        const legacyNames = ACSAPIService.LEGACY_DB_NAMES.filter(name => existing.has(name) && name !== this.dbName);
+        if (legacyNames.length === 0) return 0;
+        
+        const schema = this.getCacheSchema();
+        let migrated = 0;
+        
+        for (const name of legacyNames) {
+            const entries = await this.readLegacyDatabase(name);
+            const converted = [];
             
-            const controller = new AbortController();
-            const timeoutId = setTimeout(() => controller.abort(), 30000); // 30 second timeout
+            entries.forEach(entry => {
+                const match = String(entry.key || '').match(/^acs_(\d{4})_(\d{5})$/);
+                const record = entry.data;
+                if (!match || !record?.data) return;
+                
+                const vintage = parseInt(match[1]);
+                const imported = record.metadata?.source === 'import';
+                converted.push({
+                    key: `acs_${vintage}_${schema}_${match[2]}`,
+                    data: this.convertLegacyRecord(record, match[2]),
+                    expiry: imported ? Infinity : 0,
+                    cachedAt: entry.cachedAt || new Date().toISOString(),
+                    zip: match[2],
+                    vintage,
+                    schema,
+                    source: imported ? 'import' : 'api'
+                });
+            });
+            
+            await this.putEntries(converted);
+            migrated += converted.length;
+            
+            await new Promise((resolve) => {
+                const request = indexedDB.deleteDatabase(name);
+                request.onsuccess = request.onerror = request.onblocked = () => resolve();
+            });
+            console.log(`Migrated ${converted.length}/${entries.length} entries from legacy cache ${name}`);
+        }
+        
+        return migrated;
+    }
+
+    /**
+     * A legacy record in the current shape. Metrics the old parser didn't
+     * know are null, margins of error are unknown, and annotation codes it
+     * let through as numbers become flagged nulls.
+     */
+    convertLegacyRecord(record, zip) {
+        const data = {};
+        const moe = {};
+        const reliability = {};
+        const flags = {};
+        
+        this.metricRegistry.getAll().forEach(metric => {
+            const value = record.data[metric.id];
+            const annotation = ACSMetricRegistry.annotation(value);
+            if (annotation) {
+                flags[metric.id] = { status: annotation.status, symbol: annotation.symbol, label: annotation.label };
+            }
+            data[metric.id] = !annotation && typeof value === 'number' && isFinite(value) ? value : null;
+            moe[metric.id] = null;
+            reliability[metric.id] = null;
+        });
+        
+        return {
+            data,
+            moe,
+            reliability,
+            flags,
+            components: {},
+            distributions: {},
+            metadata: {
+                name: record.metadata?.name || 'Unknown',
+                fetchedAt: record.metadata?.fetchedAt || null,
+                zip,
+                geography: 'zcta',
+                source: record.metadata?.source || 'api'
+            }
+        };
+    }
+
+    readLegacyDatabase(name) {
+        return new Promise((resolve) => {
+            const request = indexedDB.open(name);
             
-            const response = await fetch(fetchUrl, {
-                ...options,
+            request.onerror = () => resolve([]);
+            request.onsuccess = (event) => {
+                const db = event.target.result;
+                if (!db.objectStoreNames.contains(this.storeName)) {
+                    db.close();
+                    resolve([]);
+                    return;
+                }
+                
+                const getAll = db.transaction([this.storeName], 'readonly').objectStore(this.storeName).getAll();
+                getAll.onsuccess = () => {
+                    db.close();
+                    resolve(getAll.result || []);
+                };
+                getAll.onerror = () => {
+                    db.close();
+                    resolve([]);
+                };
+            };
+        });
+    }
+
+    putEntries(entries) {
+        if (!this.db || entries.length === 0) return Promise.resolve();
+        
+        return new Promise((resolve) => {
+            const transaction = this.db.transaction([this.storeName], 'readwrite');
+            const store = transaction.objectStore(this.storeName);
+            entries.forEach(entry => store.put(entry));
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => resolve();
+        });
+    }
+
+    // ============================================================================
+    // CACHE KEYS
+    // ============================================================================
+
+    /**
+     * Schema id for cached records: record-shape version plus a hash of
+     * the metric definitions that produced the values
+     */
+    getCacheSchema() {
+        const signature = this.metricRegistry.getSchemaSignature();
+        if (this.schemaCache?.signature !== signature) {
+            this.schemaCache = {
+                signature,
+                schema: `s${ACSAPIService.CACHE_SCHEMA_VERSION}-${ACSAPIService.hashString(signature)}`
+            };
+        }
+        return this.schemaCache.schema;
+    }
+
+    // acs_<vintage>_<schema>_<zip> for ZCTAs; other levels add the geography before the id
+    getCacheKey(geoId, schema = this.getCacheSchema()) {
+        if (this.geography === 'zcta') {
+            return `${this.cachePrefix}${schema}_${geoId}`;
+        }
+        return `${this.cachePrefix}${schema}_${this.geography.replace(/\s+/g, '')}_${geoId}`;
+    }
+
+    // FNV-1a, 32-bit: short and stable, not cryptographic
+    static hashString(text) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193) >>> 0;
+        }
+        return hash.toString(36);
+    }
+
+    /**
+     * Fetch through the proxy chain. Each request walks the permitted proxies
+     * in order, skipping those in cooldown; a proxy-type failure benches only
+     * that proxy. Failures are thrown as ACSRequestError so the scheduler can
+     * apply the retry policy for that class of error.
+     */
+    async fetchWithCorsFallback(url, options = {}) {
+        const proxies = this.fixtureProxy ? [this.fixtureProxy] : this.proxyChain.candidates();
+        
+        if (proxies.length === 0) {
+            const error = new ACSRequestError('proxy', 'No permitted proxy: third-party proxies are disabled and no first-party proxy is configured', {
+                url,
+                vintage: this.vintage
+            });
+            this.recordDiagnostic(error);
+            throw error;
+        }
+        
+        let lastError = null;
+        
+        for (let i = 0; i < proxies.length; i++) {
+            const proxy = proxies[i];
+            const context = { url, proxy: proxy.direct ? null : proxy.template, vintage: this.vintage };
+            const started = Date.now();
+            
+            try {
+                const data = await this.fetchThroughProxy(this.proxyChain.buildUrl(proxy, url), options, context);
+                this.proxyChain.reportSuccess(proxy, Date.now() - started);
+                return data;
+                
+            } catch (error) {
+                // Cancelled by the caller: not the proxy's fault and not a diagnostic
+                if (options.signal?.aborted) {
+                    throw ACSRequestScheduler.abortError(options.signal);
+                }
+                
+                const classified = ACSRequestError.fromFetchFailure(error, context);
+                this.recordDiagnostic(classified);
+                console.warn(`Fetch via ${proxy.name} failed [${classified.type}]:`, classified.message);
+                
+                // Errors from the Census API itself mean the proxy did its job
+                if (!classified.switchProxy) {
+                    this.proxyChain.reportSuccess(proxy, Date.now() - started);
+                    throw classified;
+                }
+                
+                this.proxyChain.reportFailure(proxy, classified);
+                lastError = classified;
+                
+                if (i < proxies.length - 1) {
+                    console.log(`Trying proxy ${i + 2}/${proxies.length}: ${proxies[i + 1].name}`);
+                }
+            }
+        }
+        
+        throw lastError;
+    }
+
+    async fetchThroughProxy(fetchUrl, options, context) {
+        this.stats.apiCalls++;
+        
+        // One controller for both the 30s timeout and caller cancellation
+        const { signal: callerSignal, ...fetchOptions } = options;
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), 30000); // 30 second timeout
+        const onCallerAbort = () => controller.abort();
+        callerSignal?.addEventListener('abort', onCallerAbort, { once: true });
+        
+        let response, body;
+        try {
+            response = await fetch(fetchUrl, {
+                ...fetchOptions,
                 signal: controller.signal,
                 mode: 'cors',
                 credentials: 'omit',
                 headers: {
                     'Accept': 'application/json',
-                    ...options.headers
+                    ...fetchOptions.headers
                 }
             });
-            
+            body = await response.text();
+        } catch (fetchError) {
+            if (callerSignal?.aborted) throw ACSRequestScheduler.abortError(callerSignal);
+            throw ACSRequestError.fromFetchFailure(fetchError, context);
+        } finally {
             clearTimeout(timeoutId);
-            
-            if (!response.ok) {
-                throw new Error(`HTTP error: ${response.status}`);
-            }
-            
-            return await response.json();
-            
-        } catch (error) {
-            console.warn(`Fetch attempt ${retryCount + 1} failed:`, error.message);
-            
-            // Try next proxy if available
-            if (retryCount < this.proxyUrls.length - 1) {
-                this.currentProxyIndex = (this.currentProxyIndex + 1) % this.proxyUrls.length;
-                console.log(`Switching to proxy ${this.currentProxyIndex + 1}/${this.proxyUrls.length}`);
-                return this.fetchWithCorsFallback(url, options, retryCount + 1);
-            }
-            
-            throw error;
+            callerSignal?.removeEventListener('abort', onCallerAbort);
+        }
+        
+        const responseError = ACSRequestError.fromResponse(response, body, context);
+        if (responseError) throw responseError;
+        
+        try {
+            return JSON.parse(body);
+        } catch (parseError) {
+            throw ACSRequestError.fromInvalidBody(body, context);
         }
     }
 
+    /**
+     * Probe the proxy chain without the API key
+     */
+    async checkProxyHealth() {
+        return this.proxyChain.checkHealth(`${this.baseUrl}/variables/NAME.json`);
+    }
+
+    // ============================================================================
+    // DIAGNOSTICS
+    // ============================================================================
+
+    /**
+     * Keep recent classified failures (shared across vintage siblings)
+     * and hand them to the app for notifications
+     */
+    recordDiagnostic(error) {
+        this.diagnostics.unshift(error.toJSON());
+        if (this.diagnostics.length > this.maxDiagnostics) {
+            this.diagnostics.length = this.maxDiagnostics;
+        }
+        
+        if (this.onDiagnostic) {
+            this.onDiagnostic(error);
+        }
+    }
+
+    getDiagnostics() {
+        return [...this.diagnostics];
+    }
+
+    clearDiagnostics() {
+        this.diagnostics.length = 0;
+    }
+
     // Enhanced batch fetching with memory cache
-    async fetchCombinedData(zipCodes) {
+    /**
+     * Load ZIPs from cache, fetching what's missing
+     * @param {Array<string>} zipCodes
+     * @param {Object} options - { signal: AbortSignal, onProgress(progress) }.
+     *   progress: { phase: 'cache'|'fetch'|'done', cacheChecked, cacheTotal,
+     *   cacheHits, batchesDone, batchesTotal, zipsFetched, zipsFailed,
+     *   zipsTotal, etaMs }. On abort, batches already fetched stay cached
+     *   and the promise rejects with an AbortError.
+     */
+    async fetchCombinedData(zipCodes, options = {}) {
         if (!zipCodes || zipCodes.length === 0) return {};
         
-        console.log(`Fetching ${zipCodes.length} ZIP codes (24-hour cache TTL)`);
+        if (this.worker?.available) {
+            try {
+                return await this.fetchCombinedDataInWorker(zipCodes, options);
+            } catch (error) {
+                if (!error.workerUnavailable) throw error;
+                console.warn('ACS worker unavailable, loading on the main thread:', error.message);
+            }
+        }
+        
+        const { signal, onProgress } = options;
+        console.log(`Fetching ${zipCodes.length} ${this.geographyLevel.units} (${this.cacheTtlDays}-day cache TTL)`);
         
         await this.ensureInitialized();
+        this.lastFetchReport = null;
         
         const results = new Map();
-        const missingZips = [];
+        let missingZips = [];
+        const staleZips = [];
         const uniqueZips = [...new Set(zipCodes)];
+        const schema = this.getCacheSchema();
+        
+        const progress = {
+            phase: 'cache',
+            cacheChecked: 0,
+            cacheTotal: uniqueZips.length,
+            cacheHits: 0,
+            batchesDone: 0,
+            batchesTotal: 0,
+            zipsFetched: 0,
+            zipsFailed: 0,
+            zipsTotal: 0,
+            etaMs: null
+        };
+        const emit = (update = {}) => {
+            Object.assign(progress, update);
+            if (onProgress) onProgress({ ...progress });
+        };
         
         // Process in smaller chunks
         const chunks = this.chunkArray(uniqueZips, 300);
         for (const chunk of chunks) {
-            await this.processChunk(chunk, results, missingZips);
+            if (signal?.aborted) throw ACSRequestScheduler.abortError(signal);
+            await this.processChunk(chunk, results, missingZips, staleZips, schema);
+            emit({ cacheChecked: progress.cacheChecked + chunk.length, cacheHits: results.size });
+        }
+        
+        console.log(`Cache stats: ${results.size} hits (${staleZips.length} stale), ${missingZips.length} misses`);
+        
+        // Resume an interrupted load: its outstanding ZIPs go first
+        const pending = this.loadPendingQueue();
+        if (pending.size > 0 && missingZips.length > 0 && !this.offline) {
+            const missingSet = new Set(missingZips);
+            const resumed = [...pending].filter(zip => missingSet.has(zip));
+            const resumedSet = new Set(resumed);
+            missingZips = [...resumed, ...missingZips.filter(zip => !resumedSet.has(zip))];
+            console.log(`Resuming interrupted load: ${resumed.length} ${this.geographyLevel.units} outstanding`);
         }
         
-        console.log(`Cache stats: ${results.size} hits, ${missingZips.length} misses`);
+        if (missingZips.length > 0 && this.offline) {
+            console.log(`Offline data source: skipping ${missingZips.length} ${this.geographyLevel.units} not in the imported data`);
+        }
         
         // Fetch missing data in optimized batches
-        if (missingZips.length > 0) {
-            // Notify that we're fetching
-            if (window.acsApp) {
-                window.acsApp.showNotification(`Fetching ${missingZips.length} ZIP codes from Census API...`, 'loading');
-            }
-            
-            const missingData = await this.fetchMissingData(missingZips);
+        if (missingZips.length > 0 && !this.offline) {
+            const missingData = await this.fetchMissingData(missingZips, {
+                signal,
+                onProgress: (fetchProgress) => emit({ phase: 'fetch', ...fetchProgress })
+            });
             
             for (const [zip, data] of Object.entries(missingData)) {
                 results.set(zip, data);
-                await this.cacheData(zip, data);
                 this.addToMemoryCache(zip, data);
             }
             
-            if (window.acsApp) {
-                window.acsApp.hideNotification('loading');
+            if (signal?.aborted) {
+                console.log(`Load cancelled; ${Object.keys(missingData).length} newly fetched ${this.geographyLevel.units} kept in cache`);
+                throw ACSRequestScheduler.abortError(signal);
             }
         }
         
+        emit({ phase: 'done', etaMs: 0 });
+        
+        // Stale records are already in results; refresh them without blocking
+        if (staleZips.length > 0 && !this.offline) {
+            this.revalidate(staleZips);
+        }
+        
         this.logCacheStats();
         
         const resultObj = {};
@@ -160,101 +735,318 @@ class ACSAPIService {
         return resultObj;
     }
 
-    async processChunk(zipChunk, results, missingZips) {
-        const promises = zipChunk.map(async (zip) => {
-            const memoryCached = this.memoryCache.get(zip);
-            if (memoryCached) {
-                results.set(zip, memoryCached);
-                this.stats.cacheHits++;
-                return;
-            }
+    /**
+     * Look up one chunk: memory cache first, then a single IndexedDB
+     * transaction for everything the memory cache doesn't hold
+     */
+    async processChunk(zipChunk, results, missingZips, staleZips, schema) {
+        const now = Date.now();
+        const keys = new Map(zipChunk.map(zip => [zip, this.getCacheKey(zip, schema)]));
+        
+        const unseen = zipChunk.filter(zip => !this.memoryCache.has(keys.get(zip)));
+        const stored = await this.getManyFromCache(unseen.map(zip => keys.get(zip)));
+        
+        zipChunk.forEach(zip => {
+            const key = keys.get(zip);
+            const cached = this.memoryCache.get(key) || stored.get(key);
             
-            const cached = await this.getFromCache(zip);
-            if (cached) {
-                results.set(zip, cached);
-                this.addToMemoryCache(zip, cached);
-                this.stats.cacheHits++;
-            } else {
+            if (!cached) {
                 missingZips.push(zip);
                 this.stats.cacheMisses++;
+                return;
+            }
+            
+            results.set(zip, ACSProvenance.servedFromCache(cached.data));
+            this.addToMemoryCache(zip, cached.data, cached.expiry, schema);
+            this.stats.cacheHits++;
+            
+            if (now > cached.expiry) {
+                staleZips.push(zip);
             }
         });
+    }
+
+    /**
+     * Background refresh of stale records. Runs on a sibling service so a
+     * vintage or geography switch mid-refresh can't file records under the
+     * wrong key. ZIPs that go stale while a refresh for the same vintage and
+     * geography is running are refreshed after it.
+     */
+    async revalidate(zipCodes, vintage = this.vintage, geography = this.geography) {
+        const key = `${vintage}_${geography}`;
+        if (this.revalidating.has(key)) {
+            const queued = this.revalidationQueue.get(key) || new Set();
+            zipCodes.forEach(zip => queued.add(zip));
+            this.revalidationQueue.set(key, queued);
+            return;
+        }
+        this.revalidating.add(key);
         
-        await Promise.all(promises);
+        console.log(`Revalidating ${zipCodes.length} stale ${ACSGeography.get(geography).units} for ACS ${vintage} in the background`);
+        
+        try {
+            const fresh = await this.forVintage(vintage, { geography }).fetchMissingData(zipCodes);
+            
+            if (vintage === this.vintage && geography === this.geography) {
+                Object.entries(fresh).forEach(([zip, data]) => this.addToMemoryCache(zip, data));
+            }
+            if (this.onRevalidated && Object.keys(fresh).length > 0) {
+                this.onRevalidated(fresh, vintage, geography);
+            }
+        } catch (error) {
+            console.error('Background revalidation failed:', error);
+        } finally {
+            this.revalidating.delete(key);
+            
+            // ZIPs this run already tried are not retried until the next load
+            const attempted = new Set(zipCodes);
+            const queued = [...(this.revalidationQueue.get(key) || [])].filter(zip => !attempted.has(zip));
+            this.revalidationQueue.delete(key);
+            if (queued.length > 0) {
+                this.revalidate(queued, vintage, geography);
+            }
+        }
     }
 
-    async fetchMissingData(zipCodes) {
+    /**
+     * Fetch ZIPs through the request scheduler. Successful batches are cached
+     * as they land and removed from the persisted queue, so a reload resumes
+     * where this stopped. Batches that still fail after retries are split
+     * down to minBatchSize, then recorded in lastFetchReport.failed.
+     * @param {Object} options - { signal, onProgress({ batchesDone, batchesTotal,
+     *   zipsFetched, zipsFailed, zipsTotal, etaMs }) }
+     */
+    async fetchMissingData(zipCodes, options = {}) {
         if (zipCodes.length === 0) return {};
         
+        // Batches are cached as they land; siblings open their connection here
+        await this.ensureInitialized();
+        
+        const { signal, onProgress } = options;
         const results = {};
-        const batches = this.chunkArray(zipCodes, this.batchSize);
+        const outstanding = new Set(zipCodes);
+        const report = {
+            vintage: this.vintage,
+            requested: zipCodes.length,
+            fetched: 0,
+            noData: [],
+            failed: [],
+            durationMs: 0
+        };
+        const startedAt = Date.now();
         
-        for (let i = 0; i < batches.length; i++) {
-            const batch = batches[i];
-            
-            try {
-                const batchData = await this.fetchBatchFromAPI(batch);
+        this.savePendingQueue(outstanding, true);
+        
+        // ZCTAs are listed in chunks; nested levels go one state/county per request
+        const level = this.geographyLevel;
+        const batches = ACSGeography.batchIds(level, zipCodes, this.batchSize);
+        const counts = { batchesDone: 0, batchesTotal: batches.length };
+        
+        // ETA from throughput so far: elapsed per settled ZIP x ZIPs remaining
+        const emitProgress = () => {
+            if (!onProgress) return;
+            const settled = zipCodes.length - outstanding.size;
+            const elapsed = Date.now() - startedAt;
+            onProgress({
+                ...counts,
+                zipsFetched: report.fetched,
+                zipsFailed: report.failed.length,
+                zipsTotal: zipCodes.length,
+                etaMs: settled > 0 ? Math.round(elapsed / settled * outstanding.size) : null
+            });
+        };
+        emitProgress();
+        
+        const scheduler = new ACSRequestScheduler({ concurrency: this.concurrency });
+        
+        await scheduler.run(batches, batch => this.fetchBatchFromAPI(batch, signal), {
+            onSuccess: async (batch, batchData) => {
                 Object.assign(results, batchData);
                 
-                // Batch cache the results
-                const cachePromises = Object.entries(batchData).map(([zip, data]) => 
-                    this.cacheData(zip, data)
-                );
-                await Promise.all(cachePromises);
+                // One write transaction per batch
+                await this.cacheMany(batchData);
                 
-            } catch (error) {
-                console.error(`Batch ${i + 1} failed:`, error.message);
+                batch.forEach(zip => {
+                    if (!batchData[zip]) report.noData.push(zip);
+                    outstanding.delete(zip);
+                });
+                report.fetched += Object.keys(batchData).length;
+                this.savePendingQueue(outstanding);
+                counts.batchesDone++;
+                emitProgress();
+            },
+            onFailure: (batch, error) => {
+                // Split so one bad ZIP or request doesn't sink its neighbours;
+                // fatal errors (bad key, unknown variable) would fail any batch.
+                // Wildcard batches re-request the whole parent, so never split those.
+                if (level.parentLength === 0 && batch.length > this.minBatchSize && !error.fatal) {
+                    console.warn(`Batch of ${batch.length} failed (${error.message}), splitting into batches of ${this.minBatchSize}`);
+                    const smaller = this.chunkArray(batch, this.minBatchSize);
+                    counts.batchesTotal += smaller.length - 1;
+                    emitProgress();
+                    return smaller;
+                }
+                
+                console.error(`Batch ${level.parentLength === 0 ? batch.join(',') : `${level.units} in ${batch[0].slice(0, level.parentLength)}`} failed permanently:`, error.message);
+                batch.forEach(zip => {
+                    report.failed.push({ zip, type: error.type || 'unknown', error: error.message, status: error.status || null });
+                    outstanding.delete(zip);
+                });
+                this.savePendingQueue(outstanding);
+                counts.batchesDone++;
+                emitProgress();
+                return null;
             }
+        }, { signal });
+        
+        // On cancel, unfinished ZIPs stay queued for the next load
+        this.savePendingQueue(outstanding, true);
+        
+        report.durationMs = Date.now() - startedAt;
+        this.lastFetchReport = report;
+        console.log(`Fetch report: ${report.fetched} fetched, ${report.noData.length} without ACS data, ${report.failed.length} failed in ${(report.durationMs / 1000).toFixed(1)}s`);
+        if (report.failed.length > 0) {
+            console.table(report.failed);
         }
         
         return results;
     }
 
-    async fetchBatchFromAPI(zipCodes) {
+    /**
+     * Metric packs can need more variables than one request allows, so
+     * wide variable lists go out as several requests whose tables are
+     * joined on GEOID before parsing.
+     * @param {Array<string>} zipCodes - GEOIDs of one batch from ACSGeography.batchIds
+     */
+    async fetchBatchFromAPI(zipCodes, signal = null) {
         if (zipCodes.length === 0) return {};
         
-        const variables = [
-            'B15003_022E', 'B15003_023E', 'B15003_024E', 'B15003_025E', // Bachelor's, Master's, Professional, Doctorate
-            'B19001_014E', 'B19001_015E', 'B19001_016E', 'B19001_017E', // $100k-124,999, $125k-149,999, $150k-199,999, $200k+
-            'B19013_001E' // Median household income
-        ];
-        
-        const zipsStr = zipCodes.join(',');
-        const variablesStr = variables.join(',');
+        // Batches never mix Puerto Rico with the states (see ACSGeography.batchIds).
+        // Its PRCS tables are requested under their PR names and read back
+        // under the stateside ones, so the metric registry sees no difference.
+        const puertoRico = ACSGeography.isPuertoRico(this.geographyLevel, zipCodes[0]);
+        let variables = this.metricRegistry.getVariables({ includeMoe: true });
+        if (puertoRico) variables = variables.map(ACSGeography.prcsVariable);
+        const groups = this.chunkArray(variables, ACSAPIService.MAX_VARIABLES_PER_REQUEST - 1);
         
-        const url = `${this.baseUrl}?get=NAME,${variablesStr}&for=zip%20code%20tabulation%20area:${zipsStr}&key=${this.apiKey}`;
+        const geoQuery = ACSGeography.buildGeoQuery(this.geographyLevel, zipCodes);
         
+        console.log(`Fetching batch of ${zipCodes.length} ${puertoRico ? 'Puerto Rico ' : ''}${this.geographyLevel.units}${groups.length > 1 ? ` in ${groups.length} requests` : ''}...`);
         try {
-            console.log(`Fetching batch of ${zipCodes.length} ZIP codes...`);
-            const data = await this.fetchWithCorsFallback(url);
-            return this.parseResponse(data, zipCodes);
-            
+            const tables = [];
+            for (const group of groups) {
+                const url = `${this.baseUrl}?get=NAME,${group.join(',')}&${geoQuery}${this.keyParam()}`;
+                const table = await this.fetchWithCorsFallback(url, { signal });
+                tables.push(puertoRico ? ACSAPIService.fromPrcsColumns(table) : table);
+            }
+            return this.parseResponse(this.joinTables(tables), zipCodes, { puertoRico });
         } catch (error) {
-            console.error('API fetch failed:', error);
+            // 204: none of these geographies have ACS data
+            if (error.type === 'no_data') return {};
+            throw error;
+        }
+    }
+
+    // B05002PR_013E -> B05002_013E in a response's header row
+    static fromPrcsColumns(table) {
+        if (!Array.isArray(table) || table.length === 0) return table;
+        return [table[0].map(header => String(header).replace(/^(B\d{5})PR_/, '$1_')), ...table.slice(1)];
+    }
+
+    /**
+     * Join Census API tables for the same geographies column-wise on GEOID.
+     * Rows missing from a later table keep empty cells for its columns.
+     */
+    joinTables(tables) {
+        if (tables.length === 1) return tables[0];
+        
+        const level = this.geographyLevel;
+        const [first, ...rest] = tables;
+        const headers = [...first[0]];
+        const rows = new Map();
+        const firstGeo = level.idColumns.map(column => first[0].indexOf(column));
+        first.slice(1).forEach(row => {
+            rows.set(ACSGeography.geoIdFromRow(level, row, firstGeo), [...row]);
+        });
+        
+        rest.forEach(table => {
+            if (!Array.isArray(table) || table.length === 0) return;
             
-            // Fallback: Try with smaller batch
-            if (zipCodes.length > 5) {
-                console.log('Trying with smaller batch size...');
-                const smallerBatches = this.chunkArray(zipCodes, 5);
-                const results = {};
-                
-                for (const smallBatch of smallerBatches) {
-                    try {
-                        const smallResult = await this.fetchBatchFromAPI(smallBatch);
-                        Object.assign(results, smallResult);
-                    } catch (smallError) {
-                        console.error('Small batch failed:', smallError);
-                    }
-                }
-                
-                return results;
-            }
+            const tableHeaders = table[0];
+            const geo = level.idColumns.map(column => tableHeaders.indexOf(column));
+            const added = tableHeaders
+                .map((header, index) => ({ header, index }))
+                .filter(({ header }) => !headers.includes(header));
             
-            throw error;
+            headers.push(...added.map(({ header }) => header));
+            const width = headers.length;
+            
+            table.slice(1).forEach(row => {
+                const target = rows.get(ACSGeography.geoIdFromRow(level, row, geo));
+                if (!target) return;
+                added.forEach(({ index }) => target.push(row[index]));
+            });
+            rows.forEach(row => { while (row.length < width) row.push(null); });
+        });
+        
+        return [headers, ...rows.values()];
+    }
+
+    // ============================================================================
+    // PERSISTED FETCH QUEUE
+    // ============================================================================
+
+    /**
+     * Queue storage backed by localStorage: { read(), write(saved), clear() }
+     */
+    static localQueueStorage(storageKey) {
+        return {
+            read: () => JSON.parse(localStorage.getItem(storageKey) || '{}'),
+            write: (saved) => localStorage.setItem(storageKey, JSON.stringify(saved)),
+            clear: () => localStorage.removeItem(storageKey)
+        };
+    }
+
+    loadPendingQueue() {
+        try {
+            const saved = this.queueStorage.read();
+            return new Set(saved[this.getQueueKey()]?.zips || []);
+        } catch (e) {
+            console.error('Failed to load fetch queue:', e);
+            return new Set();
         }
     }
 
-    parseResponse(data, requestedZips) {
+    // One queue per vintage and geography level (ZCTA queues keep the bare vintage)
+    getQueueKey() {
+        return this.geography === 'zcta' ? String(this.vintage) : `${this.vintage}_${this.geography}`;
+    }
+
+    // Throttled to one write every 2s unless forced
+    savePendingQueue(outstanding, force = false) {
+        const now = Date.now();
+        if (!force && now - this.queueSavedAt < 2000) return;
+        this.queueSavedAt = now;
+        
+        try {
+            const saved = this.queueStorage.read();
+            if (outstanding.size > 0) {
+                saved[this.getQueueKey()] = { zips: [...outstanding], updatedAt: new Date(now).toISOString() };
+            } else {
+                delete saved[this.getQueueKey()];
+            }
+            this.queueStorage.write(saved);
+        } catch (e) {
+            console.error('Failed to save fetch queue:', e);
+        }
+    }
+
+    /**
+     * Parse a Census API table into records keyed by GEOID. Wildcard
+     * responses cover a whole state or county; only requested ids are kept.
+     * @param {Object} options - { puertoRico: the batch was answered by the PRCS }
+     */
+    parseResponse(data, requestedZips, options = {}) {
         if (!Array.isArray(data) || data.length === 0) {
             return {};
         }
@@ -263,64 +1055,43 @@ class ACSAPIService {
         const results = {};
         const requestedSet = new Set(requestedZips);
         
+        const registry = this.metricRegistry;
+        const level = this.geographyLevel;
         const indices = {
             name: headers.indexOf('NAME'),
-            zip: headers.indexOf('zip code tabulation area'),
-            education: ['B15003_022E', 'B15003_023E', 'B15003_024E', 'B15003_025E']
-                .map(v => headers.indexOf(v)),
-            income: ['B19001_014E', 'B19001_015E', 'B19001_016E', 'B19001_017E']
-                .map(v => headers.indexOf(v)),
-            medianIncome: headers.indexOf('B19013_001E')
+            geo: level.idColumns.map(column => headers.indexOf(column)),
+            variables: registry.buildIndex(headers)
         };
+        const provenance = ACSProvenance.create(this, options);
         
         for (let i = 1; i < data.length; i++) {
             const row = data[i];
-            const zip = row[indices.zip];
+            const zip = ACSGeography.geoIdFromRow(level, row, indices.geo);
             
-            if (requestedSet.has(zip)) {
-                let totalHigherEd = 0;
-                let totalHighIncome = 0;
-                
-                for (const idx of indices.education) {
-                    if (idx !== -1) {
-                        const value = parseFloat(row[idx]) || 0;
-                        totalHigherEd += value;
-                    }
-                }
-                
-                for (const idx of indices.income) {
-                    if (idx !== -1) {
-                        const value = parseFloat(row[idx]) || 0;
-                        totalHighIncome += value;
-                    }
-                }
-                
-                const medianIncome = indices.medianIncome !== -1 ? 
-                    parseFloat(row[indices.medianIncome]) || null : null;
-                
-                // FIXED: Both thresholds set to 1000
-                const hasEducation = totalHigherEd >= 1000;
-                const hasIncome = totalHighIncome >= 1000;
-                
-                // For dynamic sizing: use sqrt(value) * scale
-                const educationValue = Math.max(totalHigherEd, 1000);
-                const incomeValue = Math.max(totalHighIncome, 1000);
+            if (zip && requestedSet.has(zip)) {
+                const values = registry.evaluate(row, indices.variables);
+                const flags = registry.evaluateFlags(row, indices.variables, values);
+                const moe = registry.evaluateMoe(row, indices.variables);
+                const reliability = {};
+                Object.keys(values).forEach(id => {
+                    reliability[id] = ACSMetricRegistry.reliability(values[id], moe[id]);
+                });
                 
+                // Classification and marker sizing are applied later from app
+                // settings, so only raw values go into the cached record
                 results[zip] = {
-                    data: {
-                        Higher_Education: totalHigherEd,
-                        High_Income_Households: totalHighIncome,
-                        Median_Income: medianIncome
-                    },
+                    data: values,
+                    moe,
+                    reliability,
+                    flags,
+                    components: registry.evaluateComponents(row, indices.variables),
+                    distributions: registry.evaluateDistributions(row, indices.variables),
                     metadata: {
                         name: indices.name !== -1 ? row[indices.name] : 'Unknown',
                         fetchedAt: new Date().toISOString(),
-                        hasEducation,
-                        hasIncome,
-                        educationValue,
-                        incomeValue,
-                        combinedValue: Math.sqrt(educationValue) * 0.5 + Math.sqrt(incomeValue) * 0.5,
-                        zip: zip
+                        zip: zip,
+                        geography: level.id,
+                        provenance: { ...provenance }
                     }
                 };
                 
@@ -331,100 +1102,137 @@ class ACSAPIService {
         return results;
     }
 
-    async getFromCache(zip) {
-        if (!this.db) return null;
-        
-        const cacheKey = `${this.cachePrefix}${zip}`;
+    /**
+     * @returns {Object|null} - { data, expiry } for a key in the current schema.
+     *   Expired entries are returned for stale-while-revalidate, otherwise dropped.
+     */
+    async getFromCache(cacheKey) {
+        const found = await this.getManyFromCache([cacheKey]);
+        return found.get(cacheKey) || null;
+    }
+
+    /**
+     * Read many keys in one transaction
+     * @returns {Map} - cacheKey -> { data, expiry } for the keys found
+     */
+    async getManyFromCache(cacheKeys) {
+        const found = new Map();
+        if (!this.db || cacheKeys.length === 0) return found;
         
         return new Promise((resolve) => {
-            const transaction = this.db.transaction([this.storeName], 'readonly');
+            const transaction = this.db.transaction([this.storeName], this.staleWhileRevalidate ? 'readonly' : 'readwrite');
             const store = transaction.objectStore(this.storeName);
-            const request = store.get(cacheKey);
+            const now = Date.now();
             
-            request.onsuccess = (event) => {
-                const cached = event.target.result;
-                if (!cached) {
-                    resolve(null);
-                    return;
-                }
-                
-                // Check 24-hour TTL
-                if (Date.now() > cached.expiry) {
-                    store.delete(cacheKey);
-                    resolve(null);
-                    return;
-                }
-                
-                resolve(cached.data);
-            };
+            cacheKeys.forEach(cacheKey => {
+                const request = store.get(cacheKey);
+                request.onsuccess = (event) => {
+                    const cached = event.target.result;
+                    if (!cached) return;
+                    
+                    if (now > cached.expiry && !this.staleWhileRevalidate) {
+                        store.delete(cacheKey);
+                        return;
+                    }
+                    
+                    found.set(cacheKey, { data: cached.data, expiry: cached.expiry });
+                };
+            });
             
-            request.onerror = () => resolve(null);
+            transaction.oncomplete = () => resolve(found);
+            transaction.onerror = () => resolve(found);
+            transaction.onabort = () => resolve(found);
         });
     }
 
-    addToMemoryCache(zip, data) {
+    addToMemoryCache(zip, data, expiry = Date.now() + this.cacheDuration, schema = this.getCacheSchema()) {
         if (this.memoryCache.size >= this.memoryCacheSize) {
             const firstKey = this.memoryCache.keys().next().value;
             this.memoryCache.delete(firstKey);
         }
-        this.memoryCache.set(zip, {
+        this.memoryCache.set(this.getCacheKey(zip, schema), {
             data,
+            expiry,
             timestamp: Date.now()
         });
     }
 
-    async cacheData(zip, data) {
-        if (!this.db) return;
-        
-        const cacheKey = `${this.cachePrefix}${zip}`;
-        const expiry = Date.now() + this.cacheDuration; // 24 hours
+    async cacheData(zip, data, expiry = Date.now() + this.cacheDuration) {
+        return this.cacheMany({ [zip]: data }, expiry);
+    }
+
+    /**
+     * Write many records in one transaction
+     * @param {Object} records - { geoId: record }
+     */
+    async cacheMany(records, expiry = Date.now() + this.cacheDuration) {
+        const entries = Object.entries(records);
+        if (!this.db || entries.length === 0) return;
         
-        const cacheEntry = {
-            key: cacheKey,
-            data: data,
-            expiry: expiry,
-            cachedAt: new Date().toISOString(),
-            zip: zip
-        };
+        const schema = this.getCacheSchema();
+        const cachedAt = new Date().toISOString();
         
         return new Promise((resolve) => {
             const transaction = this.db.transaction([this.storeName], 'readwrite');
             const store = transaction.objectStore(this.storeName);
-            store.put(cacheEntry);
+            
+            entries.forEach(([zip, data]) => {
+                store.put({
+                    key: this.getCacheKey(zip, schema),
+                    data: data,
+                    expiry: expiry,
+                    cachedAt,
+                    zip: zip,
+                    vintage: this.vintage,
+                    geography: this.geography,
+                    schema,
+                    source: data?.metadata?.source || 'api'
+                });
+            });
+            
             transaction.oncomplete = () => resolve();
             transaction.onerror = () => resolve();
         });
     }
 
+    /**
+     * Drop records past their TTL. Records parsed under another metric
+     * schema are never served but age out the same way, so switching packs
+     * back within the TTL reuses them. Stale-while-revalidate keeps expired
+     * records of the current schema only.
+     */
     async cleanExpiredCache() {
         if (!this.db) return 0;
         
-        const now = Date.now();
+        const schema = this.getCacheSchema();
         let cleaned = 0;
         
         return new Promise((resolve) => {
             const transaction = this.db.transaction([this.storeName], 'readwrite');
             const store = transaction.objectStore(this.storeName);
-            const expiryIndex = store.index('expiry');
-            const range = IDBKeyRange.upperBound(now);
-            
-            const request = expiryIndex.openCursor(range);
             
-            request.onsuccess = (event) => {
-                const cursor = event.target.result;
-                if (cursor) {
-                    store.delete(cursor.primaryKey);
-                    cleaned++;
-                    cursor.continue();
-                } else {
-                    if (cleaned > 0) {
-                        console.log(`Cleaned ${cleaned} expired cache entries (24-hour TTL)`);
+            const deleteMatching = (request, keep = () => false) => {
+                request.onsuccess = (event) => {
+                    const cursor = event.target.result;
+                    if (!cursor) return;
+                    if (!keep(cursor.value)) {
+                        store.delete(cursor.primaryKey);
+                        cleaned++;
                     }
-                    resolve(cleaned);
-                }
+                    cursor.continue();
+                };
             };
             
-            request.onerror = () => resolve(0);
+            const keepStale = entry => this.staleWhileRevalidate && entry.schema === schema;
+            deleteMatching(store.index('expiry').openCursor(IDBKeyRange.upperBound(Date.now())), keepStale);
+            
+            transaction.oncomplete = () => {
+                if (cleaned > 0) {
+                    console.log(`Cleaned ${cleaned} expired cache entries`);
+                }
+                resolve(cleaned);
+            };
+            transaction.onerror = () => resolve(0);
         });
     }
 
@@ -437,7 +1245,8 @@ class ACSAPIService {
             const request = store.clear();
             
             request.onsuccess = () => {
-                this.memoryCache.clear();
+                this.queueStorage.clear();
+                this.resetMemoryCache();
                 console.log('Cache cleared');
                 resolve(1);
             };
@@ -447,6 +1256,7 @@ class ACSAPIService {
     }
 
     async getCacheStats() {
+        await this.ensureInitialized();
         if (!this.db) return { total: 0, memory: 0 };
         
         return new Promise((resolve) => {
@@ -470,11 +1280,310 @@ class ACSAPIService {
         });
     }
 
+    // ============================================================================
+    // CACHE SNAPSHOTS
+    // ============================================================================
+
+    static get SNAPSHOT_FORMAT() {
+        return 'acs-cache-snapshot';
+    }
+
+    static get SNAPSHOT_VERSION() {
+        return 1;
+    }
+
+    // Fixture-mode answers are synthetic or sample data and never leave the browser
+    static isFixtureKey(key) {
+        return String(key).startsWith('acs_fixture_');
+    }
+
+    /**
+     * Export every cached record as one snapshot so a team can share a
+     * single fetch instead of each browser pulling ~33k ZIPs. Fixture
+     * records are left out.
+     * @returns {Object} - { blob, filename, manifest }
+     */
+    async exportSnapshot() {
+        await this.ensureInitialized();
+        if (!this.db) throw new Error('Cache database is not available');
+        
+        const stored = await new Promise((resolve, reject) => {
+            const request = this.db.transaction([this.storeName], 'readonly').objectStore(this.storeName).getAll();
+            request.onsuccess = () => resolve(request.result || []);
+            request.onerror = () => reject(request.error);
+        });
+        
+        // JSON has no Infinity; imported records (never expire) travel as null
+        const entries = stored
+            .filter(entry => !ACSAPIService.isFixtureKey(entry.key))
+            .sort((a, b) => a.key.localeCompare(b.key))
+            .map(entry => ({ ...entry, expiry: entry.expiry === Infinity ? null : entry.expiry }));
+        
+        if (entries.length === 0) throw new Error('The cache holds no Census data; load data (outside fixture mode) before exporting');
+        
+        const byVintage = {};
+        entries.forEach(entry => {
+            const fetchedAt = entry.data?.metadata?.fetchedAt || entry.cachedAt;
+            const info = byVintage[entry.vintage] || (byVintage[entry.vintage] = { records: 0, earliestFetch: fetchedAt, latestFetch: fetchedAt });
+            info.records++;
+            if (fetchedAt < info.earliestFetch) info.earliestFetch = fetchedAt;
+            if (fetchedAt > info.latestFetch) info.latestFetch = fetchedAt;
+        });
+        
+        const entriesJson = JSON.stringify(entries);
+        const manifest = {
+            format: ACSAPIService.SNAPSHOT_FORMAT,
+            formatVersion: ACSAPIService.SNAPSHOT_VERSION,
+            createdAt: new Date().toISOString(),
+            cacheSchemaVersion: ACSAPIService.CACHE_SCHEMA_VERSION,
+            schema: this.getCacheSchema(),
+            vintages: Object.keys(byVintage).map(Number).sort(),
+            variables: this.metricRegistry.getVariables({ includeMoe: true }),
+            byVintage,
+            recordCount: entries.length,
+            checksum: await ACSAPIService.checksum(entriesJson)
+        };
+        
+        const json = `{"manifest":${JSON.stringify(manifest)},"entries":${entriesJson}}`;
+        const compressed = typeof CompressionStream !== 'undefined';
+        const blob = compressed
+            ? await new Response(new Blob([json]).stream().pipeThrough(new CompressionStream('gzip'))).blob()
+            : new Blob([json], { type: 'application/json' });
+        
+        const stamp = manifest.createdAt.slice(0, 10);
+        console.log(`Exported ${entries.length} cache entries (${(blob.size / 1024 / 1024).toFixed(1)} MB${compressed ? ', gzip' : ''})`);
+        
+        return {
+            blob,
+            filename: `acs-cache-${manifest.vintages.join('-')}-${stamp}.json${compressed ? '.gz' : ''}`,
+            manifest
+        };
+    }
+
+    /**
+     * Validate and merge a snapshot into the cache
+     * @param {Blob|File} file - Snapshot from exportSnapshot (gzip or plain JSON)
+     * @param {Object} options - { mode: 'newer' keeps whichever copy was fetched
+     *   later, 'replace' overwrites local entries }
+     * @returns {Object} - { manifest, imported, kept, skipped }
+     */
+    async importSnapshot(file, options = {}) {
+        const mode = options.mode === 'replace' ? 'replace' : 'newer';
+        await this.ensureInitialized();
+        if (!this.db) throw new Error('Cache database is not available');
+        
+        const snapshot = await ACSAPIService.readSnapshotFile(file);
+        const manifest = snapshot?.manifest;
+        const entries = snapshot?.entries;
+        
+        if (!manifest || manifest.format !== ACSAPIService.SNAPSHOT_FORMAT) {
+            throw new Error('Not an ACS cache snapshot');
+        }
+        if (manifest.formatVersion > ACSAPIService.SNAPSHOT_VERSION) {
+            throw new Error(`Snapshot format v${manifest.formatVersion} is newer than this app supports`);
+        }
+        if (!Array.isArray(entries) || entries.length !== manifest.recordCount) {
+            throw new Error(`Snapshot is incomplete: manifest lists ${manifest.recordCount} records, found ${entries?.length ?? 0}`);
+        }
+        if (await ACSAPIService.checksum(JSON.stringify(entries), manifest.checksum) !== manifest.checksum) {
+            throw new Error('Snapshot checksum does not match; the file is corrupted or was edited');
+        }
+        // The checksum covers the entries only; the manifest is checked by shape
+        // before anything is written
+        if (!ACSAPIService.isValidSnapshotManifest(manifest)) {
+            throw new Error('Snapshot manifest is malformed; the file was edited or is not from this app');
+        }
+
+        // Records parsed under other metric definitions would never be served;
+        // fixture records have no place in the real cache
+        const schema = this.getCacheSchema();
+        const valid = entries.filter(entry =>
+            entry && entry.key && !ACSAPIService.isFixtureKey(entry.key) && entry.zip && ACSAPIService.VINTAGES.includes(entry.vintage) &&
+            entry.schema === schema && entry.data?.data
+        );
+        const skipped = entries.length - valid.length;
+        if (skipped > 0) {
+            console.warn(`Skipping ${skipped} snapshot entries from another metric schema, fixture mode or with missing fields`);
+        }
+        
+        let imported = 0;
+        let kept = 0;
+        
+        await new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.storeName], 'readwrite');
+            const store = transaction.objectStore(this.storeName);
+            
+            valid.forEach(entry => {
+                const incoming = { ...entry, expiry: entry.expiry === null ? Infinity : entry.expiry };
+                
+                if (mode === 'replace') {
+                    store.put(incoming);
+                    imported++;
+                    return;
+                }
+                
+                const request = store.get(entry.key);
+                request.onsuccess = () => {
+                    const local = request.result;
+                    const fetchedAt = e => e?.data?.metadata?.fetchedAt || e?.cachedAt || '';
+                    if (local && fetchedAt(local) >= fetchedAt(incoming)) {
+                        kept++;
+                    } else {
+                        store.put(incoming);
+                        imported++;
+                    }
+                };
+            });
+            
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+        });
+        
+        this.resetMemoryCache();
+        console.log(`Snapshot import (${mode}): ${imported} imported, ${kept} kept newer local, ${skipped} skipped`);
+        
+        return { manifest, imported, kept, skipped };
+    }
+
+    /**
+     * Known vintages only, and a { records, earliestFetch, latestFetch }
+     * summary for each of them
+     */
+    static isValidSnapshotManifest(manifest) {
+        const { vintages, byVintage } = manifest;
+        if (!Array.isArray(vintages) || !byVintage || typeof byVintage !== 'object') return false;
+        
+        const isDate = value => typeof value === 'string' && !isNaN(Date.parse(value));
+        return vintages.every(v => {
+            const info = byVintage[v];
+            return ACSAPIService.VINTAGES.includes(v) && info && Number.isFinite(info.records) &&
+                isDate(info.earliestFetch) && isDate(info.latestFetch);
+        });
+    }
+
+    static async readSnapshotFile(file) {
+        const buffer = await file.arrayBuffer();
+        const bytes = new Uint8Array(buffer);
+        const gzipped = bytes[0] === 0x1f && bytes[1] === 0x8b;
+        
+        let text;
+        if (gzipped) {
+            if (typeof DecompressionStream === 'undefined') {
+                throw new Error('This browser cannot decompress gzip snapshots');
+            }
+            text = await new Response(new Blob([buffer]).stream().pipeThrough(new DecompressionStream('gzip'))).text();
+        } else {
+            text = new TextDecoder().decode(bytes);
+        }
+        
+        try {
+            return JSON.parse(text);
+        } catch (e) {
+            throw new Error(`Snapshot is not valid JSON: ${e.message}`);
+        }
+    }
+
+    /**
+     * SHA-256 where Web Crypto is available (secure contexts), FNV-1a otherwise.
+     * Pass the expected checksum to verify with the same algorithm.
+     */
+    static async checksum(text, expected = null) {
+        const algorithm = expected ? expected.split(':')[0] : (globalThis.crypto?.subtle ? 'sha256' : 'fnv1a');
+        
+        if (algorithm === 'sha256') {
+            if (!globalThis.crypto?.subtle) {
+                throw new Error('SHA-256 checksums need a secure (https or localhost) context');
+            }
+            const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+            return `sha256:${Array.from(new Uint8Array(digest)).map(b => b.toString(16).padStart(2, '0')).join('')}`;
+        }
+        
+        return `fnv1a:${ACSAPIService.hashString(text)}`;
+    }
+
+    // ============================================================================
+    // ACS WORKER
+    // ============================================================================
+
+    /**
+     * Route worker events that outlive a single request: diagnostics,
+     * fetch-queue writes and background revalidation results
+     */
+    attachWorker(worker) {
+        worker.on('diagnostic', (json) => this.recordDiagnostic(ACSRequestError.fromJSON(json)));
+        worker.on('queue', (saved) => {
+            try {
+                this.queueStorage.write(saved);
+            } catch (e) {
+                console.error('Failed to save fetch queue:', e);
+            }
+        });
+        worker.on('revalidated', ({ records, vintage, geography }) => {
+            if (this.onRevalidated) this.onRevalidated(records, vintage, geography);
+        });
+        
+        let queue = {};
+        try {
+            queue = this.queueStorage.read();
+        } catch (e) {
+            console.error('Failed to load fetch queue:', e);
+        }
+        worker.post('init', { queue });
+    }
+
+    // Everything the worker needs to rebuild an equivalent service
+    getWorkerConfig() {
+        return {
+            apiKey: this.apiKey,
+            vintage: this.vintage,
+            geography: this.geography,
+            offline: this.offline,
+            concurrency: this.concurrency,
+            cacheTtlDays: this.cacheTtlDays,
+            staleWhileRevalidate: this.staleWhileRevalidate,
+            fixtureServer: this.fixtureServer,
+            metrics: this.metricRegistry.toJSON(),
+            proxies: this.proxyChain.toJSON(),
+            proxyHealth: this.proxyChain.exportHealth()
+        };
+    }
+
+    /**
+     * fetchCombinedData in the worker: only the finished records come back,
+     * in one message, along with the fetch report and proxy health
+     */
+    async fetchCombinedDataInWorker(zipCodes, options = {}) {
+        const result = await this.worker.request('fetchCombinedData', {
+            config: this.getWorkerConfig(),
+            zipCodes
+        }, options);
+        
+        this.lastFetchReport = result.report;
+        this.proxyChain.importHealth(result.proxyHealth);
+        this.stats = result.stats || this.stats;
+        
+        return result.records;
+    }
+
+    // Drop memory-cached records here and in the worker after the store changed
+    resetMemoryCache() {
+        this.memoryCache.clear();
+        if (this.worker?.available) {
+            let queue = {};
+            try {
+                queue = this.queueStorage.read();
+            } catch (e) {
+                console.error('Failed to load fetch queue:', e);
+            }
+            this.worker.post('invalidate', { queue });
+        }
+    }
+
     logCacheStats() {
         const totalAccess = this.stats.cacheHits + this.stats.cacheMisses;
         if (totalAccess > 0) {
             const hitRate = (this.stats.cacheHits / totalAccess * 100).toFixed(1);
-            console.log(`Cache performance: ${hitRate}% hit rate (24-hour TTL)`);
+            console.log(`Cache performance: ${hitRate}% hit rate (${this.cacheTtlDays}-day TTL)`);
         }
     }
 
@@ -487,4 +1596,7 @@ class ACSAPIService {
     }
 }
 
-window.ACSAPIService = ACSAPIService;
\ No newline at end of file
+// Export to global scope (also loaded into the ACS worker, which has no window)
+if (typeof window !== 'undefined') {
+    window.ACSAPIService = ACSAPIService;
+}
@@ -0,0 +1,161 @@
+// ============================================================================
+// ACS WORKER - FETCH, PARSE & CACHE PIPELINE OFF THE MAIN THREAD
+// ============================================================================
+
+importScripts(
+    'metricRegistry.js',
+    'requestErrors.js',
+    'requestScheduler.js',
+    'proxyChain.js',
+    'geographyLevels.js',
+    'provenance.js',
+    'acsApiService.js'
+);
+
+class ACSWorkerHost {
+    /**
+     * Messages in:  { type: 'init' | 'invalidate', payload }
+     *               { type: 'request', id, method, payload }
+     *               { type: 'abort', id }
+     * Messages out: { type: 'progress', id, progress }
+     *               { type: 'result', id, result } | { type: 'error', id, error }
+     *               { type: 'event', event, payload } for diagnostics,
+     *               fetch-queue writes and background revalidation
+     */
+    constructor(scope) {
+        this.scope = scope;
+        this.services = new Map(); // `${vintage}|${geography}` -> ACSAPIService
+        this.registry = null;
+        this.registryState = null;
+        this.proxyChain = new ACSProxyChain({ persist: false });
+        this.controllers = new Map(); // request id -> AbortController
+
+        // The page owns localStorage; keep a copy and post every write back
+        this.queue = {};
+        this.queueStorage = {
+            read: () => JSON.parse(JSON.stringify(this.queue)),
+            write: (saved) => {
+                this.queue = saved;
+                this.emit('queue', saved);
+            },
+            clear: () => {
+                this.queue = {};
+                this.emit('queue', {});
+            }
+        };
+
+        scope.onmessage = (event) => this.handleMessage(event.data);
+    }
+
+    handleMessage(message) {
+        switch (message?.type) {
+            case 'init':
+                this.queue = message.payload?.queue || {};
+                break;
+            case 'invalidate':
+                // The page cleared or imported into the cache
+                this.services.forEach(service => service.memoryCache.clear());
+                this.queue = message.payload?.queue || {};
+                break;
+            case 'abort':
+                this.controllers.get(message.id)?.abort();
+                break;
+            case 'request':
+                this.handleRequest(message);
+                break;
+            default:
+                console.warn('ACS worker: unknown message', message);
+        }
+    }
+
+    async handleRequest({ id, method, payload }) {
+        const controller = new AbortController();
+        this.controllers.set(id, controller);
+
+        try {
+            if (method !== 'fetchCombinedData') {
+                throw new Error(`Unknown ACS worker method: ${method}`);
+            }
+
+            const service = this.getService(payload.config);
+            const records = await service.fetchCombinedData(payload.zipCodes, {
+                signal: controller.signal,
+                onProgress: (progress) => this.scope.postMessage({ type: 'progress', id, progress })
+            });
+
+            this.scope.postMessage({
+                type: 'result',
+                id,
+                result: {
+                    records,
+                    report: service.lastFetchReport,
+                    proxyHealth: this.proxyChain.exportHealth(),
+                    stats: service.stats
+                }
+            });
+        } catch (error) {
+            this.scope.postMessage({ type: 'error', id, error: ACSWorkerHost.serializeError(error) });
+        } finally {
+            this.controllers.delete(id);
+        }
+    }
+
+    /**
+     * One service per vintage and geography, so an aborted load still
+     * finishing can't be reconfigured under a newer one. Settings that can
+     * change between loads are re-applied on every request.
+     */
+    getService(config) {
+        const metricsState = JSON.stringify(config.metrics || {});
+        if (metricsState !== this.registryState) {
+            this.registry = ACSMetricRegistry.fromJSON(config.metrics);
+            this.registryState = metricsState;
+            this.services.forEach(service => service.db?.close());
+            this.services.clear();
+        }
+
+        this.proxyChain.applyConfig(config.proxies || {});
+        this.proxyChain.importHealth(config.proxyHealth);
+
+        const key = `${config.vintage}|${config.geography}`;
+        let service = this.services.get(key);
+        if (!service) {
+            service = new ACSAPIService(config.apiKey, {
+                vintage: config.vintage,
+                geography: config.geography,
+                metricRegistry: this.registry,
+                proxyChain: this.proxyChain,
+                queueStorage: this.queueStorage,
+                onDiagnostic: (error) => this.emit('diagnostic', error.toJSON()),
+                onRevalidated: (records, vintage, geography) => this.emit('revalidated', { records, vintage, geography })
+            });
+            this.services.set(key, service);
+        }
+
+        service.apiKey = config.apiKey;
+        service.setFixtureServer(config.fixtureServer || null);
+        service.offline = !!config.offline;
+        service.concurrency = config.concurrency || ACSRequestScheduler.DEFAULT_CONCURRENCY;
+        service.setCacheTtl(config.cacheTtlDays);
+        service.staleWhileRevalidate = config.staleWhileRevalidate !== false;
+
+        return service;
+    }
+
+    emit(event, payload) {
+        this.scope.postMessage({ type: 'event', event, payload });
+    }
+
+    // Errors cross postMessage as plain objects; the client rebuilds them
+    static serializeError(error) {
+        if (error instanceof ACSRequestError) {
+            return { ...error.toJSON(), name: error.name };
+        }
+        return {
+            name: error?.name || 'Error',
+            message: error?.message || String(error)
+        };
+    }
+}
+
+new ACSWorkerHost(self);
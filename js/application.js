@@ -5,154 +5,1741 @@
 class ACSApplication {
     constructor() {
         this.zipIndex = new ZIPCodeIndex();
-        this.apiService = new ACSAPIService(localStorage.getItem('census_api_key') || '40f968d5f85f0dba69d01955f65f0ecbc6ebf678');
+        // ?zips=<url> swaps in another ZIP list (JSON or CSV, optionally gzipped);
+        // ?zipSchema=<json> maps its columns, e.g. {"zip":"postal_code","lat":"y","lng":"x"}
+        const params = new URLSearchParams(window.location.search);
+        const zipList = params.get('zips');
+        this.zipIndex.referenceUrl = zipList && this.confirmReferenceList(zipList) ? zipList : null;
+        this.zipIndex.referenceSchema = params.get('zipSchema');
+        this.metricRegistry = new ACSMetricRegistry();
+        
+        // Vintage & comparison settings
+        this.comparisonStorageKey = 'acs_comparison_v1';
+        this.comparison = this.loadComparisonSettings();
+        
+        // Geography level (ZCTA, tract, block group, county, place)
+        this.geographyStorageKey = 'acs_geography_v1';
+        this.geography = this.loadGeographySettings();
+        
+        // Regions beyond the states & DC (Puerto Rico, island areas) are opt-in
+        this.regionsStorageKey = 'acs_regions_v1';
+        this.regions = this.loadRegionSettings();
+        
+        // Classification settings (count vs rate mode)
+        this.analysisStorageKey = 'acs_analysis_v1';
+        this.analysis = this.loadAnalysisSettings();
+        
+        // Data source (live Census API vs imported files)
+        this.dataSourceStorageKey = 'acs_data_source_v1';
+        this.dataSource = this.loadDataSourceSettings();
+        
+        // Request scheduling (parallel Census API requests)
+        this.networkStorageKey = 'acs_network_v1';
+        this.network = this.loadNetworkSettings();
+        this.proxyChain = new ACSProxyChain();
+        
+        // Cache TTL and stale-while-revalidate
+        this.cacheStorageKey = 'acs_cache_settings_v1';
+        this.cacheSettings = this.loadCacheSettings();
+        
+        // Fetching, parsing and caching run in a worker so the map stays responsive
+        this.acsWorker = ACSWorkerClient.create('js/acsWorker.js');
+        
+        this.apiService = new ACSAPIService(localStorage.getItem('census_api_key') || '40f968d5f85f0dba69d01955f65f0ecbc6ebf678', {
+            metricRegistry: this.metricRegistry,
+            vintage: this.comparison.vintage,
+            geography: this.geography.level,
+            offline: this.dataSource.mode === 'import',
+            concurrency: this.network.concurrency,
+            proxyChain: this.proxyChain,
+            cacheTtlDays: this.cacheSettings.ttlDays,
+            staleWhileRevalidate: this.cacheSettings.staleWhileRevalidate,
+            fixtureServer: this.network.fixtureServer,
+            worker: this.acsWorker,
+            onDiagnostic: (error) => this.handleRequestError(error),
+            onRevalidated: (records, vintage, geography) => this.handleRevalidated(records, vintage, geography)
+        });
+        this.dataImporter = new ACSDataImporter(this.apiService);
+        this.variableBrowser = new ACSVariableBrowser({
+            apiService: this.apiService,
+            metricRegistry: this.metricRegistry,
+            sampleZip: () => Object.keys(this.currentData || {}).find(id => /^\d{5}$/.test(id)) || '',
+            onMetricAdded: (metric) => this.handleMetricAdded(metric)
+        });
+        this.locationSearch = new ACSLocationSearch({
+            zipIndex: this.zipIndex,
+            input: document.getElementById('locationSearchInput'),
+            list: document.getElementById('locationSearchResults'),
+            onSelect: (result, options) => this.handleSearchSelect(result, options)
+        });
         this.mapVisualizer = null;
         this.spatialUtils = new SpatialUtils();
         this.currentData = null;
+        this.baselineData = null;
         this.currentHotspots = [];
+        this.loadController = null;
+        
+        this.activeNotifications = new Map();
+        this.notificationId = 0;
+        this.errorNotifiedAt = new Map(); // error type -> last notification time
+        
+        this.statistics = {
+            educationOnly: 0,
+            incomeOnly: 0,
+            both: 0,
+            unreliable: 0,
+            total: 0,
+            byRegion: {}
+        };
+        this.sourceSummary = null;
+    }
+
+    async init() {
+        try {
+            console.log('Starting ACS Circle Analyzer...');
+            this.updateLoadingProgress('Loading ZIP code database...', 5);
+
+            await this.zipIndex.loadLevel('zcta');
+            this.updateLoadingProgress(`Loaded ${this.zipIndex.zips.size.toLocaleString()} ZIP codes`, 10);
+            
+            if (this.geography.level !== 'zcta') {
+                await this.loadGeographyCentroids(this.geography.level);
+            }
+
+            if (typeof ACSMapVisualizer === 'undefined') {
+                throw new Error('ACSMapVisualizer is not defined');
+            }
+
+            this.mapVisualizer = new ACSMapVisualizer('mapContainer', {
+                enableClustering: true,
+                maxClusterRadius: 40,
+                clusteringMaxZoom: 5,
+                topHotspotCount: 50,
+                metricRegistry: this.metricRegistry,
+                vintage: this.apiService.vintage,
+                geography: this.apiService.geography
+            });
+            this.mapVisualizer.setAnalysisMode(this.analysis.mode);
+            this.mapVisualizer.setThresholds(this.analysis.thresholds);
+
+            this.setupUI();
+            this.setupMapControls();
+            this.centerOnContinentalUS();
+
+            document.getElementById('app-loading').style.display = 'none';
+            document.querySelector('.app-container').style.display = 'flex';
+
+            console.log('✅ Application initialized');
+            
+            setTimeout(() => this.loadData(), 100);
+            
+        } catch (error) {
+            console.error('Initialization error:', error);
+            this.showNotification(`Error: ${error.message}`, 'error');
+        }
+    }
+
+    async loadData() {
+        // Starting a load cancels one still in flight; its fetched batches stay cached
+        this.loadController?.abort();
+        const controller = new AbortController();
+        this.loadController = controller;
+        const signal = controller.signal;
+        
+        this.showLoadProgress(`Loading ACS ${this.apiService.vintage} data ${this.apiService.offline ? 'from imported files' : `with ${this.cacheSettings.ttlDays}-day cache`}...`);
+        
+        try {
+            const allZips = this.getIncludedIds();
+            console.log(`Processing ${allZips.length} ${this.apiService.geographyLevel.units}`);
+            
+            const cacheStats = await this.apiService.getCacheStats();
+            this.updateCacheStats(cacheStats);
+            
+            const data = await this.apiService.fetchCombinedData(allZips, {
+                signal,
+                onProgress: (progress) => this.updateLoadProgress(progress, `ACS ${this.apiService.vintage}`)
+            });
+            this.currentData = data;
+            this.reportFetchFailures(this.apiService.lastFetchReport);
+            
+            const compareVintage = this.comparison.compareVintage;
+            this.baselineData = null;
+            if (compareVintage && compareVintage !== this.apiService.vintage) {
+                const baselineService = this.apiService.forVintage(compareVintage);
+                const baselineData = await baselineService.fetchCombinedData(allZips, {
+                    signal,
+                    onProgress: (progress) => this.updateLoadProgress(progress, `ACS ${compareVintage} (comparison)`)
+                });
+                this.apiService.attachComparison(data, baselineData, compareVintage);
+                this.baselineData = baselineData;
+                this.reportFetchFailures(baselineService.lastFetchReport);
+            }
+            
+            this.showLoadProgress('Rendering map...', 100);
+            const processedData = this.processData(data);
+            this.mapVisualizer.dataVintage = this.apiService.vintage;
+            await this.mapVisualizer.visualizeCombinedData(this.zipIndex.getLevel(this.apiService.geography), processedData);
+            this.mapVisualizer.setColorMode(
+                compareVintage ? this.comparison.colorMode : 'level',
+                this.comparison.growthMetric
+            );
+            
+            this.showNotification(`Loaded ${Object.keys(data).length.toLocaleString()} locations`, 'success');
+            
+            this.updateStatisticsUI();
+            
+        } catch (error) {
+            if (ACSRequestScheduler.isAbort(error)) {
+                // A newer load took over; it owns the progress bar now
+                if (this.loadController !== controller) return;
+                this.showNotification(`Loading cancelled. ${this.capitalize(this.apiService.geographyLevel.units)} fetched so far stay cached and the next load resumes from there.`, 'info');
+            } else {
+                console.error('Failed to load data:', error);
+                this.showNotification(`Failed to load data: ${error.message}`, 'error');
+            }
+        } finally {
+            if (this.loadController === controller) {
+                this.loadController = null;
+                this.hideLoadProgress();
+            }
+        }
+    }
+
+    cancelLoad() {
+        if (this.loadController) {
+            this.loadController.abort();
+        }
+    }
+
+    // ============================================================================
+    // LOAD PROGRESS
+    // ============================================================================
+
+    showLoadProgress(message, percentage = 0) {
+        const panel = document.getElementById('loadProgress');
+        if (panel) panel.hidden = false;
+        
+        const text = document.getElementById('loadProgressText');
+        const fill = document.getElementById('loadProgressFill');
+        const eta = document.getElementById('loadProgressEta');
+        if (text) text.textContent = message;
+        if (fill) fill.style.width = `${percentage}%`;
+        if (eta) eta.textContent = '';
+    }
+
+    /**
+     * Cache checks fill the first 10% of the bar, fetched batches the rest
+     */
+    updateLoadProgress(progress, label) {
+        let percentage;
+        let message;
+        const units = this.apiService.geographyLevel.units;
+        
+        if (progress.phase === 'cache') {
+            percentage = (progress.cacheChecked / Math.max(progress.cacheTotal, 1)) * 10;
+            message = `${label}: checked ${progress.cacheChecked.toLocaleString()} of ${progress.cacheTotal.toLocaleString()} cached ${units} (${progress.cacheHits.toLocaleString()} hits)`;
+        } else if (progress.phase === 'fetch') {
+            percentage = 10 + (progress.batchesDone / Math.max(progress.batchesTotal, 1)) * 90;
+            message = `${label}: batch ${progress.batchesDone.toLocaleString()}/${progress.batchesTotal.toLocaleString()} · ` +
+                `${progress.zipsFetched.toLocaleString()} of ${progress.zipsTotal.toLocaleString()} ${units} fetched` +
+                (progress.zipsFailed > 0 ? ` · ${progress.zipsFailed.toLocaleString()} failed` : '');
+        } else {
+            percentage = 100;
+            message = `${label}: ${progress.cacheHits.toLocaleString()} cached + ${progress.zipsFetched.toLocaleString()} fetched`;
+        }
+        
+        this.showLoadProgress(message, percentage);
+        
+        const eta = document.getElementById('loadProgressEta');
+        if (eta && progress.phase === 'fetch' && progress.etaMs !== null) {
+            eta.textContent = `~${this.formatDuration(progress.etaMs)} left`;
+        }
+    }
+
+    hideLoadProgress() {
+        const panel = document.getElementById('loadProgress');
+        if (panel) panel.hidden = true;
+    }
+
+    formatDuration(ms) {
+        const seconds = Math.max(0, Math.round(ms / 1000));
+        if (seconds < 60) return `${seconds}s`;
+        const minutes = Math.floor(seconds / 60);
+        if (minutes < 60) return `${minutes}m ${seconds % 60}s`;
+        return `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+    }
+
+    processData(apiData) {
+        const processedData = {};
+        this.statistics = { educationOnly: 0, incomeOnly: 0, both: 0, unreliable: 0, total: 0, byRegion: {} };
+        
+        Object.entries(apiData).forEach(([zip, record]) => {
+            if (record && record.data) {
+                const flags = this.metricRegistry.classify(record, this.analysis.mode, this.analysis.thresholds);
+                const hasEducation = flags.hasEducation;
+                const hasIncome = flags.hasIncome;
+                
+                if (hasEducation && hasIncome) {
+                    this.statistics.both++;
+                } else if (hasEducation) {
+                    this.statistics.educationOnly++;
+                } else if (hasIncome) {
+                    this.statistics.incomeOnly++;
+                }
+                
+                if (hasEducation || hasIncome) {
+                    processedData[zip] = record;
+                    if (flags.unreliable) {
+                        this.statistics.unreliable++;
+                    }
+                }
+            }
+        });
+        
+        this.statistics.total = Object.keys(processedData).length;
+        Object.keys(processedData).forEach(id => {
+            const region = this.regionOf(id);
+            this.statistics.byRegion[region] = (this.statistics.byRegion[region] || 0) + 1;
+        });
+        this.sourceSummary = ACSProvenance.summarize(Object.values(processedData), { vintage: this.apiService.vintage });
+        return processedData;
+    }
+
+    // ============================================================================
+    // UI SETUP - No hotspot list creation
+    // ============================================================================
+
+    setupUI() {
+        this.updateStatisticsUI();
+        
+        // API Key button
+        document.getElementById('apiKeyBtn')?.addEventListener('click', () => {
+            this.showApiKeyDialog();
+        });
+        
+        // Reload data button
+        document.getElementById('reloadDataBtn')?.addEventListener('click', () => {
+            this.reloadData();
+        });
+        
+        // Draw Circle button (kept for reference)
+        document.getElementById('drawCircleBtn')?.addEventListener('click', () => {
+            this.showNotification('Right-click + drag to draw circle (max 5mi), left-click to finish', 'info');
+        });
+        
+        // Clear Circles button
+        document.getElementById('clearCirclesBtn')?.addEventListener('click', () => {
+            if (this.mapVisualizer) {
+                this.mapVisualizer.clearAllCircles();
+            }
+        });
+        
+        // Show Hotspots button (kept for future use)
+        document.getElementById('showHotspotsBtn')?.addEventListener('click', () => {
+            if (this.mapVisualizer) {
+                this.mapVisualizer.calculateAndShowHotspots();
+            }
+        });
+        
+        // Circle Stats button
+        document.getElementById('circleStatsBtn')?.addEventListener('click', () => {
+            this.showCircleStatistics();
+        });
+        
+        this.setupVintageControls();
+        this.setupGeographyControls();
+        this.setupRegionControls();
+        this.setupReferencePanel();
+        this.setupCrosswalkPanel();
+        this.setupAnalysisControls();
+        this.setupMetricPackControls();
+        this.setupVariableBrowser();
+        this.setupDataSourceControls();
+        this.setupNetworkControls();
+        this.setupCacheControls();
+        this.setupProxyControls();
+        this.setupDiagnosticsPanel();
+        
+        document.getElementById('cancelLoadBtn')?.addEventListener('click', () => {
+            this.cancelLoad();
+        });
+    }
+
+    // ============================================================================
+    // CLASSIFICATION MODE & THRESHOLDS
+    // ============================================================================
+
+    loadAnalysisSettings() {
+        const defaults = { mode: 'count', thresholds: ACSMetricRegistry.DEFAULT_THRESHOLDS };
+        
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.analysisStorageKey) || '{}');
+            const settings = { ...defaults, ...saved };
+            if (!ACSMetricRegistry.ANALYSIS_MODES.includes(settings.mode)) settings.mode = defaults.mode;
+            
+            // Merge per mode so a partial save never drops a threshold
+            settings.thresholds = {};
+            ACSMetricRegistry.ANALYSIS_MODES.forEach(mode => {
+                settings.thresholds[mode] = { ...defaults.thresholds[mode], ...(saved.thresholds?.[mode] || {}) };
+            });
+            return settings;
+        } catch (e) {
+            console.error('Failed to load analysis settings:', e);
+            return defaults;
+        }
+    }
+
+    saveAnalysisSettings() {
+        try {
+            localStorage.setItem(this.analysisStorageKey, JSON.stringify(this.analysis));
+        } catch (e) {
+            console.error('Failed to save analysis settings:', e);
+        }
+    }
+
+    setupAnalysisControls() {
+        const modeSelect = document.getElementById('analysisModeSelect');
+        
+        if (modeSelect) {
+            modeSelect.value = this.analysis.mode;
+            modeSelect.addEventListener('change', (e) => {
+                this.setAnalysisMode(e.target.value);
+            });
+        }
+        
+        ACSMetricRegistry.CRITERIA_SLOTS.forEach(criterion => {
+            document.getElementById(`${criterion}CriterionSelect`)?.addEventListener('change', (e) => {
+                this.setCriterion(criterion, e.target.value);
+            });
+            
+            const slider = document.getElementById(`${criterion}Threshold`);
+            if (!slider) return;
+            
+            // Live label while dragging, reclassify on release
+            slider.addEventListener('input', (e) => {
+                this.updateThresholdLabel(criterion, parseFloat(e.target.value));
+            });
+            slider.addEventListener('change', (e) => {
+                this.setThreshold(criterion, parseFloat(e.target.value));
+            });
+        });
+        
+        document.getElementById('resetThresholdsBtn')?.addEventListener('click', () => {
+            this.analysis.thresholds[this.analysis.mode] = this.metricRegistry.getDefaultThresholds(this.analysis.mode);
+            this.saveAnalysisSettings();
+            this.applyClassification('Thresholds reset to defaults');
+        });
+        
+        this.updateThresholdControls();
+    }
+
+    /**
+     * Re-classify loaded data as counts or rates; no refetch needed
+     */
+    async setAnalysisMode(mode) {
+        this.analysis.mode = mode;
+        this.saveAnalysisSettings();
+        await this.applyClassification(`Switched to ${mode === 'rate' ? 'rate (share of population)' : 'count'} mode`);
+    }
+
+    async setThreshold(criterion, value) {
+        if (isNaN(value)) return;
+        
+        this.analysis.thresholds[this.analysis.mode][criterion] = value;
+        this.saveAnalysisSettings();
+        
+        const id = this.metricRegistry.getCriteria(this.analysis.mode)[criterion];
+        const metric = this.metricRegistry.get(id);
+        await this.applyClassification(`${metric ? metric.label : id} threshold set to ${this.metricRegistry.formatValue(id, value)}`);
+    }
+
+    /**
+     * Choose the metric behind a classification slot in the current mode;
+     * its threshold starts at that metric's default
+     */
+    async setCriterion(criterion, id) {
+        const mode = this.analysis.mode;
+        
+        try {
+            this.metricRegistry.setCriterion(mode, criterion, id);
+        } catch (error) {
+            this.showNotification(error.message, 'error');
+            this.updateThresholdControls();
+            return;
+        }
+        
+        this.analysis.thresholds[mode][criterion] = this.metricRegistry.defaultThreshold(id, mode, criterion);
+        this.saveAnalysisSettings();
+        
+        const metric = this.metricRegistry.get(id);
+        await this.applyClassification(`${metric.label} now colors ${criterion === 'education' ? 'blue' : 'red'} markers`);
+    }
+
+    /**
+     * Reclassify cached records with the current mode and thresholds:
+     * re-colors markers, recounts statistics and recomputes saved rings
+     */
+    async applyClassification(message) {
+        this.updateThresholdControls();
+        
+        if (!this.mapVisualizer) return;
+        this.mapVisualizer.setAnalysisMode(this.analysis.mode);
+        this.mapVisualizer.setThresholds(this.analysis.thresholds);
+        
+        if (this.currentData) {
+            const processedData = this.processData(this.currentData);
+            await this.mapVisualizer.visualizeCombinedData(this.zipIndex.getLevel(this.apiService.geography), processedData);
+            this.mapVisualizer.setColorMode(this.mapVisualizer.colorMode, this.mapVisualizer.growthMetric);
+            this.updateStatisticsUI();
+        }
+        
+        if (message) {
+            this.showNotification(message, 'info');
+        }
+    }
+
+    updateThresholdControls() {
+        const mode = this.analysis.mode;
+        const criteria = this.metricRegistry.getCriteria(mode);
+        const options = this.metricRegistry.getAll()
+            .map(metric => `<option value="${metric.id}">${HTMLUtils.escape(metric.label)}</option>`)
+            .join('');
+        
+        ACSMetricRegistry.CRITERIA_SLOTS.forEach(criterion => {
+            const select = document.getElementById(`${criterion}CriterionSelect`);
+            const slider = document.getElementById(`${criterion}Threshold`);
+            const label = document.getElementById(`${criterion}ThresholdLabel`);
+            const metric = this.metricRegistry.get(criteria[criterion]);
+            const range = this.metricRegistry.thresholdRange(criteria[criterion], mode);
+            
+            if (select) {
+                select.innerHTML = options;
+                select.value = criteria[criterion];
+            }
+            if (label) label.textContent = metric ? metric.label : criteria[criterion];
+            if (slider) {
+                slider.min = range.min;
+                slider.max = range.max;
+                slider.step = range.step;
+                slider.value = this.analysis.thresholds[mode][criterion];
+            }
+            this.updateThresholdLabel(criterion, this.analysis.thresholds[mode][criterion]);
+        });
+        
+        this.updateCriteriaDescription();
+    }
+
+    updateThresholdLabel(criterion, value) {
+        const el = document.getElementById(`${criterion}ThresholdValue`);
+        if (el) {
+            const id = this.metricRegistry.getCriteria(this.analysis.mode)[criterion];
+            el.textContent = `≥ ${this.metricRegistry.formatValue(id, value)}`;
+        }
+    }
+
+    updateCriteriaDescription() {
+        const mode = this.analysis.mode;
+        const criteria = this.metricRegistry.getCriteria(mode);
+        const thresholds = this.analysis.thresholds[mode];
+        const describe = (id, threshold) => {
+            const metric = this.metricRegistry.get(id);
+            return `${metric ? metric.label : id} ≥ ${this.metricRegistry.formatValue(id, threshold)}`;
+        };
+        
+        const el = document.getElementById('criteriaDescription');
+        if (el) {
+            el.innerHTML = `${HTMLUtils.escape(describe(criteria.education, thresholds.education))}<br>${HTMLUtils.escape(describe(criteria.income, thresholds.income))}`;
+        }
+        
+        const headerEl = document.getElementById('appDescription');
+        if (headerEl) {
+            headerEl.textContent = `${describe(criteria.education, thresholds.education)} & ${describe(criteria.income, thresholds.income)}`;
+        }
+    }
+
+    // ============================================================================
+    // VINTAGE & COMPARISON
+    // ============================================================================
+
+    loadComparisonSettings() {
+        const defaults = {
+            vintage: ACSAPIService.DEFAULT_VINTAGE,
+            compareVintage: null,
+            colorMode: 'level',
+            growthMetric: this.metricRegistry.criteria.education
+        };
+        
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.comparisonStorageKey) || '{}');
+            const settings = { ...defaults, ...saved };
+            if (!ACSAPIService.VINTAGES.includes(settings.vintage)) settings.vintage = defaults.vintage;
+            if (!ACSAPIService.VINTAGES.includes(settings.compareVintage)) settings.compareVintage = null;
+            return settings;
+        } catch (e) {
+            console.error('Failed to load comparison settings:', e);
+            return defaults;
+        }
+    }
+
+    saveComparisonSettings() {
+        try {
+            localStorage.setItem(this.comparisonStorageKey, JSON.stringify(this.comparison));
+        } catch (e) {
+            console.error('Failed to save comparison settings:', e);
+        }
+    }
+
+    setupVintageControls() {
+        const vintageSelect = document.getElementById('vintageSelect');
+        const compareSelect = document.getElementById('compareVintageSelect');
+        const colorModeSelect = document.getElementById('colorModeSelect');
+        const growthMetricSelect = document.getElementById('growthMetricSelect');
+        
+        if (vintageSelect) {
+            vintageSelect.innerHTML = ACSAPIService.VINTAGES
+                .map(year => `<option value="${year}">ACS ${year - 4}–${year}</option>`)
+                .join('');
+            vintageSelect.value = this.comparison.vintage;
+            vintageSelect.addEventListener('change', (e) => {
+                this.comparison.vintage = parseInt(e.target.value);
+                this.apiService.setVintage(this.comparison.vintage);
+                this.saveComparisonSettings();
+                this.updateVintageLabel();
+                this.reloadData();
+            });
+        }
+        
+        if (compareSelect) {
+            compareSelect.innerHTML += ACSAPIService.VINTAGES
+                .map(year => `<option value="${year}">ACS ${year - 4}–${year}</option>`)
+                .join('');
+            compareSelect.value = this.comparison.compareVintage || '';
+            compareSelect.addEventListener('change', (e) => {
+                this.comparison.compareVintage = e.target.value ? parseInt(e.target.value) : null;
+                this.saveComparisonSettings();
+                this.updateVintageLabel();
+                this.reloadData();
+            });
+        }
+        
+        if (colorModeSelect) {
+            colorModeSelect.value = this.comparison.colorMode;
+            colorModeSelect.addEventListener('change', (e) => {
+                if (e.target.value === 'growth' && !this.comparison.compareVintage) {
+                    this.showNotification('Choose a comparison vintage to color by growth', 'warning');
+                    e.target.value = 'level';
+                    return;
+                }
+                this.comparison.colorMode = e.target.value;
+                this.saveComparisonSettings();
+                this.mapVisualizer?.setColorMode(this.comparison.colorMode, this.comparison.growthMetric);
+            });
+        }
+        
+        if (growthMetricSelect) {
+            this.updateGrowthMetricOptions();
+            growthMetricSelect.addEventListener('change', (e) => {
+                this.comparison.growthMetric = e.target.value;
+                this.saveComparisonSettings();
+                this.mapVisualizer?.setColorMode(this.comparison.colorMode, this.comparison.growthMetric);
+            });
+        }
+        
+        this.updateVintageLabel();
+    }
+
+    updateGrowthMetricOptions() {
+        const select = document.getElementById('growthMetricSelect');
+        if (!select) return;
+        
+        if (!this.metricRegistry.get(this.comparison.growthMetric)) {
+            this.comparison.growthMetric = this.metricRegistry.criteria.education;
+            this.saveComparisonSettings();
+        }
+        select.innerHTML = this.metricRegistry.getAll()
+            .map(metric => `<option value="${metric.id}">${HTMLUtils.escape(metric.label)}</option>`)
+            .join('');
+        select.value = this.comparison.growthMetric;
+    }
+
+    updateVintageLabel() {
+        const label = document.getElementById('dataVintageLabel');
+        if (label) {
+            const { vintage, compareVintage } = this.comparison;
+            label.textContent = compareVintage ? `ACS ${vintage} vs ${compareVintage}` : `ACS ${vintage}`;
+        }
+    }
+
+    // ============================================================================
+    // METRIC PACKS
+    // ============================================================================
+
+    setupMetricPackControls() {
+        const list = document.getElementById('metricPackList');
+        if (!list) return;
+        
+        list.innerHTML = this.metricRegistry.getPacks().map(pack => `
+            <label class="settings-checkbox" title="${pack.description}">
+                <input type="checkbox" data-pack="${pack.id}" ${pack.enabled ? 'checked' : ''}>
+                ${pack.label} <span style="color: #9ca3af;">(${pack.metrics.map(m => m.label).join(', ')})</span>
+            </label>
+        `).join('');
+        
+        list.querySelectorAll('input[data-pack]').forEach(input => {
+            input.addEventListener('change', (e) => {
+                this.setMetricPack(e.target.dataset.pack, e.target.checked);
+            });
+        });
+    }
+
+    /**
+     * Enable or disable a metric pack. The request variables change, so
+     * cached records no longer match and the data is reloaded.
+     */
+    async setMetricPack(packId, enabled) {
+        try {
+            this.metricRegistry.setPackEnabled(packId, enabled);
+        } catch (error) {
+            this.showNotification(error.message, 'error');
+            this.setupMetricPackControls();
+            return;
+        }
+        
+        this.updateThresholdControls();
+        this.updateGrowthMetricOptions();
+        
+        const pack = this.metricRegistry.getPacks().find(p => p.id === packId);
+        this.showNotification(`${pack.label} metrics ${enabled ? 'enabled' : 'disabled'}; reloading data`, 'info');
+        await this.reloadData();
+    }
+
+    setupVariableBrowser() {
+        document.getElementById('variableBrowserBtn')?.addEventListener('click', () => {
+            this.variableBrowser.open();
+        });
+    }
+
+    handleMetricAdded(metric) {
+        this.updateThresholdControls();
+        this.updateGrowthMetricOptions();
+        this.showNotification(`${metric.label} added. Reload data to fetch it.`, 'success');
+    }
+
+    // ============================================================================
+    // GEOGRAPHY LEVEL
+    // ============================================================================
+
+    loadGeographySettings() {
+        const defaults = { level: ACSGeography.DEFAULT_LEVEL };
+        
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.geographyStorageKey) || '{}');
+            return ACSGeography.isValid(saved.level) ? { ...defaults, ...saved } : defaults;
+        } catch (e) {
+            console.error('Failed to load geography settings:', e);
+            return defaults;
+        }
+    }
+
+    saveGeographySettings() {
+        try {
+            localStorage.setItem(this.geographyStorageKey, JSON.stringify(this.geography));
+        } catch (e) {
+            console.error('Failed to save geography settings:', e);
+        }
+    }
+
+    setupGeographyControls() {
+        const geographySelect = document.getElementById('geographySelect');
+        
+        if (geographySelect) {
+            geographySelect.innerHTML = ACSGeography.getAll()
+                .map(level => `<option value="${level.id}">${level.label}</option>`)
+                .join('');
+            geographySelect.value = this.apiService.geography;
+            geographySelect.addEventListener('change', (e) => {
+                this.setGeography(e.target.value);
+            });
+        }
+        
+        this.updateGeographyLabel();
+    }
+
+    /**
+     * Centroids for a non-ZCTA level come from a separate Census file
+     * (Gazetteer or centers of population); fall back to ZCTAs without it
+     */
+    async loadGeographyCentroids(levelId) {
+        const level = ACSGeography.get(levelId);
+        this.updateLoadingProgress(`Loading ${level.label} centroids...`, 10);
+        
+        try {
+            await this.zipIndex.loadLevel(level.id);
+            return true;
+        } catch (error) {
+            console.error(`Failed to load ${level.label} centroids:`, error);
+            this.showNotification(`${level.label} locations are unavailable (${error.message}); showing ZIP codes instead.`, 'warning');
+            this.geography.level = 'zcta';
+            this.apiService.setGeography('zcta');
+            return false;
+        }
+    }
+
+    /**
+     * Switch the active geography: markers, rings and statistics all use
+     * the new level's centroids and ACS records
+     */
+    async setGeography(levelId) {
+        if (!ACSGeography.isValid(levelId) || levelId === this.apiService.geography) return;
+        
+        const level = ACSGeography.get(levelId);
+        const notification = this.showNotification(`Loading ${level.label} locations...`, 'loading');
+        
+        try {
+            await this.zipIndex.loadLevel(level.id);
+        } catch (error) {
+            console.error(`Failed to load ${level.label} centroids:`, error);
+            this.showNotification(`Cannot switch to ${level.label}: ${error.message}`, 'error');
+            const geographySelect = document.getElementById('geographySelect');
+            if (geographySelect) geographySelect.value = this.apiService.geography;
+            return;
+        } finally {
+            this.hideNotification(notification);
+        }
+        
+        this.applyGeographyLevel(level.id);
+        this.reloadData();
+    }
+
+    applyGeographyLevel(levelId) {
+        this.geography.level = levelId;
+        this.saveGeographySettings();
+        this.apiService.setGeography(levelId);
+        this.mapVisualizer?.setGeographyLevel(levelId);
+        this.baselineData = null;
+        
+        const geographySelect = document.getElementById('geographySelect');
+        if (geographySelect) geographySelect.value = levelId;
+        this.updateGeographyLabel();
+    }
+
+    updateGeographyLabel() {
+        const level = this.apiService.geographyLevel;
+        const countLabel = document.getElementById('zipCountLabel');
+        const geographyLabel = document.getElementById('geographyLabel');
+        
+        if (countLabel) countLabel.textContent = `${this.capitalize(level.units)}:`;
+        if (geographyLabel) geographyLabel.textContent = level.label;
+        this.updateStatisticsUI();
+    }
+
+    capitalize(text) {
+        return text.charAt(0).toUpperCase() + text.slice(1);
+    }
+
+    // ============================================================================
+    // REGIONS - PUERTO RICO & ISLAND AREAS
+    // ============================================================================
+
+    loadRegionSettings() {
+        const defaults = { included: ACSGeography.DEFAULT_REGIONS };
+        
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.regionsStorageKey) || '{}');
+            const regions = ACSGeography.REGIONS;
+            const included = (Array.isArray(saved.included) ? saved.included : [])
+                .filter(id => Object.prototype.hasOwnProperty.call(regions, id));
+            Object.values(regions).forEach(region => {
+                if (region.required && !included.includes(region.id)) included.unshift(region.id);
+            });
+            return { ...defaults, included };
+        } catch (e) {
+            console.error('Failed to load region settings:', e);
+            return defaults;
+        }
+    }
+
+    saveRegionSettings() {
+        try {
+            localStorage.setItem(this.regionsStorageKey, JSON.stringify(this.regions));
+        } catch (e) {
+            console.error('Failed to save region settings:', e);
+        }
+    }
+
+    setupRegionControls() {
+        const container = document.getElementById('regionControls');
+        if (!container) return;
+        
+        container.innerHTML = Object.values(ACSGeography.REGIONS).map(region => `
+            <label class="settings-checkbox">
+                <input type="checkbox" data-region="${region.id}" ${this.regions.included.includes(region.id) ? 'checked' : ''} ${region.required ? 'disabled' : ''}>
+                ${region.label}
+            </label>
+        `).join('');
+        
+        container.querySelectorAll('input[data-region]').forEach(input => {
+            input.addEventListener('change', (e) => {
+                this.setRegionIncluded(e.target.dataset.region, e.target.checked);
+            });
+        });
+    }
+
+    setRegionIncluded(regionId, included) {
+        const region = ACSGeography.REGIONS[regionId];
+        if (!region || region.required) return;
+        
+        const others = this.regions.included.filter(id => id !== regionId);
+        this.regions.included = included ? [...others, regionId] : others;
+        this.saveRegionSettings();
+        
+        if (included && !region.survey) {
+            this.showNotification(`${region.label}: the ACS publishes no data here, so these ${this.apiService.geographyLevel.units} will usually come back empty.`, 'warning');
+        }
+        this.reloadData();
+    }
+
+    /**
+     * GEOIDs of the current level in the included regions; what a load requests
+     */
+    getIncludedIds() {
+        return this.zipIndex.getAllIds(this.apiService.geography, ACSGeography.excludedStates(this.regions.included));
+    }
+
+    regionOf(geoId) {
+        const record = this.zipIndex.getLevel(this.apiService.geography).get(geoId);
+        if (record?.state_id) return ACSGeography.regionOfState(record.state_id);
+        return ACSGeography.isPuertoRico(this.apiService.geographyLevel, geoId) ? 'pr' : 'states';
+    }
+
+    // ============================================================================
+    // ZIP REFERENCE VALIDATION
+    // ============================================================================
+
+    /**
+     * What the ZIP list loaded from, and the rows it rejected, repeated or
+     * flagged as suspicious
+     */
+    setupReferencePanel() {
+        const container = document.getElementById('zipReferenceContent');
+        const report = this.zipIndex.referenceReport;
+        if (!container || !report) return;
+        
+        const limit = ZIPCodeIndex.REPORT_LIST_LIMIT;
+        const list = (items, render) => `
+            <div style="max-height: 160px; overflow-y: auto; font-size: 11px; color: #4b5563; margin-top: 4px;">
+                ${items.slice(0, limit).map(render).join('<br>')}${items.length > limit ? `<br>… and ${(items.length - limit).toLocaleString()} more` : ''}
+            </div>
+        `;
+        const row = (label, count, color, title) => `
+            <div style="display: flex; justify-content: space-between; margin-bottom: 6px;" title="${title}">
+                <span>${label}</span>
+                <strong style="color: ${color};">${count.toLocaleString()}</strong>
+            </div>
+        `;
+        const section = (items, title, render) => items.length ? `
+            <details style="margin-top: 6px;">
+                <summary style="cursor: pointer; font-size: 12px;">${title}</summary>
+                ${list(items, render)}
+            </details>` : '';
+        const escape = HTMLUtils.escape;
+        
+        container.innerHTML = `
+            <div class="settings-note" style="margin-bottom: 8px;">
+                <code>${escape(report.url)}</code> · ${report.format.toUpperCase()}${report.compressed ? ' (gzip)' : ''}
+            </div>
+            ${row('Rows read', report.rows, '#1f2937', 'Data rows in the file')}
+            ${row('ZIPs loaded', report.accepted, '#065f46', 'Rows kept in the index')}
+            ${row('Rejected', report.counts.rejected, '#991b1b', 'Missing or invalid ZIP or coordinates; left out')}
+            ${row('Duplicates', report.counts.duplicate, '#92400e', 'ZIP already seen; the first row is kept')}
+            ${row('Suspicious', report.counts.suspicious, '#1e40af', 'Kept, but e.g. the coordinates fall outside the stated state')}
+            ${section(report.rejected, 'Rejected rows', r => `Line ${r.line}: ${escape(r.zip || '—')} ${escape(r.reason)}`)}
+            ${section(report.duplicates, 'Duplicate rows', d => `Line ${d.line}: ${escape(d.zip)} (first on line ${d.firstLine})`)}
+            ${section(report.suspicious, 'Suspicious rows', r => `Line ${r.line}: ${escape(r.zip)} ${escape(r.reason)}`)}
+            <div class="settings-note" style="margin-top: 6px;">Columns kept: ${escape(report.fields.join(', '))}</div>
+            ${report.schema ? `<div class="settings-note">Column mapping: <code>${escape(JSON.stringify(report.schema))}</code></div>` : ''}
+            <button id="zipReferenceReportBtn" class="btn btn-secondary settings-btn">
+                <i class="fas fa-file-csv"></i> Download validation report
+            </button>
+        `;
+        
+        document.getElementById('zipReferenceReportBtn')?.addEventListener('click', () => {
+            this.downloadReferenceReport();
+        });
+    }
+
+    downloadReferenceReport() {
+        const report = this.zipIndex.referenceReport;
+        const quote = (text) => `"${String(text).replace(/"/g, '""')}"`;
+        const lines = ['line,zip,issue,detail'];
+        report.rejected.forEach(r => lines.push([r.line, quote(r.zip), 'rejected', quote(r.reason)].join(',')));
+        report.duplicates.forEach(d => lines.push([d.line, d.zip, 'duplicate', quote(`first on line ${d.firstLine}`)].join(',')));
+        report.suspicious.forEach(r => lines.push([r.line, r.zip, 'suspicious', quote(r.reason)].join(',')));
+        
+        this.downloadCsv(lines, 'zip_reference_report.csv');
+    }
+
+    // ============================================================================
+    // ZIP -> ZCTA CROSSWALK
+    // ============================================================================
+
+    /**
+     * Which postal ZIPs have their own ZCTA, share one, take another ZCTA's
+     * data, or have no ACS geography at all
+     */
+    setupCrosswalkPanel() {
+        const container = document.getElementById('crosswalkContent');
+        const report = this.zipIndex.crosswalkReport;
+        if (!container || !report) return;
+        
+        if (!report.available) {
+            container.innerHTML = `
+                <div class="settings-note">
+                    No crosswalk file (<code>${ACSGeography.get('zcta').crosswalk.url}</code>): postal ZIPs are requested as ZCTAs, so PO-box and unique ZIPs return no data.
+                </div>
+            `;
+            return;
+        }
+        
+        const limit = ZIPCodeIndex.REPORT_LIST_LIMIT;
+        const list = (items, render) => `
+            <div style="max-height: 160px; overflow-y: auto; font-size: 11px; color: #4b5563; margin-top: 4px;">
+                ${items.slice(0, limit).map(render).join(', ')}${items.length > limit ? ` … and ${(items.length - limit).toLocaleString()} more` : ''}
+            </div>
+        `;
+        const row = (label, count, color, title) => `
+            <div style="display: flex; justify-content: space-between; margin-bottom: 6px;" title="${title}">
+                <span>${label}</span>
+                <strong style="color: ${color};">${count.toLocaleString()}</strong>
+            </div>
+        `;
+        
+        container.innerHTML = `
+            ${row('Own ZCTA', report.counts.exact, '#1f2937', 'Postal ZIP and ZCTA are the same area')}
+            ${row('Shared ZCTA', report.counts.merged, '#6b21a8', 'ZCTA that other ZIPs also map onto')}
+            ${row('Mapped to another ZCTA', report.counts.mapped, '#1e40af', 'PO-box, unique or split ZIPs shown with the data of the ZCTA around them')}
+            ${row('No ACS geography', report.counts.none, '#991b1b', 'Not requested from the Census API')}
+            ${report.mapped.length ? `
+            <details style="margin-top: 6px;">
+                <summary style="cursor: pointer; font-size: 12px;">Mapped ZIPs</summary>
+                ${list(report.mapped, m => `${m.zip} → ${m.zcta}`)}
+            </details>` : ''}
+            ${report.merged.length ? `
+            <details style="margin-top: 6px;">
+                <summary style="cursor: pointer; font-size: 12px;">Merged ZCTAs (${report.merged.length.toLocaleString()})</summary>
+                ${list(report.merged, m => `${m.zcta} ← ${m.zips.join(' + ')}`)}
+            </details>` : ''}
+            ${report.none.length ? `
+            <details style="margin-top: 6px;">
+                <summary style="cursor: pointer; font-size: 12px;">ZIPs without ACS geography</summary>
+                ${list(report.none, zip => zip)}
+            </details>` : ''}
+            <button id="crosswalkReportBtn" class="btn btn-secondary settings-btn">
+                <i class="fas fa-file-csv"></i> Download crosswalk report
+            </button>
+        `;
+        
+        document.getElementById('crosswalkReportBtn')?.addEventListener('click', () => {
+            this.downloadCrosswalkReport();
+        });
+    }
+
+    downloadCrosswalkReport() {
+        const lines = ['zip,status,zcta,city,state'];
+        this.zipIndex.zips.forEach(record => {
+            lines.push([record.zip, record.crosswalkStatus, record.zcta || '', `"${(record.city || '').replace(/"/g, '""')}"`, record.state_id].join(','));
+        });
+        
+        this.downloadCsv(lines, 'zip_zcta_report.csv');
+    }
+    
+    downloadCsv(lines, filename) {
+        const url = URL.createObjectURL(new Blob([lines.join('\n')], { type: 'text/csv' }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    // ============================================================================
+    // LOCATION SEARCH
+    // ============================================================================
+
+    /**
+     * Fly to a search result. ZIPs and cities open the popup of the marker
+     * that carries their data; counties fit the map to their ZIPs. With
+     * dropRing a 5 / 10 / 25-mile ring set is drawn around the result.
+     */
+    handleSearchSelect(result, { dropRing = false } = {}) {
+        const visualizer = this.mapVisualizer;
+        if (!visualizer?.map) return;
+        
+        const center = L.latLng(result.lat, result.lng);
+        const marker = this.findSearchMarker(result);
+        
+        if (result.type === 'county') {
+            visualizer.map.fitBounds(result.bounds, { padding: [40, 40], maxZoom: 11 });
+        } else {
+            visualizer.map.flyTo(marker ? marker.getLatLng() : center, Math.max(visualizer.map.getZoom(), result.type === 'zip' ? 12 : 11), {
+                duration: 0.8
+            });
+        }
+        
+        if (dropRing) {
+            visualizer.createRing(center);
+            this.showNotification(`Ring dropped at ${result.label}`, 'success');
+        } else if (marker && result.type !== 'county') {
+            setTimeout(() => {
+                visualizer.closeAllPopups();
+                visualizer.showMarkerPopup(marker, marker.zip);
+            }, 800);
+        } else if (!marker && result.type === 'zip') {
+            const resolved = this.zipIndex.resolveZip(result.id);
+            this.showNotification(resolved.zcta
+                ? `No data marker for ZIP ${result.id} (ZCTA ${resolved.zcta}) in the current view`
+                : `ZIP ${result.id} has no ZCTA, so it has no ACS data`, 'info');
+        }
+    }
+    
+    /**
+     * The marker a ZIP's data is drawn on: its ZCTA's marker, or for other
+     * geography levels the nearest marker within a couple of miles. Cities
+     * use their most populous ZIP.
+     */
+    findSearchMarker(result) {
+        const visualizer = this.mapVisualizer;
+        if (result.type === 'county') return null;
+        
+        const zips = result.zips
+            .map(zip => this.zipIndex.get(zip))
+            .filter(Boolean)
+            .sort((a, b) => (b.population || 0) - (a.population || 0));
+        const anchor = zips[0];
+        if (!anchor) return null;
+        
+        // At ZCTA level a ZIP has exactly one marker; a nearby one would be a different ZIP
+        if (this.apiService.geography === 'zcta') {
+            const zcta = this.zipIndex.resolveZip(anchor.zip)?.zcta;
+            return zcta ? visualizer.markers.get(zcta) || null : null;
+        }
+        
+        const nearest = visualizer.spatialIndex?.withinRadius({ lat: anchor.lat, lng: anchor.lng }, 3200)[0];
+        return nearest ? nearest.item : null;
+    }
+
+    // ============================================================================
+    // DATA SOURCE - OFFLINE IMPORT
+    // ============================================================================
+
+    loadDataSourceSettings() {
+        const defaults = { mode: 'api' };
+        
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.dataSourceStorageKey) || '{}');
+            return saved.mode === 'import' ? { ...defaults, ...saved } : defaults;
+        } catch (e) {
+            console.error('Failed to load data source settings:', e);
+            return defaults;
+        }
+    }
+
+    saveDataSourceSettings() {
+        try {
+            localStorage.setItem(this.dataSourceStorageKey, JSON.stringify(this.dataSource));
+        } catch (e) {
+            console.error('Failed to save data source settings:', e);
+        }
+    }
+
+    setupDataSourceControls() {
+        const fileInput = document.getElementById('importFileInput');
+        
+        document.getElementById('importDataBtn')?.addEventListener('click', () => {
+            fileInput?.click();
+        });
+        
+        fileInput?.addEventListener('change', (e) => {
+            const files = e.target.files;
+            if (files && files.length > 0) {
+                this.importData(files);
+            }
+            e.target.value = '';
+        });
+        
+        document.getElementById('liveApiBtn')?.addEventListener('click', () => {
+            this.useLiveApi();
+        });
+        
+        this.updateDataSourceLabel();
+    }
+
+    /**
+     * Import Census CSV/JSON files into the cache and switch to offline mode
+     */
+    async importData(files) {
+        const notification = this.showNotification(`Importing ${files.length} file(s)...`, 'loading');
+        
+        try {
+            const result = await this.dataImporter.importFiles(files);
+            this.hideNotification(notification);
+            
+            this.dataSource = {
+                mode: 'import',
+                vintage: result.vintage,
+                files: result.files,
+                zipCount: result.zipCount,
+                importedAt: result.importedAt
+            };
+            this.saveDataSourceSettings();
+            this.apiService.offline = true;
+            
+            if (result.vintage !== this.comparison.vintage) {
+                this.comparison.vintage = result.vintage;
+                this.apiService.setVintage(result.vintage);
+                this.saveComparisonSettings();
+                const vintageSelect = document.getElementById('vintageSelect');
+                if (vintageSelect) vintageSelect.value = result.vintage;
+                this.updateVintageLabel();
+            }
+            
+            // Imported tables are ZCTA-level
+            if (this.apiService.geography !== 'zcta') {
+                this.applyGeographyLevel('zcta');
+            }
+            
+            this.updateDataSourceLabel();
+            this.showNotification(`Imported ${result.zipCount.toLocaleString()} ZIP codes for ACS ${result.vintage}`, 'success');
+            
+            if (result.missingVariables.length > 0) {
+                this.showNotification(
+                    `Imported files lack ${result.missingVariables.length} variables (${result.missingVariables.slice(0, 3).join(', ')}${result.missingVariables.length > 3 ? '…' : ''}); related metrics will show N/A`,
+                    'warning'
+                );
+            }
+            
+            await this.reloadData();
+            
+        } catch (error) {
+            console.error('Import failed:', error);
+            this.hideNotification(notification);
+            this.showNotification(`Import failed: ${error.message}`, 'error');
+        }
+    }
+
+    async useLiveApi() {
+        this.dataSource = { mode: 'api' };
+        this.saveDataSourceSettings();
+        this.apiService.offline = false;
+        this.updateDataSourceLabel();
+        this.showNotification('Switched to live Census API', 'info');
+        await this.reloadData();
+    }
+
+    updateDataSourceLabel() {
+        const isImport = this.dataSource.mode === 'import';
         
-        this.activeNotifications = new Map();
-        this.notificationId = 0;
+        const label = document.getElementById('dataSourceLabel');
+        if (label) {
+            label.textContent = isImport
+                ? `Imported file${this.dataSource.files.length > 1 ? 's' : ''} (${this.dataSource.files.join(', ')})`
+                : 'Census API';
+            label.title = isImport ? `Imported ${new Date(this.dataSource.importedAt).toLocaleString()}` : '';
+        }
         
-        this.statistics = {
-            educationOnly: 0,
-            incomeOnly: 0,
-            both: 0,
-            total: 0
+        const liveBtn = document.getElementById('liveApiBtn');
+        if (liveBtn) liveBtn.style.display = isImport ? '' : 'none';
+    }
+
+    // ============================================================================
+    // REQUEST SCHEDULING
+    // ============================================================================
+
+    loadNetworkSettings() {
+        const defaults = {
+            concurrency: ACSRequestScheduler.DEFAULT_CONCURRENCY,
+            fixtureServer: null,
+            fixtureUrl: ACSApplication.DEFAULT_FIXTURE_URL
         };
+        
+        let settings = defaults;
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.networkStorageKey) || '{}');
+            settings = { ...defaults, ...saved };
+            if (!ACSRequestScheduler.CONCURRENCY_OPTIONS.includes(settings.concurrency)) {
+                settings.concurrency = defaults.concurrency;
+            }
+        } catch (e) {
+            console.error('Failed to load network settings:', e);
+        }
+        
+        // ?fixtures=<origin> turns fixture mode on for this page load only.
+        // A shared link could point anywhere, so only this machine is taken
+        // without asking.
+        const fromUrl = new URLSearchParams(window.location.search).get('fixtures');
+        if (fromUrl && this.confirmFixtureServer(fromUrl)) {
+            settings.fixtureServer = fromUrl;
+            settings.fixtureUrl = fromUrl;
+            settings.fixtureFromUrl = true;
+        }
+        return settings;
     }
 
-    async init() {
+    /**
+     * Fixture data replaces Census data and fixture requests skip the
+     * proxy settings, so an origin outside this machine needs the user's
+     * go-ahead
+     */
+    confirmFixtureServer(origin) {
+        if (ACSAPIService.isLoopbackOrigin(origin)) return true;
+        return confirm(`Use ${origin} as a fixture server?\n\nIt is not on this computer. All Census data shown would come from it instead of api.census.gov. Only continue if you trust it.`);
+    }
+
+    /**
+     * Every place name on the map comes from the ZIP list, so one from
+     * another site (a shared ?zips= link) needs the user's go-ahead
+     */
+    confirmReferenceList(url) {
+        let resolved;
         try {
-            console.log('Starting ACS Circle Analyzer...');
-            this.updateLoadingProgress('Loading ZIP code database...', 5);
+            resolved = new URL(url, window.location.href);
+        } catch (e) {
+            console.warn(`Ignoring ?zips=${url}: not a valid URL`);
+            return false;
+        }
+        
+        if (resolved.origin === window.location.origin || ACSAPIService.isLoopbackOrigin(resolved.origin)) return true;
+        return confirm(`Load the ZIP list from ${resolved.origin}?\n\nIt is not on this site or this computer. Every ZIP location and place name shown would come from it. Only continue if you trust it.`);
+    }
 
-            await this.zipIndex.loadFromJSON('data/uszips.json');
-            this.updateLoadingProgress(`Loaded ${this.zipIndex.zips.size.toLocaleString()} ZIP codes`, 10);
+    static get DEFAULT_FIXTURE_URL() {
+        return 'http://localhost:8787';
+    }
 
-            if (typeof ACSMapVisualizer === 'undefined') {
-                throw new Error('ACSMapVisualizer is not defined');
-            }
+    saveNetworkSettings() {
+        try {
+            const { fixtureFromUrl, ...settings } = this.network;
+            localStorage.setItem(this.networkStorageKey, JSON.stringify(settings));
+        } catch (e) {
+            console.error('Failed to save network settings:', e);
+        }
+    }
 
-            this.mapVisualizer = new ACSMapVisualizer('mapContainer', {
-                enableClustering: true,
-                maxClusterRadius: 40,
-                clusteringMaxZoom: 5,
-                topHotspotCount: 50
+    setupNetworkControls() {
+        const concurrencySelect = document.getElementById('concurrencySelect');
+        
+        if (concurrencySelect) {
+            concurrencySelect.innerHTML = ACSRequestScheduler.CONCURRENCY_OPTIONS
+                .map(n => `<option value="${n}">${n} at a time</option>`)
+                .join('');
+            concurrencySelect.value = this.network.concurrency;
+            concurrencySelect.addEventListener('change', (e) => {
+                this.network.concurrency = parseInt(e.target.value);
+                this.apiService.concurrency = this.network.concurrency;
+                this.saveNetworkSettings();
+                this.showNotification(`Census API requests: ${this.network.concurrency} in parallel`, 'info');
             });
+        }
+        
+        this.setupFixtureControls();
+    }
 
-            this.setupUI();
-            this.setupMapControls();
-            this.centerOnContinentalUS();
+    /**
+     * Fixture mode: send Census requests to a local mock server
+     * (tools/mockCensusServer.js) instead of api.census.gov
+     */
+    setupFixtureControls() {
+        const checkbox = document.getElementById('fixtureModeToggle');
+        const urlInput = document.getElementById('fixtureUrlInput');
+        if (!checkbox || !urlInput) return;
+        
+        checkbox.checked = !!this.apiService.fixtureServer;
+        urlInput.value = this.network.fixtureUrl;
+        this.updateFixtureBadge();
+        
+        const apply = () => {
+            const url = urlInput.value.trim() || ACSApplication.DEFAULT_FIXTURE_URL;
+            this.setFixtureServer(checkbox.checked ? url : null, url);
+        };
+        checkbox.addEventListener('change', apply);
+        urlInput.addEventListener('change', () => {
+            if (checkbox.checked) apply();
+        });
+    }
 
-            document.getElementById('app-loading').style.display = 'none';
-            document.querySelector('.app-container').style.display = 'flex';
+    setFixtureServer(server, url = this.network.fixtureUrl) {
+        const checkbox = document.getElementById('fixtureModeToggle');
+        
+        if (server && !this.confirmFixtureServer(server)) {
+            if (checkbox) checkbox.checked = !!this.apiService.fixtureServer;
+            return;
+        }
+        
+        try {
+            this.apiService.setFixtureServer(server);
+        } catch (error) {
+            this.showNotification(error.message, 'error');
+            if (checkbox) checkbox.checked = !!this.apiService.fixtureServer;
+            return;
+        }
+        
+        this.network.fixtureServer = this.apiService.fixtureServer;
+        this.network.fixtureUrl = url;
+        this.network.fixtureFromUrl = false;
+        this.saveNetworkSettings();
+        this.updateFixtureBadge();
+        
+        this.showNotification(server
+            ? `Fixture mode: Census requests go to ${this.apiService.fixtureServer}`
+            : 'Fixture mode off: using api.census.gov', 'info');
+        this.reloadData();
+    }
 
-            console.log('✅ Application initialized');
+    updateFixtureBadge() {
+        const badge = document.getElementById('fixtureModeBadge');
+        if (!badge) return;
+        
+        badge.style.display = this.apiService.fixtureServer ? '' : 'none';
+        badge.title = this.apiService.fixtureServer ? `Data from ${this.apiService.fixtureServer}, not the Census API` : '';
+    }
+
+    loadCacheSettings() {
+        const defaults = {
+            ttlDays: ACSAPIService.DEFAULT_CACHE_TTL_DAYS,
+            staleWhileRevalidate: true
+        };
+        
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.cacheStorageKey) || '{}');
+            const settings = { ...defaults, ...saved };
+            if (!ACSAPIService.CACHE_TTL_OPTIONS.includes(settings.ttlDays)) settings.ttlDays = defaults.ttlDays;
+            settings.staleWhileRevalidate = settings.staleWhileRevalidate !== false;
+            return settings;
+        } catch (e) {
+            console.error('Failed to load cache settings:', e);
+            return defaults;
+        }
+    }
+
+    saveCacheSettings() {
+        try {
+            localStorage.setItem(this.cacheStorageKey, JSON.stringify(this.cacheSettings));
+        } catch (e) {
+            console.error('Failed to save cache settings:', e);
+        }
+    }
+
+    setupCacheControls() {
+        const ttlSelect = document.getElementById('cacheTtlSelect');
+        const swrCheckbox = document.getElementById('staleWhileRevalidate');
+        
+        if (ttlSelect) {
+            ttlSelect.innerHTML = ACSAPIService.CACHE_TTL_OPTIONS
+                .map(days => `<option value="${days}">${days === 1 ? '1 day' : `${days} days`}</option>`)
+                .join('');
+            ttlSelect.value = this.cacheSettings.ttlDays;
+            ttlSelect.addEventListener('change', (e) => {
+                this.cacheSettings.ttlDays = parseInt(e.target.value);
+                this.apiService.setCacheTtl(this.cacheSettings.ttlDays);
+                this.saveCacheSettings();
+                this.updateCacheTtlLabels();
+                this.showNotification(`Cache TTL set to ${this.cacheSettings.ttlDays} days (applies to newly fetched data)`, 'info');
+            });
+        }
+        
+        if (swrCheckbox) {
+            swrCheckbox.checked = this.cacheSettings.staleWhileRevalidate;
+            swrCheckbox.addEventListener('change', (e) => {
+                this.cacheSettings.staleWhileRevalidate = e.target.checked;
+                this.apiService.staleWhileRevalidate = e.target.checked;
+                this.saveCacheSettings();
+            });
+        }
+        
+        document.getElementById('exportSnapshotBtn')?.addEventListener('click', () => {
+            this.exportCacheSnapshot();
+        });
+        
+        const snapshotInput = document.getElementById('snapshotFileInput');
+        document.getElementById('importSnapshotBtn')?.addEventListener('click', () => {
+            snapshotInput?.click();
+        });
+        snapshotInput?.addEventListener('change', (e) => {
+            const file = e.target.files?.[0];
+            if (file) {
+                this.importCacheSnapshot(file);
+            }
+            e.target.value = '';
+        });
+        
+        this.updateCacheTtlLabels();
+    }
+
+    async exportCacheSnapshot() {
+        const notification = this.showNotification('Exporting cache snapshot...', 'loading');
+        
+        try {
+            const { blob, filename, manifest } = await this.apiService.exportSnapshot();
             
-            setTimeout(() => this.loadData(), 100);
+            const url = URL.createObjectURL(blob);
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = filename;
+            document.body.appendChild(link);
+            link.click();
+            link.remove();
+            setTimeout(() => URL.revokeObjectURL(url), 1000);
             
+            this.hideNotification(notification);
+            this.showNotification(`Exported ${manifest.recordCount.toLocaleString()} records (ACS ${manifest.vintages.join(', ')})`, 'success');
         } catch (error) {
-            console.error('Initialization error:', error);
-            this.showNotification(`Error: ${error.message}`, 'error');
+            console.error('Snapshot export failed:', error);
+            this.hideNotification(notification);
+            this.showNotification(`Export failed: ${error.message}`, 'error');
         }
     }
 
-    async loadData() {
-        const loadingNotification = this.showNotification('Loading Census data with 90-day cache...', 'loading');
+    async importCacheSnapshot(file) {
+        const mode = document.getElementById('snapshotMergeMode')?.value || 'newer';
+        const notification = this.showNotification(`Importing snapshot ${file.name}...`, 'loading');
         
         try {
-            const allZips = this.zipIndex.getAllStateZips();
-            console.log(`Processing ${allZips.length} ZIP codes`);
-            
-            const cacheStats = await this.apiService.getCacheStats();
-            this.updateCacheStats(cacheStats);
-            
-            const data = await this.apiService.fetchCombinedData(allZips);
-            this.currentData = data;
-            
-            const processedData = this.processData(data);
-            await this.mapVisualizer.visualizeCombinedData(this.zipIndex.zips, processedData);
+            const result = await this.apiService.importSnapshot(file, { mode });
+            this.hideNotification(notification);
             
-            this.hideNotification(loadingNotification);
-            this.showNotification(`Loaded ${Object.keys(data).length.toLocaleString()} locations`, 'success');
+            const { manifest } = result;
+            const escape = HTMLUtils.escape;
+            const fetchRange = manifest.vintages
+                .map(v => escape(`ACS ${v}: fetched ${manifest.byVintage[v].earliestFetch.slice(0, 10)} – ${manifest.byVintage[v].latestFetch.slice(0, 10)}`))
+                .join('<br>');
             
-            this.updateStatisticsUI();
+            this.showNotification(`
+                <strong>Snapshot imported</strong><br>
+                ${result.imported.toLocaleString()} records merged${result.kept ? `, ${result.kept.toLocaleString()} newer local kept` : ''}${result.skipped ? `, ${result.skipped.toLocaleString()} skipped (other metric schema)` : ''}<br>
+                <span style="font-size: 11px; color: #6b7280;">${fetchRange}</span>
+            `, 'success', true);
             
+            if (result.imported > 0) {
+                await this.reloadData();
+            }
         } catch (error) {
-            console.error('Failed to load data:', error);
-            this.hideNotification(loadingNotification);
-            this.showNotification(`Failed to load data: ${error.message}`, 'error');
+            console.error('Snapshot import failed:', error);
+            this.hideNotification(notification);
+            this.showNotification(`Snapshot import failed: ${error.message}`, 'error');
         }
     }
 
-    processData(apiData) {
-        const processedData = {};
-        this.statistics = { educationOnly: 0, incomeOnly: 0, both: 0, total: 0 };
+    updateCacheTtlLabels() {
+        const ttlLabel = document.getElementById('cacheTtlLabel');
+        if (ttlLabel) ttlLabel.textContent = `${this.cacheSettings.ttlDays} days`;
+    }
+
+    /**
+     * Merge records refreshed in the background into the loaded data
+     */
+    async handleRevalidated(records, vintage, geography) {
+        if (!this.currentData || vintage !== this.apiService.vintage || geography !== this.apiService.geography) return;
         
-        Object.entries(apiData).forEach(([zip, record]) => {
-            if (record && record.data) {
-                const hasEducation = record.metadata.hasEducation;
-                const hasIncome = record.metadata.hasIncome;
-                
-                if (hasEducation && hasIncome) {
-                    this.statistics.both++;
-                } else if (hasEducation) {
-                    this.statistics.educationOnly++;
-                } else if (hasIncome) {
-                    this.statistics.incomeOnly++;
-                }
-                
-                if (hasEducation || hasIncome) {
-                    processedData[zip] = record;
-                }
-            }
-        });
+        if (this.baselineData && this.comparison.compareVintage) {
+            this.apiService.attachComparison(records, this.baselineData, this.comparison.compareVintage);
+        }
+        Object.assign(this.currentData, records);
         
-        this.statistics.total = Object.keys(processedData).length;
-        return processedData;
+        await this.applyClassification(`Refreshed ${Object.keys(records).length.toLocaleString()} stale ${this.apiService.geographyLevel.units} in the background`);
     }
 
-    // ============================================================================
-    // UI SETUP - No hotspot list creation
-    // ============================================================================
-
-    setupUI() {
-        this.updateStatisticsUI();
+    setupProxyControls() {
+        const allowThirdParty = document.getElementById('allowThirdPartyProxies');
+        const proxyList = document.getElementById('proxyList');
         
-        // API Key button
-        document.getElementById('apiKeyBtn')?.addEventListener('click', () => {
-            this.showApiKeyDialog();
-        });
+        if (allowThirdParty) {
+            allowThirdParty.checked = this.proxyChain.allowThirdParty;
+            allowThirdParty.addEventListener('change', (e) => {
+                this.proxyChain.setAllowThirdParty(e.target.checked);
+                this.renderProxyList();
+                this.showNotification(
+                    e.target.checked ? 'Third-party proxies allowed' : 'Third-party proxies disabled: your API key stays on your network',
+                    'info'
+                );
+            });
+        }
         
-        // Reload data button
-        document.getElementById('reloadDataBtn')?.addEventListener('click', () => {
-            this.reloadData();
+        proxyList?.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-proxy-action]');
+            if (!button) return;
+            
+            const id = button.dataset.proxyId;
+            const action = button.dataset.proxyAction;
+            if (action === 'up') this.proxyChain.move(id, -1);
+            if (action === 'down') this.proxyChain.move(id, 1);
+            if (action === 'remove') this.proxyChain.remove(id);
+            this.renderProxyList();
         });
         
-        // Draw Circle button (kept for reference)
-        document.getElementById('drawCircleBtn')?.addEventListener('click', () => {
-            this.showNotification('Right-click + drag to draw circle (max 5mi), left-click to finish', 'info');
+        document.getElementById('addProxyBtn')?.addEventListener('click', () => {
+            const nameInput = document.getElementById('proxyNameInput');
+            const templateInput = document.getElementById('proxyTemplateInput');
+            const thirdPartyInput = document.getElementById('proxyThirdPartyInput');
+            
+            try {
+                const proxy = this.proxyChain.add({
+                    name: nameInput?.value,
+                    template: templateInput?.value,
+                    thirdParty: thirdPartyInput?.checked
+                });
+                if (nameInput) nameInput.value = '';
+                if (templateInput) templateInput.value = '';
+                if (thirdPartyInput) thirdPartyInput.checked = false;
+                this.renderProxyList();
+                this.showNotification(`Added proxy ${proxy.name}`, 'success');
+            } catch (error) {
+                this.showNotification(`Invalid proxy: ${error.message}`, 'error');
+            }
         });
         
-        // Clear Circles button
-        document.getElementById('clearCirclesBtn')?.addEventListener('click', () => {
-            if (this.mapVisualizer) {
-                this.mapVisualizer.clearAllCircles();
-            }
+        document.getElementById('testProxiesBtn')?.addEventListener('click', () => {
+            this.testProxies();
         });
         
-        // Show Hotspots button (kept for future use)
-        document.getElementById('showHotspotsBtn')?.addEventListener('click', () => {
-            if (this.mapVisualizer) {
-                this.mapVisualizer.calculateAndShowHotspots();
+        document.getElementById('resetProxiesBtn')?.addEventListener('click', () => {
+            if (confirm('Restore the default proxy chain?')) {
+                this.proxyChain.reset();
+                if (allowThirdParty) allowThirdParty.checked = this.proxyChain.allowThirdParty;
+                this.renderProxyList();
             }
         });
         
-        // Circle Stats button
-        document.getElementById('circleStatsBtn')?.addEventListener('click', () => {
-            this.showCircleStatistics();
+        this.renderProxyList();
+    }
+
+    async testProxies() {
+        const notification = this.showNotification('Testing proxies...', 'loading');
+        const results = await this.apiService.checkProxyHealth();
+        this.hideNotification(notification);
+        this.renderProxyList();
+        
+        if (results.length === 0) {
+            this.showNotification('No permitted proxies to test', 'warning');
+            return;
+        }
+        
+        const healthy = results.filter(r => r.ok).length;
+        this.showNotification(
+            `${healthy}/${results.length} proxies healthy${healthy < results.length ? `: ${results.filter(r => !r.ok).map(r => `${r.name} (${r.error})`).join(', ')}` : ''}`,
+            healthy > 0 ? 'success' : 'error'
+        );
+    }
+
+    renderProxyList() {
+        const list = document.getElementById('proxyList');
+        if (!list) return;
+        
+        const proxies = this.proxyChain.getProxies();
+        const now = Date.now();
+        
+        list.innerHTML = proxies.map((proxy, index) => {
+            const health = proxy.health;
+            const cooling = health.cooldownUntil > now;
+            const status = !proxy.allowed ? 'disabled' : cooling ? 'cooldown' : health.status;
+            const statusText = !proxy.allowed ? 'Third-party disabled'
+                : cooling ? `Cooling down ${Math.ceil((health.cooldownUntil - now) / 1000)}s`
+                : health.status === 'healthy' ? `OK${health.lastLatency !== null ? ` · ${health.lastLatency}ms` : ''}`
+                : 'Not checked';
+            
+            return `
+                <div class="proxy-entry proxy-${status}" title="${HTMLUtils.escape(proxy.template)}${health.lastError ? `\nLast error: ${HTMLUtils.escape(health.lastError)}` : ''}">
+                    <span class="proxy-status-dot"></span>
+                    <div class="proxy-info">
+                        <div class="proxy-name">${HTMLUtils.escape(proxy.name)}${proxy.thirdParty ? ' <span class="proxy-tag">3rd party</span>' : ''}</div>
+                        <div class="proxy-status">${statusText}</div>
+                    </div>
+                    <div class="proxy-actions">
+                        <button data-proxy-action="up" data-proxy-id="${proxy.id}" title="Move up" ${index === 0 ? 'disabled' : ''}><i class="fas fa-arrow-up"></i></button>
+                        <button data-proxy-action="down" data-proxy-id="${proxy.id}" title="Move down" ${index === proxies.length - 1 ? 'disabled' : ''}><i class="fas fa-arrow-down"></i></button>
+                        <button data-proxy-action="remove" data-proxy-id="${proxy.id}" title="Remove"><i class="fas fa-times"></i></button>
+                    </div>
+                </div>
+            `;
+        }).join('') || '<div class="diagnostics-empty">No proxies configured</div>';
+    }
+
+    /**
+     * Surface ZIPs (or other geographies) that failed after all retries;
+     * the full list is in the console
+     */
+    reportFetchFailures(report) {
+        if (!report || report.failed.length === 0) return;
+        
+        const zips = report.failed.map(f => f.zip);
+        const preview = zips.slice(0, 10).join(', ');
+        const more = zips.length > 10 ? ` and ${zips.length - 10} more` : '';
+        
+        this.showNotification(
+            `ACS ${report.vintage}: ${zips.length} ${this.apiService.geographyLevel.units} failed after retries (${preview}${more}). Load Data again to retry them.`,
+            'warning'
+        );
+    }
+
+    // ============================================================================
+    // REQUEST DIAGNOSTICS
+    // ============================================================================
+
+    /**
+     * Tell the user what went wrong and what to do, once per error class
+     * every 30 seconds so a failing load doesn't flood notifications
+     */
+    handleRequestError(error) {
+        this.renderDiagnostics();
+        this.renderProxyList();
+        
+        if (error.type === 'no_data') return;
+        
+        const now = Date.now();
+        if (now - (this.errorNotifiedAt.get(error.type) || 0) < 30000) return;
+        this.errorNotifiedAt.set(error.type, now);
+        
+        this.showNotification(error.userMessage(), error.fatal ? 'error' : 'warning');
+    }
+
+    setupDiagnosticsPanel() {
+        document.getElementById('clearDiagnosticsBtn')?.addEventListener('click', () => {
+            this.apiService.clearDiagnostics();
+            this.errorNotifiedAt.clear();
+            this.renderDiagnostics();
         });
+        
+        this.renderDiagnostics();
+    }
+
+    renderDiagnostics() {
+        const list = document.getElementById('diagnosticsList');
+        const count = document.getElementById('diagnosticsCount');
+        const entries = this.apiService.getDiagnostics();
+        const policies = ACSRequestError.POLICIES;
+        
+        if (count) count.textContent = entries.length;
+        if (!list) return;
+        
+        if (entries.length === 0) {
+            list.innerHTML = '<div class="diagnostics-empty">No request failures</div>';
+            return;
+        }
+        
+        list.innerHTML = entries.slice(0, 20).map(entry => `
+            <div class="diagnostics-entry diagnostics-${entry.type}" title="${HTMLUtils.escape(entry.url || '')}">
+                <div class="diagnostics-entry-header">
+                    <span class="diagnostics-type">${policies[entry.type]?.label || entry.type}</span>
+                    <span class="diagnostics-time">${new Date(entry.timestamp).toLocaleTimeString()}</span>
+                </div>
+                <div class="diagnostics-message">
+                    ${HTMLUtils.escape(entry.message)}${entry.status ? ` · HTTP ${entry.status}` : ''}${entry.vintage ? ` · ACS ${entry.vintage}` : ''}
+                </div>
+                ${entry.detail ? `<div class="diagnostics-detail">${HTMLUtils.escape(entry.detail)}</div>` : ''}
+                ${entry.proxy ? `<div class="diagnostics-detail">via ${HTMLUtils.escape(entry.proxy)}</div>` : ''}
+            </div>
+        `).join('');
     }
 
     setupMapControls() {
@@ -186,34 +1773,51 @@ class ACSApplication {
     }
 
     showCircleStatistics() {
-        if (!this.mapVisualizer || this.mapVisualizer.circles.size === 0) {
+        // The visualizer keeps drawn circles as rings of three donuts
+        if (!this.mapVisualizer || this.mapVisualizer.rings.size === 0) {
             this.showNotification('No circles drawn. Right-click + drag on map (max 5mi), left-click to finish.', 'info');
             return;
         }
         
+        const visualizer = this.mapVisualizer;
+        const registry = visualizer.metricRegistry;
+        const units = visualizer.geographyUnits;
+        const donuts = [];
         let totalMarkers = 0;
-        let totalEducation = 0;
-        let totalHighIncome = 0;
         let totalBoth = 0;
         
-        this.mapVisualizer.circles.forEach((circle) => {
-            // Use donut stats for accurate counting
-            if (circle.donutStats) {
-                totalMarkers += circle.donutStats.inner.totalMarkers + 
-                               circle.donutStats.middle.totalMarkers + 
-                               circle.donutStats.outer.totalMarkers;
-                totalEducation += circle.donutStats.inner.totalEducation + 
-                                 circle.donutStats.middle.totalEducation + 
-                                 circle.donutStats.outer.totalEducation;
-                totalHighIncome += circle.donutStats.inner.totalHighIncome + 
-                                  circle.donutStats.middle.totalHighIncome + 
-                                  circle.donutStats.outer.totalHighIncome;
-                totalBoth += circle.donutStats.inner.bothCriteria + 
-                            circle.donutStats.middle.bothCriteria + 
-                            circle.donutStats.outer.bothCriteria;
+        visualizer.rings.forEach((ring) => {
+            // Donut stats don't overlap, so counts and sums add up per ring
+            if (ring.donutStats) {
+                ['inner', 'middle', 'outer'].forEach(type => {
+                    const stats = ring.donutStats[type];
+                    totalMarkers += stats.totalMarkers;
+                    totalBoth += stats.bothCriteria;
+                    donuts.push(visualizer.getMetricStats(stats));
+                });
             }
         });
         
+        // Same aggregate rules as the ring popup's weighted totals
+        const combined = visualizer.combineSummableMetrics(donuts);
+        const tileColors = {
+            education: { bg: '#eff6ff', color: '#1e40af' },
+            income: { bg: '#fef2f2', color: '#991b1b' }
+        };
+        const criterionTiles = Object.entries(registry.getCriteria(visualizer.analysisMode)).map(([slot, id]) => {
+            const metric = registry.get(id);
+            const entry = combined[id];
+            const aggregateLabel = metric?.aggregate === 'ratio' ? ' (pooled)'
+                : metric?.aggregate === 'interpolated' ? ' (pooled median)'
+                : '';
+            return `
+                    <div style="background: ${tileColors[slot].bg}; padding: 12px; border-radius: 8px;">
+                        <div style="font-size: 20px; font-weight: bold; color: ${tileColors[slot].color};">${registry.formatValue(id, entry ? entry.value : null)}${entry?.distribution?.openEnded ? '+' : ''}</div>
+                        <div style="font-size: 11px;" title="${HTMLUtils.escape(metric?.description || '')}">${HTMLUtils.escape(metric?.label || id)}${aggregateLabel}</div>
+                    </div>
+            `;
+        }).join('');
+        
         const statsHTML = `
             <div style="max-width: 400px;">
                 <h4 style="margin-bottom: 12px; color: #1f2937;">
@@ -222,31 +1826,25 @@ class ACSApplication {
                 <div style="background: #f0fdf4; padding: 12px; border-radius: 8px; margin-bottom: 16px;">
                     <div style="display: flex; justify-content: space-between;">
                         <span>Total Circles:</span>
-                        <strong>${this.mapVisualizer.circles.size}</strong>
+                        <strong>${visualizer.rings.size}</strong>
                     </div>
                     <div style="display: flex; justify-content: space-between; margin-top: 8px;">
-                        <span>Total ZIPs Analyzed:</span>
+                        <span>Total ${units} Analyzed:</span>
                         <strong>${totalMarkers.toLocaleString()}</strong>
                     </div>
                 </div>
                 <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 12px;">
-                    <div style="background: #eff6ff; padding: 12px; border-radius: 8px;">
-                        <div style="font-size: 20px; font-weight: bold; color: #1e40af;">${totalBoth}</div>
+                    <div style="background: #f3e8ff; padding: 12px; border-radius: 8px;">
+                        <div style="font-size: 20px; font-weight: bold; color: #6b21a8;">${totalBoth}</div>
                         <div style="font-size: 11px;">Both Criteria</div>
                     </div>
-                    <div style="background: #fef2f2; padding: 12px; border-radius: 8px;">
-                        <div style="font-size: 20px; font-weight: bold; color: #991b1b;">${Math.round(totalHighIncome).toLocaleString()}</div>
-                        <div style="font-size: 11px;">High-Income HH</div>
-                    </div>
-                    <div style="background: #eff6ff; padding: 12px; border-radius: 8px;">
-                        <div style="font-size: 20px; font-weight: bold; color: #1e40af;">${Math.round(totalEducation).toLocaleString()}</div>
-                        <div style="font-size: 11px;">Higher Education</div>
-                    </div>
-                    <div style="background: #f3e8ff; padding: 12px; border-radius: 8px;">
-                        <div style="font-size: 20px; font-weight: bold; color: #6b21a8;">${totalMarkers}</div>
-                        <div style="font-size: 11px;">Total ZIPs</div>
+                    <div style="background: #f9fafb; padding: 12px; border-radius: 8px;">
+                        <div style="font-size: 20px; font-weight: bold; color: #1f2937;">${totalMarkers}</div>
+                        <div style="font-size: 11px;">Total ${units}</div>
                     </div>
+                    ${criterionTiles}
                 </div>
+                <div style="font-size: 10px; color: #6b7280; margin-top: 8px;">${visualizer.analysisMode === 'rate' ? 'Rate' : 'Count'} mode · overlapping rings count shared ${units} once per ring</div>
             </div>
         `;
         
@@ -258,6 +1856,7 @@ class ACSApplication {
         const statIncome = document.getElementById('statIncome');
         const statBoth = document.getElementById('statBoth');
         const statTotal = document.getElementById('statTotal');
+        const statUnreliable = document.getElementById('statUnreliable');
         const dataStats = document.getElementById('dataStats');
         const zipCount = document.getElementById('zipCount');
         
@@ -265,19 +1864,83 @@ class ACSApplication {
         if (statIncome) statIncome.textContent = this.statistics.incomeOnly.toLocaleString();
         if (statBoth) statBoth.textContent = this.statistics.both.toLocaleString();
         if (statTotal) statTotal.textContent = this.statistics.total.toLocaleString();
+        if (statUnreliable) statUnreliable.textContent = this.statistics.unreliable.toLocaleString();
         if (dataStats) dataStats.textContent = `${this.statistics.total.toLocaleString()} markers`;
-        if (zipCount) zipCount.textContent = this.zipIndex.zips.size.toLocaleString();
+        if (zipCount) zipCount.textContent = this.getIncludedIds().length.toLocaleString();
+        
+        const statRegions = document.getElementById('statRegions');
+        if (statRegions) {
+            // Only worth a breakdown once a territory is loaded alongside the states
+            const regions = Object.values(ACSGeography.REGIONS).filter(region => this.regions.included.includes(region.id));
+            statRegions.innerHTML = regions.length > 1 ? regions.map(region => `
+                <div style="display: flex; justify-content: space-between; margin-bottom: 8px;">
+                    <span>${region.label}:</span>
+                    <strong style="color: #1f2937;">${(this.statistics.byRegion[region.id] || 0).toLocaleString()}</strong>
+                </div>
+            `).join('') : '';
+        }
+        
+        this.updateDataSourcesUI();
+    }
+
+    /**
+     * How much of the data on the map came from the API this load, the
+     * cache or imported files, and how old it is
+     */
+    updateDataSourcesUI() {
+        const container = document.getElementById('dataSourcesContent');
+        if (!container) return;
+        
+        const summary = this.sourceSummary;
+        if (!summary || summary.total === 0) {
+            container.innerHTML = '<div class="settings-note">No data loaded yet.</div>';
+            return;
+        }
+        
+        const rows = Object.entries(ACSProvenance.SOURCES).map(([source, info]) => {
+            const count = summary.bySource[source] || 0;
+            const percent = (count / summary.total) * 100;
+            return `
+                <div style="margin-bottom: 8px;">
+                    <div style="display: flex; justify-content: space-between;">
+                        <span><i class="fas ${info.icon}" style="color: ${info.color};"></i> ${info.label}</span>
+                        <strong>${count.toLocaleString()} <span style="font-weight: normal; color: #6b7280;">(${percent.toFixed(0)}%)</span></strong>
+                    </div>
+                    <div style="height: 4px; background: #e5e7eb; border-radius: 2px; margin-top: 3px;">
+                        <div style="height: 100%; width: ${percent}%; background: ${info.color}; border-radius: 2px;"></div>
+                    </div>
+                </div>
+            `;
+        }).join('');
+        
+        let baselineNote = '';
+        if (this.baselineData && this.comparison.compareVintage) {
+            const baseline = ACSProvenance.summarize(Object.values(this.baselineData), { vintage: this.comparison.compareVintage });
+            const parts = Object.entries(baseline.bySource)
+                .filter(([, count]) => count > 0)
+                .map(([source, count]) => `${count.toLocaleString()} ${ACSProvenance.SOURCES[source].label.toLowerCase()}`);
+            baselineNote = `<div class="settings-note">Comparison ACS ${this.comparison.compareVintage}: ${parts.join(', ') || 'no data'} · ${ACSProvenance.formatAgeRange(baseline)}</div>`;
+        }
+        
+        container.innerHTML = `
+            ${rows}
+            <div class="settings-note">
+                ${ACSProvenance.DATASET.label} ${summary.vintages.join(', ') || this.apiService.vintage} · ${summary.total.toLocaleString()} ${this.apiService.geographyLevel.units} shown · ${ACSProvenance.formatAgeRange(summary)}
+            </div>
+            ${baselineNote}
+            ${summary.servers.length ? `<div class="settings-note"><i class="fas fa-flask"></i> Fixture data from ${HTMLUtils.escape(summary.servers.join(', '))}</div>` : ''}
+        `;
     }
 
     updateCacheStats(stats) {
         const cacheStatsEl = document.getElementById('cacheStats');
         if (cacheStatsEl && stats) {
-            cacheStatsEl.innerHTML = `${stats.total} entries (90d)`;
+            cacheStatsEl.innerHTML = `${stats.total} entries (${this.cacheSettings.ttlDays}d)`;
         }
         
         const footerCache = document.getElementById('footerCache');
         if (footerCache) {
-            footerCache.textContent = `Cache: 90 days | ${stats.total || 0} entries`;
+            footerCache.textContent = `Cache: ${this.cacheSettings.ttlDays} days | ${stats.total || 0} entries`;
         }
     }
 
@@ -343,15 +2006,22 @@ class ACSApplication {
             this.mapVisualizer.clear();
         }
         
-        this.showNotification('Reloading data with 90-day cache...', 'loading');
         await this.loadData();
     }
 
     async clearCache() {
-        if (confirm('Clear all cached data? 90-day cache will reset.')) {
+        if (confirm('Clear all cached data? Imported files and fetched ZIP codes will be removed.')) {
             const notification = this.showNotification('Clearing cache...', 'loading');
             const cleared = await this.apiService.clearCache();
             this.hideNotification(notification);
+            
+            // Imported records lived in the cache, so fall back to the live API
+            if (this.dataSource.mode === 'import') {
+                this.dataSource = { mode: 'api' };
+                this.saveDataSourceSettings();
+                this.apiService.offline = false;
+                this.updateDataSourceLabel();
+            }
             this.showNotification(`Cache cleared. ${cleared ? 'Success' : 'Failed'}`, 'info');
             this.reloadData();
         }
@@ -390,7 +2060,7 @@ class ACSApplication {
                     <i class="fas ${icon}"></i>
                 </div>
                 <div class="notification-body">
-                    <div class="notification-message">${isHTML ? message : this.escapeHtml(message)}</div>
+                    <div class="notification-message">${isHTML ? message : HTMLUtils.escape(message)}</div>
                 </div>
                 <button class="notification-close">&times;</button>
             </div>
@@ -413,12 +2083,6 @@ class ACSApplication {
         return id;
     }
 
-    escapeHtml(text) {
-        const div = document.createElement('div');
-        div.textContent = text;
-        return div.innerHTML;
-    }
-
     hideNotification(id) {
         if (id === undefined) {
             this.activeNotifications.forEach((notification, notificationId) => {
@@ -0,0 +1,273 @@
+// ============================================================================
+// ACS DATA IMPORTER - OFFLINE CSV/JSON FILES INTO THE INDEXEDDB CACHE
+// ============================================================================
+
+class ACSDataImporter {
+    constructor(apiService) {
+        this.apiService = apiService;
+        this.zipColumn = 'zip code tabulation area';
+    }
+
+    /**
+     * Import one or more local files into the cache for a vintage.
+     * Files are merged by ZIP first, so one table per file (e.g. B15003 and
+     * B19001 exported separately from data.census.gov) yields full records.
+     * @param {FileList|Array<File>} files - CSV exports or saved API JSON responses
+     * @param {Object} options - { vintage } overrides the vintage detected from file names
+     * @returns {Object} - { vintage, zipCount, files, missingVariables }
+     */
+    async importFiles(files, options = {}) {
+        const fileList = Array.from(files || []);
+        if (fileList.length === 0) {
+            throw new Error('No files selected');
+        }
+
+        const tables = [];
+        for (const file of fileList) {
+            const text = await file.text();
+            tables.push(this.parseText(text, file.name));
+        }
+
+        const vintage = parseInt(options.vintage) ||
+            fileList.map(f => this.detectVintage(f.name)).find(Boolean) ||
+            this.apiService.vintage;
+
+        const table = this.mergeTables(tables);
+        const zips = table.slice(1).map(row => row[row.length - 1]);
+        if (zips.length === 0) {
+            throw new Error('No ZCTA rows found in the selected files');
+        }
+
+        // Imported tables are ZCTA-level whatever geography is on the map
+        const service = vintage === this.apiService.vintage && this.apiService.geography === 'zcta'
+            ? this.apiService
+            : this.apiService.forVintage(vintage, { geography: 'zcta' });
+        const records = service.parseResponse(table, zips);
+        const importedAt = new Date().toISOString();
+        const fileNames = fileList.map(f => f.name);
+
+        await service.ensureInitialized();
+        Object.values(records).forEach(record => {
+            record.metadata.source = 'import';
+            record.metadata.sourceFiles = fileNames;
+            record.metadata.fetchedAt = importedAt;
+            record.metadata.provenance.source = 'import';
+        });
+        // Imported data never expires; it is replaced by a re-import or Clear Cache
+        await service.cacheMany(records, Infinity);
+        service.resetMemoryCache();
+
+        const headers = new Set(table[0]);
+        const missingVariables = this.apiService.metricRegistry.getVariables()
+            .filter(variable => !headers.has(variable));
+        if (missingVariables.length > 0) {
+            console.warn(`Imported files are missing ${missingVariables.length} variables:`, missingVariables);
+        }
+
+        console.log(`Imported ${Object.keys(records).length} ZIP codes for ACS ${vintage} from ${fileNames.join(', ')}`);
+
+        return {
+            vintage,
+            zipCount: Object.keys(records).length,
+            files: fileNames,
+            importedAt,
+            missingVariables
+        };
+    }
+
+    /**
+     * Parse file contents into a Census API style table:
+     * header row first, ZCTA as the last column
+     */
+    parseText(text, fileName = '') {
+        const trimmed = text.replace(/^﻿/, '').trim();
+        const isJSON = /\.json$/i.test(fileName) || trimmed.startsWith('[');
+
+        let rows;
+        if (isJSON) {
+            try {
+                rows = JSON.parse(trimmed);
+            } catch (e) {
+                throw new Error(`${fileName || 'File'} is not valid JSON: ${e.message}`);
+            }
+            if (!Array.isArray(rows) || !Array.isArray(rows[0])) {
+                throw new Error(`${fileName || 'File'} is not a Census API response (expected an array of rows)`);
+            }
+        } else {
+            rows = this.parseCSV(trimmed);
+        }
+
+        return this.normalizeTable(rows, fileName);
+    }
+
+    /**
+     * Minimal RFC 4180 CSV parser (quoted fields, escaped quotes, CRLF)
+     */
+    parseCSV(text) {
+        const rows = [];
+        let row = [];
+        let field = '';
+        let inQuotes = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+
+            if (inQuotes) {
+                if (char === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"') {
+                inQuotes = true;
+            } else if (char === ',') {
+                row.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+
+        if (field !== '' || row.length > 0) {
+            row.push(field);
+            rows.push(row);
+        }
+
+        return rows.filter(r => r.some(cell => cell !== ''));
+    }
+
+    /**
+     * Map either file layout onto the header/rows shape parseResponse reads.
+     * data.census.gov exports carry GEO_ID ("860Z200US01001") and NAME
+     * ("ZCTA5 01001") plus a second row of long labels, which is dropped.
+     */
+    normalizeTable(rows, fileName = '') {
+        if (rows.length < 2) {
+            throw new Error(`${fileName || 'File'} has no data rows`);
+        }
+
+        const headers = rows[0].map(h => String(h).trim());
+        const zipIdx = headers.indexOf(this.zipColumn);
+        const geoIdx = headers.findIndex(h => h.toUpperCase() === 'GEO_ID');
+        const nameIdx = headers.indexOf('NAME');
+
+        if (zipIdx === -1 && geoIdx === -1 && nameIdx === -1) {
+            throw new Error(`${fileName || 'File'} has no ZCTA column (expected "${this.zipColumn}", GEO_ID or NAME)`);
+        }
+
+        const table = [[...headers.filter((h, i) => i !== zipIdx), this.zipColumn]];
+
+        rows.slice(1).forEach(row => {
+            const zip = this.extractZip(row, { zipIdx, geoIdx, nameIdx });
+            if (!zip) return; // label row or non-ZCTA geography
+
+            const cells = row
+                .filter((cell, i) => i !== zipIdx)
+                .map(cell => this.cleanCell(cell));
+            table.push([...cells, zip]);
+        });
+
+        return table;
+    }
+
+    extractZip(row, { zipIdx, geoIdx, nameIdx }) {
+        if (zipIdx !== -1) {
+            const zip = String(row[zipIdx] || '').trim();
+            return /^\d{5}$/.test(zip) ? zip : null;
+        }
+
+        const geoMatch = geoIdx !== -1 && String(row[geoIdx] || '').match(/^860Z200US(\d{5})$/);
+        if (geoMatch) return geoMatch[1];
+
+        const nameMatch = nameIdx !== -1 && String(row[nameIdx] || '').match(/^ZCTA5\s+(\d{5})$/);
+        return nameMatch ? nameMatch[1] : null;
+    }
+
+    // data.census.gov annotation text -> the API's numeric annotation codes
+    static get ANNOTATION_CODES() {
+        return {
+            'N': '-999999999',
+            '(X)': '-888888888',
+            '-': '-666666666',
+            '*****': '-555555555',
+            '***': '-333333333',
+            '**': '-222222222'
+        };
+    }
+
+    /**
+     * Exports may format numbers with thousands separators and write
+     * annotations as text; open-ended medians ("250,000+", "2,500-") become
+     * the API's one-past-the-limit values so the registry flags them.
+     */
+    cleanCell(cell) {
+        if (cell === null || cell === undefined) return null;
+        const text = String(cell).trim();
+
+        const code = ACSDataImporter.ANNOTATION_CODES[text];
+        if (code) return code;
+
+        const openEnded = text.match(/^(\d{1,3}(?:,\d{3})*|\d+)([+-])$/);
+        if (openEnded) {
+            const limit = parseInt(openEnded[1].replace(/,/g, ''), 10);
+            return String(openEnded[2] === '+' ? limit + 1 : limit - 1);
+        }
+
+        return /^-?\d{1,3}(,\d{3})+(\.\d+)?$/.test(text) ? text.replace(/,/g, '') : text;
+    }
+
+    /**
+     * Merge normalized tables column-wise by ZIP; earlier files win on conflicts
+     */
+    mergeTables(tables) {
+        if (tables.length === 1) return tables[0];
+
+        const headers = [];
+        const byZip = new Map();
+
+        tables.forEach(table => {
+            const tableHeaders = table[0].slice(0, -1);
+
+            table.slice(1).forEach(row => {
+                const zip = row[row.length - 1];
+                if (!byZip.has(zip)) byZip.set(zip, {});
+                const values = byZip.get(zip);
+                tableHeaders.forEach((header, i) => {
+                    if (!(header in values)) values[header] = row[i];
+                });
+            });
+
+            tableHeaders.forEach(header => {
+                if (!headers.includes(header)) headers.push(header);
+            });
+        });
+
+        const merged = [[...headers, this.zipColumn]];
+        byZip.forEach((values, zip) => {
+            merged.push([...headers.map(h => values[h] ?? null), zip]);
+        });
+
+        return merged;
+    }
+
+    // data.census.gov names exports like "ACSDT5Y2022.B15003-Data.csv"
+    detectVintage(fileName) {
+        const match = String(fileName).match(/ACS\w*?5Y(\d{4})/i) || String(fileName).match(/(?:^|\D)(20\d{2})(?:\D|$)/);
+        const year = match ? parseInt(match[1]) : null;
+        return ACSAPIService.VINTAGES.includes(year) ? year : null;
+    }
+}
+
+// Export to global scope
+if (typeof window !== 'undefined') {
+    window.ACSDataImporter = ACSDataImporter;
+}
@@ -0,0 +1,322 @@
+// ============================================================================
+// GEOGRAPHY LEVELS - CENSUS GEOGRAPHIES, GEOIDS, BATCHING & CENTROID SOURCES
+// ============================================================================
+
+class ACSGeography {
+    /**
+     * Census summary levels the app can map. Each level knows:
+     * - predicate: the `for=` geography name in Census API URLs
+     * - idColumns / idWidths: response columns concatenated into the GEOID
+     * - parentLength: GEOID prefix shared by one batched request (0 = listed ids)
+     * - inClause(parent): the `in=` part for one batch
+     * - centroids: where the index loads point locations from. ZCTA
+     *   centroids come from a postal ZIP list (JSON or CSV, optionally
+     *   gzipped) whose columns map through ZIPCodeIndex.REFERENCE_SCHEMA;
+     *   centroids.schema overrides that mapping, and a ?zipSchema= page
+     *   parameter overrides centroids.schema
+     * - crosswalk (ZCTA only): postal ZIP -> ZCTA mapping file
+     */
+    static get LEVELS() {
+        return {
+            zcta: {
+                id: 'zcta',
+                label: 'ZIP code (ZCTA)',
+                unit: 'ZIP',
+                units: 'ZIPs',
+                predicate: 'zip code tabulation area',
+                idColumns: ['zip code tabulation area'],
+                idWidths: [5],
+                parentLength: 0,
+                inClause: () => null,
+                centroids: { url: 'data/uszips.json', format: 'uszips' },
+                crosswalk: { url: 'data/zip_zcta_crosswalk.csv' }
+            },
+            tract: {
+                id: 'tract',
+                label: 'Census tract',
+                unit: 'tract',
+                units: 'tracts',
+                predicate: 'tract',
+                idColumns: ['state', 'county', 'tract'],
+                idWidths: [2, 3, 6],
+                parentLength: 2,
+                inClause: (parent) => `in=state:${parent}&in=county:*`,
+                centroids: { url: 'data/gazetteer/Gaz_tracts_national.txt', format: 'gazetteer' }
+            },
+            'block group': {
+                id: 'block group',
+                label: 'Block group',
+                unit: 'block group',
+                units: 'block groups',
+                predicate: 'block group',
+                idColumns: ['state', 'county', 'tract', 'block group'],
+                idWidths: [2, 3, 6, 1],
+                // The API only answers block groups one county at a time
+                parentLength: 5,
+                inClause: (parent) => `in=state:${parent.slice(0, 2)}&in=county:${parent.slice(2)}&in=tract:*`,
+                centroids: { url: 'data/gazetteer/CenPop2020_Mean_BG.txt', format: 'cenpop' }
+            },
+            county: {
+                id: 'county',
+                label: 'County',
+                unit: 'county',
+                units: 'counties',
+                predicate: 'county',
+                idColumns: ['state', 'county'],
+                idWidths: [2, 3],
+                parentLength: 2,
+                inClause: (parent) => `in=state:${parent}`,
+                centroids: { url: 'data/gazetteer/Gaz_counties_national.txt', format: 'gazetteer' }
+            },
+            place: {
+                id: 'place',
+                label: 'Place (city/town)',
+                unit: 'place',
+                units: 'places',
+                predicate: 'place',
+                idColumns: ['state', 'place'],
+                idWidths: [2, 5],
+                parentLength: 2,
+                inClause: (parent) => `in=state:${parent}`,
+                centroids: { url: 'data/gazetteer/Gaz_place_national.txt', format: 'gazetteer' }
+            }
+        };
+    }
+
+    static get DEFAULT_LEVEL() {
+        return 'zcta';
+    }
+
+    static get(levelId) {
+        const levels = ACSGeography.LEVELS;
+        return levels[levelId] || levels[ACSGeography.DEFAULT_LEVEL];
+    }
+
+    static getAll() {
+        return Object.values(ACSGeography.LEVELS);
+    }
+
+    static isValid(levelId) {
+        return Object.prototype.hasOwnProperty.call(ACSGeography.LEVELS, levelId);
+    }
+
+    // State FIPS code -> USPS abbreviation (states, DC and territories)
+    static get STATE_FIPS() {
+        return {
+            '01': 'AL', '02': 'AK', '04': 'AZ', '05': 'AR', '06': 'CA', '08': 'CO', '09': 'CT',
+            '10': 'DE', '11': 'DC', '12': 'FL', '13': 'GA', '15': 'HI', '16': 'ID', '17': 'IL',
+            '18': 'IN', '19': 'IA', '20': 'KS', '21': 'KY', '22': 'LA', '23': 'ME', '24': 'MD',
+            '25': 'MA', '26': 'MI', '27': 'MN', '28': 'MS', '29': 'MO', '30': 'MT', '31': 'NE',
+            '32': 'NV', '33': 'NH', '34': 'NJ', '35': 'NM', '36': 'NY', '37': 'NC', '38': 'ND',
+            '39': 'OH', '40': 'OK', '41': 'OR', '42': 'PA', '44': 'RI', '45': 'SC', '46': 'SD',
+            '47': 'TN', '48': 'TX', '49': 'UT', '50': 'VT', '51': 'VA', '53': 'WA', '54': 'WV',
+            '55': 'WI', '56': 'WY', '60': 'AS', '66': 'GU', '69': 'MP', '72': 'PR', '78': 'VI'
+        };
+    }
+
+    /**
+     * Parts of the country the map can load. The states and DC are always
+     * loaded; the others are opt-in.
+     * - codes: USPS codes in the region (null: every code not listed elsewhere)
+     * - survey: 'acs', 'prcs' (Puerto Rico Community Survey, see PRCS_TABLES),
+     *   or null where the ACS publishes no data
+     */
+    static get REGIONS() {
+        return {
+            states: { id: 'states', label: '50 states & DC', codes: null, survey: 'acs', required: true },
+            pr: { id: 'pr', label: 'Puerto Rico', codes: ['PR'], survey: 'prcs' },
+            islands: { id: 'islands', label: 'Island areas (GU, VI, MP, AS, UM)', codes: ['GU', 'VI', 'MP', 'AS', 'UM'], survey: null }
+        };
+    }
+
+    static get DEFAULT_REGIONS() {
+        return ['states'];
+    }
+
+    static regionOfState(stateId) {
+        const region = Object.values(ACSGeography.REGIONS).find(r => r.codes?.includes(stateId));
+        return region ? region.id : 'states';
+    }
+
+    /**
+     * USPS codes outside the chosen regions, for ZIPCodeIndex.getAllIds
+     * @param {Array<string>} regionIds
+     */
+    static excludedStates(regionIds) {
+        return Object.values(ACSGeography.REGIONS)
+            .filter(region => region.codes && !regionIds.includes(region.id))
+            .flatMap(region => region.codes);
+    }
+
+    /**
+     * Detailed tables whose Puerto Rico edition differs from the
+     * stateside one: place of birth, nativity and residence a year ago
+     * ask about Puerto Rico rather than the U.S. The Census API publishes
+     * them with a PR suffix (B05002PR_013E); every other table is the same
+     * in both surveys.
+     */
+    static get PRCS_TABLES() {
+        return ['B05001', 'B05002', 'B05003', 'B05006', 'B05007'];
+    }
+
+    // B06xxx (place of birth) and B07xxx (geographic mobility) all have PR editions
+    static get PRCS_TABLE_SERIES() {
+        return ['B06', 'B07'];
+    }
+
+    static isPrcsTable(table) {
+        return ACSGeography.PRCS_TABLES.includes(table) ||
+            (/^B\d{5}$/.test(table) && ACSGeography.PRCS_TABLE_SERIES.includes(table.slice(0, 3)));
+    }
+
+    /**
+     * The variable to request for Puerto Rico: B05002_013E -> B05002PR_013E
+     */
+    static prcsVariable(variable) {
+        const [table, ...rest] = variable.split('_');
+        return ACSGeography.isPrcsTable(table) ? [`${table}PR`, ...rest].join('_') : variable;
+    }
+
+    /**
+     * Whether a GEOID is in Puerto Rico: ZCTAs 006xx, 007xx and 009xx,
+     * or state FIPS 72 for the nested levels
+     */
+    static isPuertoRico(level, geoId) {
+        return level.id === 'zcta' ? /^00[679]/.test(String(geoId)) : String(geoId).startsWith('72');
+    }
+
+    // Approximate [south, west, north, east] per USPS code, used to flag ZIP
+    // centroids that fall outside their stated state. West > east means the
+    // box crosses the antimeridian (the Aleutians).
+    static get STATE_BOUNDS() {
+        return {
+            AL: [30.1, -88.5, 35.0, -84.9], AK: [51.2, 172.4, 71.4, -129.9], AZ: [31.3, -114.9, 37.0, -109.0],
+            AR: [33.0, -94.7, 36.5, -89.6], CA: [32.5, -124.5, 42.0, -114.1], CO: [37.0, -109.1, 41.0, -102.0],
+            CT: [40.9, -73.8, 42.1, -71.8], DE: [38.4, -75.8, 39.9, -75.0], DC: [38.79, -77.12, 39.0, -76.9],
+            FL: [24.4, -87.7, 31.0, -80.0], GA: [30.3, -85.7, 35.0, -80.8], HI: [18.9, -160.3, 22.3, -154.8],
+            ID: [42.0, -117.3, 49.0, -111.0], IL: [36.9, -91.6, 42.5, -87.0], IN: [37.7, -88.1, 41.8, -84.8],
+            IA: [40.3, -96.7, 43.5, -90.1], KS: [36.9, -102.1, 40.0, -94.6], KY: [36.4, -89.6, 39.2, -81.9],
+            LA: [28.9, -94.1, 33.1, -88.8], ME: [43.0, -71.1, 47.5, -66.9], MD: [37.9, -79.5, 39.8, -75.0],
+            MA: [41.2, -73.5, 42.9, -69.9], MI: [41.7, -90.4, 48.3, -82.1], MN: [43.5, -97.3, 49.4, -89.5],
+            MS: [30.1, -91.7, 35.0, -88.1], MO: [35.9, -95.8, 40.6, -89.1], MT: [44.3, -116.1, 49.0, -104.0],
+            NE: [40.0, -104.1, 43.0, -95.3], NV: [35.0, -120.0, 42.0, -114.0], NH: [42.7, -72.6, 45.3, -70.6],
+            NJ: [38.9, -75.6, 41.4, -73.9], NM: [31.3, -109.1, 37.0, -103.0], NY: [40.5, -79.8, 45.0, -71.8],
+            NC: [33.8, -84.3, 36.6, -75.4], ND: [45.9, -104.1, 49.0, -96.5], OH: [38.4, -84.8, 42.0, -80.5],
+            OK: [33.6, -103.0, 37.0, -94.4], OR: [41.9, -124.6, 46.3, -116.5], PA: [39.7, -80.5, 42.3, -74.7],
+            RI: [41.1, -71.9, 42.0, -71.1], SC: [32.0, -83.4, 35.2, -78.5], SD: [42.5, -104.1, 45.9, -96.4],
+            TN: [35.0, -90.3, 36.7, -81.6], TX: [25.8, -106.7, 36.5, -93.5], UT: [37.0, -114.1, 42.0, -109.0],
+            VT: [42.7, -73.4, 45.0, -71.5], VA: [36.5, -83.7, 39.5, -75.2], WA: [45.5, -124.8, 49.0, -116.9],
+            WV: [37.2, -82.6, 40.6, -77.7], WI: [42.5, -92.9, 47.1, -86.8], WY: [41.0, -111.1, 45.0, -104.1],
+            AS: [-14.6, -171.1, -11.0, -168.1], GU: [13.2, 144.6, 13.7, 145.0], MP: [14.1, 144.9, 20.6, 146.1],
+            PR: [17.9, -67.95, 18.6, -65.2], VI: [17.6, -65.1, 18.4, -64.5]
+        };
+    }
+
+    /**
+     * Whether a point lies within a state's bounding box, with some slack
+     * for centroids right at a border
+     * @returns {boolean|null} - null for an unknown state code
+     */
+    static isInState(stateId, lat, lng, marginDeg = 0.25) {
+        const bounds = ACSGeography.STATE_BOUNDS[stateId];
+        if (!bounds) return null;
+
+        const [south, west, north, east] = bounds;
+        if (lat < south - marginDeg || lat > north + marginDeg) return false;
+        return west <= east
+            ? lng >= west - marginDeg && lng <= east + marginDeg
+            : lng >= west - marginDeg || lng <= east + marginDeg;
+    }
+
+    /**
+     * GEOID from the id columns of a Census API row
+     * @param {Object} level - Entry of LEVELS
+     * @param {Array} row - Data row
+     * @param {Array<number>} columnIndices - Indices of level.idColumns in the header
+     * @returns {string|null}
+     */
+    static geoIdFromRow(level, row, columnIndices) {
+        if (columnIndices.some(index => index === -1)) return null;
+
+        return columnIndices
+            .map((index, i) => String(row[index] ?? '').padStart(level.idWidths[i], '0'))
+            .join('');
+    }
+
+    static isValidId(level, geoId) {
+        const width = level.idWidths.reduce((sum, w) => sum + w, 0);
+        return new RegExp(`^\\d{${width}}$`).test(String(geoId));
+    }
+
+    static stateFips(level, geoId) {
+        return level.id === 'zcta' ? null : String(geoId).slice(0, 2);
+    }
+
+    /**
+     * Group GEOIDs into request batches. ZCTAs are listed explicitly in
+     * chunks, Puerto Rico apart from the rest; nested levels are requested
+     * one parent (state or county) at a time with a wildcard, so each batch
+     * holds every requested id under one parent.
+     * @returns {Array<Array<string>>}
+     */
+    static batchIds(level, geoIds, batchSize) {
+        if (level.parentLength === 0) {
+            // Puerto Rico goes in batches of its own: it may need PRCS variables
+            const stateside = geoIds.filter(id => !ACSGeography.isPuertoRico(level, id));
+            const puertoRico = geoIds.filter(id => ACSGeography.isPuertoRico(level, id));
+            const batches = [];
+            [stateside, puertoRico].forEach(ids => {
+                for (let i = 0; i < ids.length; i += batchSize) {
+                    batches.push(ids.slice(i, i + batchSize));
+                }
+            });
+            return batches;
+        }
+
+        const byParent = new Map();
+        geoIds.forEach(geoId => {
+            const parent = geoId.slice(0, level.parentLength);
+            if (!byParent.has(parent)) byParent.set(parent, []);
+            byParent.get(parent).push(geoId);
+        });
+        return [...byParent.values()];
+    }
+
+    /**
+     * `for=`/`in=` query for one batch from batchIds()
+     */
+    static buildGeoQuery(level, batch) {
+        const predicate = encodeURIComponent(level.predicate);
+
+        if (level.parentLength === 0) {
+            return `for=${predicate}:${batch.join(',')}`;
+        }
+
+        const parent = batch[0].slice(0, level.parentLength);
+        const inClause = level.inClause(parent).replace(/ /g, '%20');
+        return `for=${predicate}:*&${inClause}`;
+    }
+
+    // Tract codes are 6 digits with an implied decimal: 010203 -> 102.03
+    static formatTract(code) {
+        const value = parseInt(code, 10) / 100;
+        return Number.isInteger(value) ? String(value) : value.toFixed(2);
+    }
+
+    // Short display name for a GEOID when the centroid source has none
+    static describe(level, geoId) {
+        switch (level.id) {
+            case 'tract':
+                return `Tract ${ACSGeography.formatTract(geoId.slice(5))}`;
+            case 'block group':
+                return `BG ${geoId.slice(11)}, Tract ${ACSGeography.formatTract(geoId.slice(5, 11))}`;
+            default:
+                return geoId;
+        }
+    }
+}
+
+// Export to global scope
+if (typeof window !== 'undefined') {
+    window.ACSGeography = ACSGeography;
+}
@@ -0,0 +1,23 @@
+// ============================================================================
+// HTML UTILITIES - ESCAPING FOR TEMPLATE-STRING MARKUP
+// ============================================================================
+
+class HTMLUtils {
+    static get ENTITIES() {
+        return { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+    }
+
+    /**
+     * Text made safe for element content and quoted attributes. Anything
+     * from a file, the URL, the Census API or the user goes through this
+     * before it reaches innerHTML.
+     */
+    static escape(text) {
+        return String(text ?? '').replace(/[&<>"']/g, c => HTMLUtils.ENTITIES[c]);
+    }
+}
+
+// Export to global scope
+if (typeof window !== 'undefined') {
+    window.HTMLUtils = HTMLUtils;
+}
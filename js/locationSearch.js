@@ -0,0 +1,323 @@
+// ============================================================================
+// LOCATION SEARCH - ZIP, CITY & COUNTY AUTOCOMPLETE OVER ZIPCodeIndex
+// ============================================================================
+
+class ACSLocationSearch {
+    /**
+     * @param {Object} options - {
+     *   zipIndex: ZIPCodeIndex the suggestions are built from,
+     *   input: the search <input>,
+     *   list: element the suggestions render into,
+     *   onSelect(result, { dropRing }): called when a suggestion is chosen;
+     *     dropRing is true when Shift was held
+     * }
+     */
+    constructor(options = {}) {
+        this.zipIndex = options.zipIndex;
+        this.input = options.input || null;
+        this.list = options.list || null;
+        this.onSelect = options.onSelect || null;
+
+        this.entries = null;    // built lazily from the index, see buildEntries
+        this.builtFrom = null;  // ZIP count the entries were built from
+        this.results = [];
+        this.activeIndex = -1;
+
+        if (this.input && this.list) this.attach();
+    }
+
+    static get MAX_RESULTS() {
+        return 8;
+    }
+
+    // Tokens this long or longer also match with one typo
+    static get FUZZY_MIN_LENGTH() {
+        return 4;
+    }
+
+    static get TYPES() {
+        return {
+            zip: { label: 'ZIP', icon: 'fa-map-pin', weight: 3 },
+            city: { label: 'City', icon: 'fa-city', weight: 2 },
+            county: { label: 'County', icon: 'fa-draw-polygon', weight: 1 }
+        };
+    }
+
+    // ============================================================================
+    // INDEX
+    // ============================================================================
+
+    /**
+     * One entry per postal ZIP, per city and per county. Cities sit at the
+     * population-weighted center of their ZIPs; counties carry the bounds
+     * of theirs so selecting one can fit the map to it.
+     */
+    buildEntries() {
+        const entries = [];
+        const cities = new Map();
+        const counties = new Map();
+
+        this.zipIndex.zips.forEach(record => {
+            const state = record.state_id || '';
+            entries.push({
+                type: 'zip',
+                id: record.zip,
+                label: record.zip,
+                detail: [record.city, state].filter(Boolean).join(', '),
+                lat: record.lat,
+                lng: record.lng,
+                population: record.population || 0,
+                zips: [record.zip],
+                words: [record.zip, ...ACSLocationSearch.words(record.city || ''), state.toLowerCase()]
+            });
+
+            if (record.city) {
+                ACSLocationSearch.addToGroup(cities, `${record.city}|${state}`, record, {
+                    type: 'city',
+                    label: `${record.city}, ${state}`,
+                    words: [...ACSLocationSearch.words(record.city), state.toLowerCase()]
+                });
+            }
+            if (record.county_name) {
+                ACSLocationSearch.addToGroup(counties, `${record.county_name}|${state}`, record, {
+                    type: 'county',
+                    label: `${record.county_name}, ${state}`,
+                    words: [...ACSLocationSearch.words(record.county_name), 'county', state.toLowerCase()]
+                });
+            }
+        });
+
+        [...cities.values(), ...counties.values()].forEach(group => {
+            const weight = group.weightSum || group.zips.length;
+            group.lat = group.latSum / weight;
+            group.lng = group.lngSum / weight;
+            group.detail = `${group.zips.length} ZIP${group.zips.length === 1 ? '' : 's'}`;
+            delete group.latSum;
+            delete group.lngSum;
+            delete group.weightSum;
+            entries.push(group);
+        });
+
+        this.entries = entries;
+        this.builtFrom = this.zipIndex.zips.size;
+        return entries;
+    }
+
+    static addToGroup(groups, key, record, base) {
+        if (!groups.has(key)) {
+            groups.set(key, {
+                ...base,
+                id: key,
+                population: 0,
+                zips: [],
+                bounds: [[record.lat, record.lng], [record.lat, record.lng]],
+                latSum: 0,
+                lngSum: 0,
+                weightSum: 0
+            });
+        }
+
+        const group = groups.get(key);
+        const weight = record.population || 0;
+        group.zips.push(record.zip);
+        group.population += weight;
+        group.latSum += record.lat * (weight || 1);
+        group.lngSum += record.lng * (weight || 1);
+        group.weightSum += weight || 1;
+        group.bounds[0] = [Math.min(group.bounds[0][0], record.lat), Math.min(group.bounds[0][1], record.lng)];
+        group.bounds[1] = [Math.max(group.bounds[1][0], record.lat), Math.max(group.bounds[1][1], record.lng)];
+    }
+
+    static words(text) {
+        return String(text).toLowerCase().split(/[^a-z0-9]+/).filter(Boolean);
+    }
+
+    // ============================================================================
+    // MATCHING & RANKING
+    // ============================================================================
+
+    /**
+     * Every query token must prefix-match a word of the entry ("naper il",
+     * "Naperville, IL", "940", "chicago 606"). Longer tokens also match
+     * with one typo.
+     * Ranked by match quality, then type (ZIP, city, county), then population.
+     * @returns {Array} - Entries with a score, best first
+     */
+    search(query, limit = ACSLocationSearch.MAX_RESULTS) {
+        const tokens = ACSLocationSearch.words(query);
+        if (tokens.length === 0) return [];
+        if (!this.entries || this.builtFrom !== this.zipIndex.zips.size) this.buildEntries();
+
+        // Numbers only ever match ZIPs ("605", "naperville 605"); without
+        // one, ZIPs stay out of the way of their own city
+        const wantsZip = tokens.some(token => /^\d+$/.test(token));
+        const scored = [];
+
+        for (const entry of this.entries) {
+            if (wantsZip !== (entry.type === 'zip')) continue;
+
+            let score = 0;
+            for (const token of tokens) {
+                const match = ACSLocationSearch.matchToken(token, entry.words);
+                if (match === 0) {
+                    score = 0;
+                    break;
+                }
+                score += match;
+            }
+            if (score === 0) continue;
+
+            score = score * 10 + ACSLocationSearch.TYPES[entry.type].weight;
+            scored.push({ entry, score });
+        }
+
+        return scored
+            .sort((a, b) => b.score - a.score || b.entry.population - a.entry.population)
+            .slice(0, limit)
+            .map(({ entry, score }) => ({ ...entry, score }));
+    }
+
+    /**
+     * @returns {number} - 3 exact word, 2 word prefix, 1 prefix with one
+     *   typo, 0 no match
+     */
+    static matchToken(token, words) {
+        let best = 0;
+
+        for (const word of words) {
+            if (word === token) return 3;
+            if (word.startsWith(token)) {
+                best = 2;
+            } else if (best === 0 && token.length >= ACSLocationSearch.FUZZY_MIN_LENGTH &&
+                ACSLocationSearch.withinOneEdit(token, word.slice(0, token.length + 1))) {
+                best = 1;
+            }
+        }
+
+        return best;
+    }
+
+    /**
+     * True when `token` is a prefix of `text` after at most one substitution,
+     * insertion or deletion ("napervile" -> "napervill", "chicgo" -> "chica")
+     */
+    static withinOneEdit(token, text) {
+        let i = 0;
+        let j = 0;
+        let edits = 0;
+
+        while (i < token.length && j < text.length) {
+            if (token[i] === text[j]) {
+                i++;
+                j++;
+                continue;
+            }
+            if (++edits > 1) return false;
+
+            if (token[i + 1] === text[j]) {
+                i++;                 // extra character in the query
+            } else if (token[i] === text[j + 1]) {
+                j++;                 // character missing from the query
+            } else {
+                i++;                 // substitution
+                j++;
+            }
+        }
+
+        // Leftover query characters count as edits; leftover text is the prefix tail
+        return edits + (token.length - i) <= 1;
+    }
+
+    // ============================================================================
+    // UI
+    // ============================================================================
+
+    attach() {
+        this.input.setAttribute('autocomplete', 'off');
+        this.input.setAttribute('role', 'combobox');
+        this.input.setAttribute('aria-expanded', 'false');
+        this.list.setAttribute('role', 'listbox');
+
+        this.input.addEventListener('input', () => this.update());
+        this.input.addEventListener('focus', () => this.update());
+        this.input.addEventListener('keydown', (e) => this.handleKey(e));
+        this.input.addEventListener('blur', () => setTimeout(() => this.close(), 150));
+
+        // mousedown fires before the input's blur closes the list
+        this.list.addEventListener('mousedown', (e) => {
+            const item = e.target.closest('[data-index]');
+            if (!item) return;
+            e.preventDefault();
+            this.choose(parseInt(item.dataset.index), e.shiftKey);
+        });
+    }
+
+    update() {
+        this.results = this.search(this.input.value);
+        this.activeIndex = this.results.length > 0 ? 0 : -1;
+        this.render();
+    }
+
+    handleKey(e) {
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            if (this.results.length === 0) return;
+            const step = e.key === 'ArrowDown' ? 1 : -1;
+            this.activeIndex = (this.activeIndex + step + this.results.length) % this.results.length;
+            this.render();
+            e.preventDefault();
+        } else if (e.key === 'Enter') {
+            if (this.activeIndex !== -1) this.choose(this.activeIndex, e.shiftKey);
+            e.preventDefault();
+        } else if (e.key === 'Escape') {
+            this.close();
+            this.input.blur();
+        }
+    }
+
+    choose(index, dropRing = false) {
+        const result = this.results[index];
+        if (!result) return;
+
+        this.input.value = result.type === 'zip' ? `${result.label} (${result.detail})` : result.label;
+        this.close();
+        this.input.blur();
+        if (this.onSelect) this.onSelect(result, { dropRing });
+    }
+
+    render() {
+        const query = this.input.value.trim();
+        if (!query) {
+            this.close();
+            return;
+        }
+
+        const items = this.results.map((result, i) => {
+            const type = ACSLocationSearch.TYPES[result.type];
+            return `
+                <div class="search-result${i === this.activeIndex ? ' active' : ''}" data-index="${i}" role="option" aria-selected="${i === this.activeIndex}">
+                    <i class="fas ${type.icon}"></i>
+                    <span class="search-result-label">${HTMLUtils.escape(result.label)}</span>
+                    <span class="search-result-detail">${HTMLUtils.escape(result.detail)}</span>
+                    <span class="search-result-type">${type.label}</span>
+                </div>
+            `;
+        }).join('');
+
+        this.list.innerHTML = items
+            ? `${items}<div class="search-hint">Enter to go · Shift+Enter or Shift+click to drop a ring</div>`
+            : '<div class="search-hint">No matching ZIP, city or county</div>';
+        this.list.hidden = false;
+        this.input.setAttribute('aria-expanded', 'true');
+    }
+
+    close() {
+        if (!this.list) return;
+        this.list.hidden = true;
+        this.input.setAttribute('aria-expanded', 'false');
+    }
+}
+
+// Export to global scope
+if (typeof window !== 'undefined') {
+    window.ACSLocationSearch = ACSLocationSearch;
+}
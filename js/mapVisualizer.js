@@ -48,6 +48,25 @@ class ACSMapVisualizer {
         
         // Spatial utilities
         this.spatialUtils = new SpatialUtils();
+        // Grid over the current markers for ring queries; rebuilt on each load
+        this.spatialIndex = new ACSSpatialIndex();
+        // Every loaded record, markers or not, for pooling income brackets
+        this.recordIndex = new ACSSpatialIndex();
+        
+        // Registered ACS metrics (shared with ACSAPIService)
+        this.metricRegistry = this.config.metricRegistry || new ACSMetricRegistry();
+        
+        // Marker coloring: 'level' (criteria colors) or 'growth' (change vs comparison vintage)
+        this.dataVintage = this.config.vintage || 2022;
+        this.colorMode = 'level';
+        this.growthMetric = this.metricRegistry.criteria.education;
+        
+        // Active geography level: markers are ZCTAs, tracts, block groups, counties or places
+        this.geographyLevel = ACSGeography.get(this.config.geography);
+        
+        // Classification: 'count' (absolute totals) or 'rate' (share of universe)
+        this.analysisMode = 'count';
+        this.thresholds = ACSMetricRegistry.DEFAULT_THRESHOLDS;
         
         // RINGS state
         this.isDrawing = false;
@@ -84,7 +103,10 @@ class ACSMapVisualizer {
                 middle: '#f59e0b',
                 outer: '#ef4444'
             },
-            maxLimit: '#00ffff' // Neon blue for max limit
+            maxLimit: '#00ffff', // Neon blue for max limit
+            // Diverging scale: strong decline -> strong growth
+            growth: ['#b91c1c', '#f87171', '#9ca3af', '#4ade80', '#15803d'],
+            noComparison: '#d1d5db'
         };
 
         this.initMap();
@@ -134,6 +156,10 @@ class ACSMapVisualizer {
         this.map.on('click', () => {
             this.closeAllPopups();
         });
+        
+        this.map.on('moveend', () => {
+            this.updateViewportDistribution();
+        });
 
         if (this.config.enableClustering) {
             this.markerCluster = L.markerClusterGroup({
@@ -191,16 +217,16 @@ class ACSMapVisualizer {
                             <div style="display: flex; justify-content: space-between; align-items: center;">
                                 <div>
                                     <span style="font-weight: 600; color: #10b981; margin-right: 8px;">${index + 1}.</span>
-                                    <span style="font-weight: 500; color: #1f2937;">${location}</span>
+                                    <span style="font-weight: 500; color: #1f2937;">${HTMLUtils.escape(location)}</span>
                                 </div>
                                 <div style="font-size: 11px; color: #6b7280;">
                                     ${new Date(ring.timestamp).toLocaleTimeString()}
                                 </div>
                             </div>
                             <div style="display: flex; gap: 12px; margin-top: 8px; font-size: 12px;">
-                                <span><span style="color: #10b981;">●</span> ${ring.donutStats.inner.totalMarkers} ZIPs</span>
-                                <span><span style="color: #f59e0b;">●</span> ${ring.donutStats.middle.totalMarkers} ZIPs</span>
-                                <span><span style="color: #ef4444;">●</span> ${ring.donutStats.outer.totalMarkers} ZIPs</span>
+                                <span><span style="color: #10b981;">●</span> ${ring.donutStats.inner.totalMarkers} ${this.geographyUnits}</span>
+                                <span><span style="color: #f59e0b;">●</span> ${ring.donutStats.middle.totalMarkers} ${this.geographyUnits}</span>
+                                <span><span style="color: #ef4444;">●</span> ${ring.donutStats.outer.totalMarkers} ${this.geographyUnits}</span>
                             </div>
                         </div>
                     `;
@@ -332,8 +358,18 @@ class ACSMapVisualizer {
             return;
         }
         
+        this.createRing(this.startPoint);
+        this.cancelDrawing();
+    }
+
+    /**
+     * Draw the 5 / 10 / 25-mile ring set around a point, save it and open
+     * its weighted tab
+     * @param {L.LatLng} center
+     * @returns {string} - The new ring's id
+     */
+    createRing(center) {
         const ringId = `ring_${Date.now()}_${this.ringCounter++}`;
-        const center = this.startPoint;
         
         // FIXED RADII: 5, 10, 25 miles
         const innerRadiusMiles = 5;
@@ -378,25 +414,12 @@ class ACSMapVisualizer {
             interactive: true
         }).addTo(this.map);
         
-        // Calculate DONUT STATS (non-cumulative)
-        const innerDonutStats = this.calculateDonutStats(center, 0, innerRadiusMeters);
-        const middleDonutStats = this.calculateDonutStats(center, innerRadiusMeters, middleRadiusMeters);
-        const outerDonutStats = this.calculateDonutStats(center, middleRadiusMeters, outerRadiusMeters);
-        
-        // Calculate WEIGHTED DONUT STATS (radius multiplied, non-cumulative)
-        // INNER: 5mi ×3 = 15mi total (0-15)
-        const weightedInnerDonutStats = this.calculateDonutStats(center, 0, innerRadiusMiles * 3 * milesToMeters);
-        
-        // MIDDLE: 10mi ×2 = 20mi total, but starting at 15 (where inner weighted ends)
-        const weightedMiddleDonutStats = this.calculateDonutStats(center, innerRadiusMiles * 3 * milesToMeters, middleRadiusMiles * 2 * milesToMeters);
-        
-        // OUTER: ×1 means SAME AS REGULAR OUTER (10-25 miles)
-        const weightedOuterDonutStats = this.calculateDonutStats(center, middleRadiusMiles * milesToMeters, outerRadiusMiles * milesToMeters);
-        
-        // Get locations for each donut
-        const innerLocations = this.getLocationsInCircle(center, innerRadiusMeters);
-        const middleLocations = this.getLocationsInDonut(center, innerRadiusMeters, middleRadiusMeters);
-        const outerLocations = this.getLocationsInDonut(center, middleRadiusMeters, outerRadiusMeters);
+        // Donut, weighted and location stats for the three rings
+        const ringStats = this.computeRingStats(center, {
+            inner: innerRadiusMiles,
+            middle: middleRadiusMiles,
+            outer: outerRadiusMiles
+        });
         
         // Store ring data
         const ringData = {
@@ -411,23 +434,7 @@ class ACSMapVisualizer {
                 middleMeters: middleRadiusMeters,
                 outerMeters: outerRadiusMeters
             },
-            // DONUT STATS (non-cumulative)
-            donutStats: {
-                inner: innerDonutStats,
-                middle: middleDonutStats,
-                outer: outerDonutStats
-            },
-            // WEIGHTED DONUT STATS (radius multiplied, non-cumulative)
-            weightedStats: {
-                inner: weightedInnerDonutStats,
-                middle: weightedMiddleDonutStats,
-                outer: weightedOuterDonutStats
-            },
-            locations: {
-                inner: innerLocations,
-                middle: middleLocations,
-                outer: outerLocations
-            },
+            ...ringStats,
             created: Date.now(),
             timestamp: new Date().toISOString()
         };
@@ -487,89 +494,643 @@ class ACSMapVisualizer {
             'success'
         );
         
-        this.cancelDrawing();
+        return ringId;
     }
 
     // ============================================================================
     // DONUT CALCULATIONS
     // ============================================================================
 
+    /**
+     * Calculate donut, weighted and location stats for a ring set
+     * @param {Object} center - {lat, lng}
+     * @param {Object} radii - {inner, middle, outer} in miles
+     * @returns {Object} - { donutStats, weightedStats, locations }
+     */
+    computeRingStats(center, radii) {
+        const milesToMeters = this.MILES_TO_METERS;
+        const innerRadiusMeters = radii.inner * milesToMeters;
+        const middleRadiusMeters = radii.middle * milesToMeters;
+        const outerRadiusMeters = radii.outer * milesToMeters;
+        
+        return {
+            // DONUT STATS (non-cumulative)
+            donutStats: {
+                inner: this.calculateDonutStats(center, 0, innerRadiusMeters),
+                middle: this.calculateDonutStats(center, innerRadiusMeters, middleRadiusMeters),
+                outer: this.calculateDonutStats(center, middleRadiusMeters, outerRadiusMeters)
+            },
+            // WEIGHTED DONUT STATS (radius multiplied, non-cumulative)
+            // INNER: 5mi ×3 = 15mi (0-15); MIDDLE: 10mi ×2 = 20mi starting at 15;
+            // OUTER: ×1 means SAME AS REGULAR OUTER (10-25 miles)
+            weightedStats: {
+                inner: this.calculateDonutStats(center, 0, radii.inner * 3 * milesToMeters),
+                middle: this.calculateDonutStats(center, radii.inner * 3 * milesToMeters, radii.middle * 2 * milesToMeters),
+                outer: this.calculateDonutStats(center, middleRadiusMeters, outerRadiusMeters)
+            },
+            locations: {
+                inner: this.getLocationsInCircle(center, innerRadiusMeters),
+                middle: this.getLocationsInDonut(center, innerRadiusMeters, middleRadiusMeters),
+                outer: this.getLocationsInDonut(center, middleRadiusMeters, outerRadiusMeters)
+            }
+        };
+    }
+
+    /**
+     * Recompute every ring against the markers currently on the map
+     */
+    recalculateAllRings() {
+        if (this.markers.size === 0) return;
+        
+        this.rings.forEach(ring => {
+            Object.assign(ring, this.computeRingStats(ring.center, ring.radii));
+        });
+        
+        this.saveRings();
+        if (this.ringListManager) this.ringListManager.updateList();
+        
+        if (this.activeRingId && this.rings.has(this.activeRingId) && this.activePopup) {
+            this.closeAllPopups();
+            this.showRingPopup(this.activeRingId, this.activeRingType);
+        }
+    }
+
     calculateDonutStats(center, minMeters, maxMeters) {
         let stats = { 
             totalMarkers: 0, 
             educationOnly: 0, 
             incomeOnly: 0, 
             bothCriteria: 0, 
-            totalEducation: 0, 
-            totalHighIncome: 0, 
+            unreliableCount: 0,
             medianIncomes: [] 
         };
-        
-        this.markers.forEach(marker => {
+        const metricValues = {};
+        const metricMoes = {};
+        const metricComponents = {};
+        const metricExcluded = {};
+        const baselineValues = {};
+        const provenance = [];
+        const interpolated = this.interpolatedMetricIds();
+        stats.mode = this.analysisMode;
+        stats.thresholds = this.describeThresholds();
+        
+        this.spatialIndex.withinAnnulus(center, minMeters, maxMeters).forEach(({ item: marker }) => {
             if (!marker.data) return;
             
-            const distance = this.spatialUtils.haversineDistance(
-                { lat: center.lat, lng: center.lng },
-                { lat: marker.getLatLng().lat, lng: marker.getLatLng().lng }
-            );
+            stats.totalMarkers++;
             
-            if (distance > minMeters && distance <= maxMeters) {
-                stats.totalMarkers++;
-                
-                if (marker.data.hasEducation && marker.data.hasIncome) {
-                    stats.bothCriteria++;
-                } else if (marker.data.hasEducation) {
-                    stats.educationOnly++;
-                } else if (marker.data.hasIncome) {
-                    stats.incomeOnly++;
-                }
-                
-                stats.totalEducation += marker.data.totalHigherEd || 0;
-                stats.totalHighIncome += marker.data.totalHighIncomeHouseholds || 0;
-                
-                if (marker.data.medianIncome) {
-                    stats.medianIncomes.push(marker.data.medianIncome);
+            if (marker.data.hasEducation && marker.data.hasIncome) {
+                stats.bothCriteria++;
+            } else if (marker.data.hasEducation) {
+                stats.educationOnly++;
+            } else if (marker.data.hasIncome) {
+                stats.incomeOnly++;
+            }
+            
+            if (marker.data.unreliable) {
+                stats.unreliableCount++;
+            }
+            
+            Object.entries(marker.data.metrics || {}).forEach(([id, value]) => {
+                if (interpolated.has(id)) return;
+                // Missing and top/bottom-coded values would skew sums and medians
+                if (marker.data.flags?.[id]) {
+                    metricExcluded[id] = (metricExcluded[id] || 0) + 1;
+                    return;
                 }
+                if (value === null || value === undefined) return;
+                if (!metricValues[id]) metricValues[id] = [];
+                metricValues[id].push(value);
+                if (!metricMoes[id]) metricMoes[id] = [];
+                metricMoes[id].push(marker.data.moe?.[id] ?? null);
+            });
+            
+            Object.entries(marker.data.components || {}).forEach(([id, components]) => {
+                if (!metricComponents[id]) metricComponents[id] = [];
+                metricComponents[id].push(components);
+            });
+            
+            Object.entries(marker.data.baselineMetrics || {}).forEach(([id, value]) => {
+                if (interpolated.has(id)) return;
+                if (value === null || value === undefined || marker.data.baselineFlags?.[id]) return;
+                if (!baselineValues[id]) baselineValues[id] = [];
+                baselineValues[id].push(value);
+            });
+            
+            if (marker.data.comparisonVintage) {
+                stats.comparisonVintage = marker.data.comparisonVintage;
+            }
+            
+            if (marker.data.provenance) provenance.push(marker.data.provenance);
+        });
+        
+        // Markers only stand for ZIPs that pass a threshold; pooling just
+        // those would bias the ring's income distribution upward
+        const records = this.recordIndex.withinAnnulus(center, minMeters, maxMeters).map(({ item }) => item);
+        const pooled = this.collectInterpolated(records);
+        Object.assign(metricValues, pooled.values);
+        Object.assign(metricExcluded, pooled.excluded);
+        Object.assign(baselineValues, pooled.baselineValues);
+        stats.recordCount = records.length;
+        records.forEach(record => {
+            if (record.metrics?.Median_Income && !record.flags?.Median_Income) {
+                stats.medianIncomes.push(record.metrics.Median_Income);
             }
         });
         
+        stats.provenance = ACSProvenance.summarize(provenance);
+        
         // Calculate median income
         if (stats.medianIncomes.length > 0) {
-            stats.medianIncomes.sort((a, b) => a - b);
-            const mid = Math.floor(stats.medianIncomes.length / 2);
-            stats.medianIncome = stats.medianIncomes.length % 2 === 0
-                ? (stats.medianIncomes[mid - 1] + stats.medianIncomes[mid]) / 2
-                : stats.medianIncomes[mid];
+            stats.medianIncome = this.median(stats.medianIncomes);
+        }
+        
+        stats.metrics = this.aggregateMetrics(metricValues, metricMoes, metricComponents, metricExcluded, pooled.distributions);
+        if (stats.comparisonVintage) {
+            stats.baselineMetrics = this.aggregateMetrics(baselineValues, {}, {}, {}, pooled.baselineDistributions);
         }
         
         return stats;
     }
 
-    getLocationsInCircle(center, radiusMeters) {
-        const counties = new Set();
-        const cities = new Set();
-        const states = new Set();
+    interpolatedMetricIds() {
+        return new Set(this.metricRegistry.getAll().filter(m => m.aggregate === 'interpolated').map(m => m.id));
+    }
+
+    /**
+     * Bracket counts, and the fallback per-ZIP values, of the interpolated
+     * metrics across a set of loaded records
+     * @param {Array} records - Points from recordIndex
+     * @returns {Object} - { values, excluded, distributions, baselineValues, baselineDistributions }
+     */
+    collectInterpolated(records) {
+        const collected = { values: {}, excluded: {}, distributions: {}, baselineValues: {}, baselineDistributions: {} };
+        const interpolated = this.interpolatedMetricIds();
+        const push = (target, id, value) => {
+            if (!target[id]) target[id] = [];
+            target[id].push(value);
+        };
         
-        this.markers.forEach((marker) => {
-            const distance = this.spatialUtils.haversineDistance(
-                { lat: center.lat, lng: center.lng },
-                { lat: marker.getLatLng().lat, lng: marker.getLatLng().lng }
-            );
+        records.forEach(record => {
+            interpolated.forEach(id => {
+                const value = record.metrics?.[id];
+                if (record.flags?.[id]) {
+                    collected.excluded[id] = (collected.excluded[id] || 0) + 1;
+                } else if (value !== null && value !== undefined) {
+                    push(collected.values, id, value);
+                }
+                
+                const baseline = record.baselineMetrics?.[id];
+                if (baseline !== null && baseline !== undefined && !record.baselineFlags?.[id]) {
+                    push(collected.baselineValues, id, baseline);
+                }
+            });
             
-            if (distance <= radiusMeters && marker.data) {
-                if (marker.data.county) counties.add(marker.data.county);
-                if (marker.data.city) cities.add(marker.data.city);
-                if (marker.data.state) states.add(marker.data.state);
+            Object.entries(record.distributions || {}).forEach(([id, counts]) => push(collected.distributions, id, counts));
+            Object.entries(record.baselineDistributions || {}).forEach(([id, counts]) => push(collected.baselineDistributions, id, counts));
+        });
+        
+        return collected;
+    }
+
+    /**
+     * Aggregate per-ZIP metric values using each metric's aggregate rule
+     * @param {Object} metricValues - { [metricId]: number[] }
+     * @param {Object} metricMoes - { [metricId]: (number|null)[] } aligned with metricValues
+     * @param {Object} metricComponents - { [metricId]: ratio components[] } for pooled rates
+     * @param {Object} metricExcluded - { [metricId]: number } of flagged values left out
+     * @param {Object} metricDistributions - { [distributionId]: bracket counts[] } for
+     *   interpolated medians
+     * @returns {Object} - { [metricId]: { value, count, moe, cv, excluded, distribution, components } }
+     */
+    aggregateMetrics(metricValues, metricMoes = {}, metricComponents = {}, metricExcluded = {}, metricDistributions = {}) {
+        const result = {};
+        
+        this.metricRegistry.getAll().forEach(metric => {
+            const values = metricValues[metric.id] || [];
+            const moes = metricMoes[metric.id] || [];
+            let value = null;
+            let moe = null;
+            let components = null;
+            
+            // Sum the brackets and interpolate; records cached before
+            // brackets were fetched fall through to a median of medians
+            const countsList = metric.aggregate === 'interpolated' ? metricDistributions[metric.distribution] : null;
+            if (countsList?.length) {
+                result[metric.id] = this.poolDistributionEntry(metric, countsList);
+                return;
             }
+            
+            if (values.length > 0) {
+                if (metric.aggregate === 'sum') {
+                    value = values.reduce((a, b) => a + b, 0);
+                    // Only sums get an aggregated MOE, and only if every ZIP had one
+                    if (moes.length === values.length && moes.every(m => m !== null)) {
+                        moe = Math.sqrt(moes.reduce((total, m) => total + m * m, 0));
+                    }
+                } else if (metric.aggregate === 'ratio' && metricComponents[metric.id]?.length) {
+                    // Pool numerators and denominators so large ZIPs weigh in proportionally
+                    ({ value, moe, components } = this.metricRegistry.poolRatio(metric, metricComponents[metric.id]));
+                } else if (metric.aggregate === 'mean') {
+                    value = values.reduce((a, b) => a + b, 0) / values.length;
+                } else {
+                    value = this.median(values);
+                }
+            }
+            
+            const reliability = ACSMetricRegistry.reliability(value, moe);
+            result[metric.id] = {
+                value,
+                count: values.length,
+                moe,
+                cv: reliability ? reliability.cv : null,
+                excluded: metricExcluded[metric.id] || 0
+            };
+            if (components) result[metric.id].components = components;
         });
         
+        return result;
+    }
+
+    /**
+     * Metric stats entry for a pooled bracket distribution
+     * @returns {Object} - { value, count, moe, cv, excluded, distribution: { counts, total, method, openEnded } }
+     */
+    poolDistributionEntry(metric, countsList) {
+        const pooled = this.metricRegistry.poolDistribution(metric, countsList);
         return {
-            counties: Array.from(counties).sort().slice(0, 8),
-            cities: Array.from(cities).sort().slice(0, 8),
-            states: Array.from(states).sort(),
-            countyCount: counties.size,
-            cityCount: cities.size
+            value: pooled.value,
+            count: countsList.length,
+            moe: null,
+            cv: null,
+            excluded: 0,
+            distribution: {
+                counts: pooled.counts,
+                total: pooled.total,
+                method: pooled.method,
+                openEnded: pooled.openEnded
+            }
+        };
+    }
+
+    // Label of the metric filling a classification slot in the current mode.
+    // Plain text: custom metrics take their label from the Census, so escape it in HTML.
+    criterionLabel(slot) {
+        const id = this.metricRegistry.getCriteria(this.analysisMode)[slot];
+        return this.metricRegistry.get(id)?.label || id;
+    }
+
+    // "Higher Education ≥ 1,000 · High-Income Households ≥ 1,000 (count mode)", as plain text
+    describeThresholds(mode = this.analysisMode) {
+        const criteria = this.metricRegistry.getCriteria(mode);
+        const thresholds = this.thresholds[mode] || {};
+        const parts = ACSMetricRegistry.CRITERIA_SLOTS.map(slot =>
+            `${this.metricRegistry.get(criteria[slot])?.label || criteria[slot]} ≥ ${this.metricRegistry.formatValue(criteria[slot], thresholds[slot])}`
+        );
+        return `${parts.join(' · ')} (${mode === 'rate' ? 'rate' : 'count'} mode)`;
+    }
+
+    // Full provenance for one record, collapsed under a one-line summary
+    renderProvenanceDetails(provenance) {
+        const row = (label, value) => `
+                    <div style="display: flex; justify-content: space-between; gap: 12px; margin-top: 4px;">
+                        <span style="color: #6b7280;">${label}</span>
+                        <span style="color: #1f2937; text-align: right;">${HTMLUtils.escape(value)}</span>
+                    </div>`;
+        const source = ACSProvenance.SOURCES[provenance.source] || ACSProvenance.SOURCES.api;
+        const tables = provenance.tables.length
+            ? `${provenance.tables.join(', ')}${provenance.variableCount ? ` (${provenance.variableCount} variables)` : ''}`
+            : 'not recorded';
+        
+        return `
+                <details style="margin-top: 8px; font-size: 10px; color: #4b5563;">
+                    <summary style="cursor: pointer; color: ${source.color};">
+                        <i class="fas ${source.icon}"></i> ${source.label} · ${ACSProvenance.formatAge(provenance.fetchedAt)}
+                    </summary>
+                    ${row('Dataset', `${ACSProvenance.DATASET.label} (${provenance.dataset}) ${provenance.vintage || this.dataVintage}`)}
+                    ${row('Geography', ACSGeography.get(provenance.geography || this.geographyLevel.id).label)}
+                    ${provenance.survey === 'prcs' ? row('Survey', ACSProvenance.SURVEYS.prcs.label) : ''}
+                    ${row('Tables', tables)}
+                    ${row('Source', ACSProvenance.describeSource(provenance))}
+                    ${row('Fetched', provenance.fetchedAt ? new Date(provenance.fetchedAt).toLocaleString() : 'unknown')}
+                    ${row('Thresholds', this.describeThresholds())}
+                </details>
+        `;
+    }
+
+    /**
+     * Where a ring's data came from: records per source and how old they are
+     * @param {Object} summary - ACSProvenance.summarize() result
+     */
+    renderProvenanceSummary(summary, thresholds) {
+        if (!summary || summary.total === 0) return '';
+        
+        const sources = Object.entries(summary.bySource)
+            .filter(([, count]) => count > 0)
+            .map(([source, count]) => {
+                const info = ACSProvenance.SOURCES[source] || ACSProvenance.SOURCES.api;
+                return `<span style="color: ${info.color};"><i class="fas ${info.icon}"></i> ${count} ${info.label.toLowerCase()}</span>`;
+            })
+            .join(' · ');
+        
+        return `
+                <div style="margin-top: 8px; font-size: 10px; color: #6b7280; line-height: 1.5;">
+                    <div><i class="fas fa-layer-group"></i> ${ACSProvenance.DATASET.label} ${summary.vintages.join(', ') || this.dataVintage} · ${sources} · ${ACSProvenance.formatAgeRange(summary)}</div>
+                    ${summary.servers.length ? `<div><i class="fas fa-flask"></i> Fixture data from ${HTMLUtils.escape(summary.servers.join(', '))}</div>` : ''}
+                    ${thresholds ? `<div><i class="fas fa-sliders-h"></i> Thresholds: ${HTMLUtils.escape(thresholds)}</div>` : ''}
+                </div>
+        `;
+    }
+
+    median(values) {
+        const sorted = [...values].sort((a, b) => a - b);
+        const mid = Math.floor(sorted.length / 2);
+        return sorted.length % 2 === 0
+            ? (sorted[mid - 1] + sorted[mid]) / 2
+            : sorted[mid];
+    }
+
+    /**
+     * Metric stats for a donut, falling back to the fixed fields saved by older versions
+     */
+    getMetricStats(stats) {
+        if (stats.metrics) return stats.metrics;
+        
+        return {
+            Higher_Education: { value: stats.totalEducation || 0, count: stats.totalMarkers },
+            High_Income_Households: { value: stats.totalHighIncome || 0, count: stats.totalMarkers },
+            Median_Income: { value: stats.medianIncome || null, count: stats.medianIncomes?.length || 0 }
+        };
+    }
+
+    /**
+     * Sum the summable metrics of several donuts into one set of totals.
+     * Interpolated medians re-pool the donuts' bracket counts and pooled
+     * rates their numerators and denominators.
+     */
+    combineSummableMetrics(statsList) {
+        const combined = {};
+        this.metricRegistry.getAll().filter(m => m.aggregate === 'interpolated').forEach(metric => {
+            const countsList = statsList.map(stats => stats?.[metric.id]?.distribution?.counts).filter(Boolean);
+            if (countsList.length === 0) return;
+            
+            combined[metric.id] = this.poolDistributionEntry(metric, countsList);
+            combined[metric.id].count = statsList.reduce((total, stats) => total + (stats?.[metric.id]?.count || 0), 0);
+        });
+        
+        this.metricRegistry.getAll().filter(m => m.aggregate === 'ratio').forEach(metric => {
+            const componentsList = statsList.map(stats => stats?.[metric.id]?.components).filter(Boolean);
+            if (componentsList.length === 0) return;
+            
+            const { value, moe, components } = this.metricRegistry.poolRatio(metric, componentsList);
+            const reliability = ACSMetricRegistry.reliability(value, moe);
+            combined[metric.id] = {
+                value,
+                count: statsList.reduce((total, stats) => total + (stats?.[metric.id]?.count || 0), 0),
+                moe,
+                cv: reliability ? reliability.cv : null,
+                components
+            };
+        });
+        
+        this.metricRegistry.getAll().filter(m => m.aggregate === 'sum').forEach(metric => {
+            const donuts = statsList.map(stats => stats?.[metric.id]);
+            const value = donuts.reduce((total, d) => total + (d?.value || 0), 0);
+            const moe = donuts.every(d => !d || d.count === 0 || (d.moe !== null && d.moe !== undefined))
+                ? Math.sqrt(donuts.reduce((total, d) => total + Math.pow(d?.moe || 0, 2), 0))
+                : null;
+            const reliability = ACSMetricRegistry.reliability(value, moe);
+            
+            combined[metric.id] = {
+                value,
+                count: donuts.reduce((total, d) => total + (d?.count || 0), 0),
+                moe,
+                cv: reliability ? reliability.cv : null
+            };
+        });
+        return combined;
+    }
+
+    /**
+     * Render registered metrics as a two-column grid of totals
+     * @param {Object} metricStats - { [metricId]: { value, count } }
+     * @param {Object} sizes - Label/value font sizes in px
+     * @param {Object} baselineStats - Same shape for the comparison vintage (optional)
+     */
+    renderMetricGrid(metricStats, sizes = { label: 11, value: 18 }, baselineStats = null) {
+        const escape = HTMLUtils.escape;
+        const cells = this.metricRegistry.getAll().filter(m => metricStats[m.id]).map(metric => {
+            const entry = metricStats[metric.id];
+            const value = entry ? entry.value : null;
+            const aggregateLabel = metric.aggregate === 'ratio' ? 'pooled'
+                : metric.aggregate === 'interpolated' ? (entry?.distribution ? 'pooled median' : 'median')
+                : metric.aggregate;
+            const suffix = metric.aggregate === 'sum' ? '' : ` <span style="font-size: 10px; color: #6b7280;">(${aggregateLabel})</span>`;
+            const previous = baselineStats?.[metric.id]?.value;
+            const delta = value !== null && previous !== null && previous !== undefined
+                ? { absolute: value - previous, percent: previous !== 0 ? ((value - previous) / Math.abs(previous)) * 100 : null }
+                : null;
+            
+            return `
+                <div>
+                    <div style="font-size: ${sizes.label}px; color: #4b5563;" title="${escape(metric.description)}">${escape(metric.label)}${suffix}</div>
+                    <div style="font-size: ${sizes.value}px; font-weight: 700; color: ${metric.color};">${this.metricRegistry.formatValue(metric.id, value)}${entry?.distribution?.openEnded ? '+' : ''}</div>
+                    ${entry?.moe !== null && entry?.moe !== undefined ? `<div style="font-size: 10px; color: #6b7280;">${this.formatMoe(metric.id, entry.moe, entry.cv)}</div>` : ''}
+                    ${delta ? `<div style="font-size: 10px; color: ${this.getGrowthColor(delta.percent)};">${this.formatChange(metric.id, delta)}</div>` : ''}
+                    ${entry?.excluded ? `<div style="font-size: 10px; color: #92400e;" title="Top/bottom-coded or not computable values are left out">${entry.excluded} excluded (open-ended or missing)</div>` : ''}
+                </div>
+            `;
+        });
+        
+        return cells.join('');
+    }
+
+    /**
+     * Bar chart of each pooled distribution (households per income bracket)
+     * with the bracket holding the median highlighted
+     * @param {Object} metricStats - { [metricId]: entry } as from aggregateMetrics()
+     */
+    renderDistributionHistograms(metricStats) {
+        return this.metricRegistry.getAll()
+            .filter(metric => metric.aggregate === 'interpolated' && metricStats?.[metric.id]?.distribution?.total > 0)
+            .map(metric => {
+                const entry = metricStats[metric.id];
+                const { counts, total, method } = entry.distribution;
+                const distribution = ACSMetricRegistry.DISTRIBUTIONS[metric.distribution];
+                const brackets = distribution.brackets;
+                const largest = Math.max(...counts);
+                const medianIndex = entry.value === null ? -1 : brackets.findIndex(b =>
+                    entry.value >= b.lower && (b.upper === null || entry.value < b.upper));
+                
+                const bars = brackets.map((bracket, i) => {
+                    const share = (counts[i] / total) * 100;
+                    const height = largest > 0 ? (counts[i] / largest) * 100 : 0;
+                    return `<div title="${this.formatBracket(bracket)}: ${Math.round(counts[i]).toLocaleString()} (${share.toFixed(1)}%)" style="flex: 1; height: ${height}%; min-height: ${counts[i] > 0 ? 1 : 0}px; background: ${i === medianIndex ? metric.color : '#9ca3af'}; border-radius: 2px 2px 0 0;"></div>`;
+                }).join('');
+                
+                const methodText = method === 'pareto' ? 'Pareto interpolation'
+                    : method === 'linear' ? 'linear interpolation'
+                    : 'top bracket (open-ended)';
+                
+                return `
+                    <div style="margin-top: 12px; padding-top: 12px; border-top: 1px solid #e5e7eb;">
+                        <div style="display: flex; justify-content: space-between; font-size: 11px; color: #4b5563; margin-bottom: 6px;">
+                            <span>${distribution.label} distribution</span>
+                            <span>${Math.round(total).toLocaleString()} ${distribution.universe}</span>
+                        </div>
+                        <div style="display: flex; align-items: flex-end; gap: 2px; height: 60px;">${bars}</div>
+                        <div style="display: flex; justify-content: space-between; font-size: 9px; color: #6b7280; margin-top: 2px;">
+                            <span>${this.formatBracketBound(brackets[0].lower)}</span>
+                            <span>${this.formatBracketBound(brackets[Math.floor(brackets.length / 2)].lower)}</span>
+                            <span>${this.formatBracketBound(brackets[brackets.length - 1].lower)}+</span>
+                        </div>
+                        <div style="font-size: 10px; color: #6b7280; margin-top: 4px;">Median ${this.metricRegistry.formatValue(metric.id, entry.value)}${entry.distribution.openEnded ? '+' : ''} by ${methodText}; brackets are unequal widths</div>
+                    </div>
+                `;
+            })
+            .join('');
+    }
+
+    // "$75k–$100k" / "$200k+"
+    formatBracket(bracket) {
+        return bracket.upper === null
+            ? `${this.formatBracketBound(bracket.lower)}+`
+            : `${this.formatBracketBound(bracket.lower)}–${this.formatBracketBound(bracket.upper)}`;
+    }
+
+    formatBracketBound(amount) {
+        return amount >= 1000 ? `$${amount / 1000}k` : `$${amount}`;
+    }
+
+    /**
+     * Format a margin of error as "± 412 · CV 8.1%"
+     */
+    formatMoe(metricId, moe, cv) {
+        if (moe === null || moe === undefined) return 'MOE n/a';
+        
+        const metric = this.metricRegistry.get(metricId);
+        const margin = metric?.unit === 'percent'
+            ? `${moe.toFixed(1)} pts`
+            : this.metricRegistry.formatValue(metricId, moe);
+        const cvText = cv === null || cv === undefined ? '' : isFinite(cv) ? ` · CV ${cv.toFixed(1)}%` : ' · CV ∞';
+        
+        return `± ${margin}${cvText}`;
+    }
+
+    getReliabilityBadge(reliability) {
+        if (!reliability) return '';
+        
+        const styles = {
+            high: { bg: '#dcfce7', color: '#166534', label: 'Reliable' },
+            medium: { bg: '#fef3c7', color: '#92400e', label: 'Use caution' },
+            low: { bg: '#fee2e2', color: '#991b1b', label: 'Unreliable' }
         };
+        const style = styles[reliability.level];
+        
+        return `<span style="background: ${style.bg}; color: ${style.color}; padding: 1px 6px; border-radius: 10px; font-size: 9px; font-weight: 600;">${style.label}</span>`;
+    }
+
+    /**
+     * Format a metric change as "▲ +4.2% (+310)"
+     */
+    formatChange(metricId, delta) {
+        if (!delta) return 'No comparison';
+        
+        const metric = this.metricRegistry.get(metricId);
+        const arrow = delta.absolute > 0 ? '▲' : delta.absolute < 0 ? '▼' : '■';
+        const sign = delta.absolute > 0 ? '+' : delta.absolute < 0 ? '-' : '';
+        const percent = delta.percent !== null && delta.percent !== undefined
+            ? `${delta.percent > 0 ? '+' : ''}${delta.percent.toFixed(1)}%`
+            : 'n/a';
+        
+        // Percent metrics change by percentage points, not by a share of themselves
+        const absolute = metric?.unit === 'percent'
+            ? `${sign}${Math.abs(delta.absolute).toFixed(1)} pts`
+            : `${sign}${this.metricRegistry.formatValue(metricId, Math.abs(delta.absolute))}`;
+        
+        return `${arrow} ${percent} (${absolute})`;
+    }
+
+    getGrowthColor(percent) {
+        if (percent === null || percent === undefined || isNaN(percent)) {
+            return this.layerColors.noComparison;
+        }
+        
+        const palette = this.layerColors.growth;
+        if (percent <= -10) return palette[0];
+        if (percent < -2) return palette[1];
+        if (percent <= 2) return palette[2];
+        if (percent < 10) return palette[3];
+        return palette[4];
+    }
+
+    /**
+     * Fill/stroke for a marker; unreliable estimates are drawn hollow
+     */
+    getMarkerStyle(data) {
+        const color = this.getMarkerColor(data);
+        
+        if (data.unreliable) {
+            return { fillColor: color, color: color, fillOpacity: 0.05, weight: 2.5, opacity: 0.9 };
+        }
+        return { fillColor: color, color: '#ffffff', fillOpacity: 0.9, weight: 1.5, opacity: 0.9 };
+    }
+
+    /**
+     * Switch between count and rate classification; caller re-renders markers
+     */
+    setAnalysisMode(mode) {
+        this.analysisMode = ACSMetricRegistry.ANALYSIS_MODES.includes(mode) ? mode : 'count';
+    }
+
+    setThresholds(thresholds) {
+        this.thresholds = thresholds;
+    }
+
+    /**
+     * Switch the geography level markers and ring statistics refer to;
+     * caller re-renders with that level's centroids
+     */
+    setGeographyLevel(levelId) {
+        this.geographyLevel = ACSGeography.get(levelId);
+    }
+
+    get geographyUnits() {
+        return this.geographyLevel.units;
+    }
+
+    getMarkerColor(data) {
+        if (this.colorMode === 'growth') {
+            return this.getGrowthColor(data.deltas?.[this.growthMetric]?.percent);
+        }
+        return this.layerColors[data.markerType] || this.layerColors.both;
+    }
+
+    /**
+     * Color markers by level (criteria) or by growth of one metric
+     * @param {string} mode - 'level' or 'growth'
+     * @param {string} metricId - Metric used for growth coloring
+     */
+    setColorMode(mode, metricId = this.growthMetric) {
+        this.colorMode = mode === 'growth' ? 'growth' : 'level';
+        if (metricId && this.metricRegistry.get(metricId)) {
+            this.growthMetric = metricId;
+        }
+        
+        this.markers.forEach(marker => {
+            if (marker.data) {
+                marker.setStyle(this.getMarkerStyle(marker.data));
+            }
+        });
+        
+        const growthLegend = document.getElementById('growthLegend');
+        if (growthLegend) {
+            growthLegend.style.display = this.colorMode === 'growth' ? 'block' : 'none';
+        }
+    }
+
+    getLocationsInCircle(center, radiusMeters) {
+        return this.getLocationsInDonut(center, 0, radiusMeters);
     }
 
     getLocationsInDonut(center, minMeters, maxMeters) {
@@ -577,13 +1138,8 @@ class ACSMapVisualizer {
         const cities = new Set();
         const states = new Set();
         
-        this.markers.forEach((marker) => {
-            const distance = this.spatialUtils.haversineDistance(
-                { lat: center.lat, lng: center.lng },
-                { lat: marker.getLatLng().lat, lng: marker.getLatLng().lng }
-            );
-            
-            if (distance > minMeters && distance <= maxMeters && marker.data) {
+        this.spatialIndex.withinAnnulus(center, minMeters, maxMeters).forEach(({ item: marker }) => {
+            if (marker.data) {
                 if (marker.data.county) counties.add(marker.data.county);
                 if (marker.data.city) cities.add(marker.data.city);
                 if (marker.data.state) states.add(marker.data.state);
@@ -702,7 +1258,7 @@ class ACSMapVisualizer {
                     <div style="background: ${cfg.color}; width: 12px; height: 12px; border-radius: 50%;"></div>
                     <div>
                         <div style="font-weight: 600; color: #1f2937;">${cfg.label}</div>
-                        <div style="font-size: 11px; color: #4b5563;">${radius} miles · Donut only</div>
+                        <div style="font-size: 11px; color: #4b5563;">${radius} miles · Donut only · ${stats.mode === 'rate' ? 'Rate' : 'Count'} mode</div>
                     </div>
                 </div>
                 
@@ -710,11 +1266,11 @@ class ACSMapVisualizer {
                     <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 12px; margin-bottom: 12px;">
                         <div style="text-align: center;">
                             <div style="font-size: 20px; font-weight: 700; color: #1e40af;">${stats.educationOnly}</div>
-                            <div style="font-size: 11px; color: #4b5563;">Edu Only</div>
+                            <div style="font-size: 11px; color: #4b5563;">${HTMLUtils.escape(this.criterionLabel('education'))} Only</div>
                         </div>
                         <div style="text-align: center;">
                             <div style="font-size: 20px; font-weight: 700; color: #991b1b;">${stats.incomeOnly}</div>
-                            <div style="font-size: 11px; color: #4b5563;">Inc Only</div>
+                            <div style="font-size: 11px; color: #4b5563;">${HTMLUtils.escape(this.criterionLabel('income'))} Only</div>
                         </div>
                         <div style="text-align: center;">
                             <div style="font-size: 20px; font-weight: 700; color: #6b21a8;">${stats.bothCriteria}</div>
@@ -722,35 +1278,24 @@ class ACSMapVisualizer {
                         </div>
                         <div style="text-align: center;">
                             <div style="font-size: 20px; font-weight: 700; color: #1f2937;">${stats.totalMarkers}</div>
-                            <div style="font-size: 11px; color: #4b5563;">Total ZIPs</div>
+                            <div style="font-size: 11px; color: #4b5563;">Total ${this.geographyUnits}</div>
                         </div>
                     </div>
                     
                     <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 12px; padding-top: 12px; border-top: 1px solid #e5e7eb;">
-                        <div>
-                            <div style="font-size: 11px; color: #4b5563;">Total Education ≥ Bachelor's</div>
-                            <div style="font-size: 18px; font-weight: 700; color: #1e40af;">${Math.round(stats.totalEducation).toLocaleString()}</div>
-                        </div>
-                        <div>
-                            <div style="font-size: 11px; color: #4b5563;">Total Households ≥ $100k</div>
-                            <div style="font-size: 18px; font-weight: 700; color: #991b1b;">${Math.round(stats.totalHighIncome).toLocaleString()}</div>
-                        </div>
-                    </div>
-                </div>
-                
-                <div style="background: #f9fafb; border-radius: 8px; padding: 16px; margin-bottom: 16px;">
-                    <div style="font-weight: 600; margin-bottom: 12px;">Economic Profile</div>
-                    <div style="display: flex; justify-content: space-between; margin-bottom: 8px;">
-                        <span style="color: #4b5563;">Median Income:</span>
-                        <span style="font-weight: 600;">$${stats.medianIncome ? Math.round(stats.medianIncome).toLocaleString() : 'N/A'}</span>
+                        ${this.renderMetricGrid(this.getMetricStats(stats), undefined, stats.baselineMetrics)}
                     </div>
+                    ${this.renderDistributionHistograms(stats.metrics)}
+                    ${stats.comparisonVintage ? `<div style="margin-top: 8px; font-size: 10px; color: #6b7280;">Change vs ACS ${stats.comparisonVintage} (same ${this.geographyUnits})</div>` : ''}
+                    ${stats.unreliableCount ? `<div style="margin-top: 8px; font-size: 10px; color: #991b1b;"><i class="fas fa-exclamation-triangle"></i> ${stats.unreliableCount} of ${stats.totalMarkers} ${this.geographyUnits} have unreliable estimates (CV > ${ACSMetricRegistry.CV_THRESHOLDS.medium}%)</div>` : ''}
+                    ${this.renderProvenanceSummary(stats.provenance, stats.thresholds)}
                 </div>
                 
                 ${locations.counties && locations.counties.length ? `
                 <div style="background: #f9fafb; border-radius: 8px; padding: 16px;">
                     <div style="font-weight: 600; margin-bottom: 8px;">Counties (${locations.countyCount})</div>
                     <div style="display: flex; flex-wrap: wrap; gap: 6px;">
-                        ${locations.counties.map(c => `<span style="background: #e5e7eb; padding: 4px 8px; border-radius: 12px; font-size: 11px; color: #1f2937;">${c}</span>`).join('')}
+                        ${locations.counties.map(c => `<span style="background: #e5e7eb; padding: 4px 8px; border-radius: 12px; font-size: 11px; color: #1f2937;">${HTMLUtils.escape(c)}</span>`).join('')}
                     </div>
                 </div>
                 ` : ''}
@@ -773,14 +1318,19 @@ getWeightedContent(ring) {
         outer: { min: 10, max: 25 }       // 25mi ×1 = 25mi (SAME AS REGULAR OUTER)
     };
     
-    // COMBINE weighted stats into single totals
+    // COMBINE weighted stats into single totals (summable metrics only)
+    const weightedDonuts = [ws.inner, ws.middle, ws.outer];
+    const combinedMetrics = this.combineSummableMetrics(weightedDonuts.map(d => this.getMetricStats(d)));
+    const comparisonVintage = weightedDonuts.map(d => d.comparisonVintage).find(Boolean);
+    const combinedBaseline = comparisonVintage
+        ? this.combineSummableMetrics(weightedDonuts.map(d => d.baselineMetrics))
+        : null;
+    
     const combinedWeighted = {
         totalMarkers: ws.inner.totalMarkers + ws.middle.totalMarkers + ws.outer.totalMarkers,
         educationOnly: ws.inner.educationOnly + ws.middle.educationOnly + ws.outer.educationOnly,
         incomeOnly: ws.inner.incomeOnly + ws.middle.incomeOnly + ws.outer.incomeOnly,
-        bothCriteria: ws.inner.bothCriteria + ws.middle.bothCriteria + ws.outer.bothCriteria,
-        totalEducation: ws.inner.totalEducation + ws.middle.totalEducation + ws.outer.totalEducation,
-        totalHighIncome: ws.inner.totalHighIncome + ws.middle.totalHighIncome + ws.outer.totalHighIncome
+        bothCriteria: ws.inner.bothCriteria + ws.middle.bothCriteria + ws.outer.bothCriteria
     };
     
     return `
@@ -798,11 +1348,11 @@ getWeightedContent(ring) {
                 <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 16px; margin-bottom: 16px;">
                     <div style="text-align: center;">
                         <div style="font-size: 28px; font-weight: 700; color: #1e40af;">${combinedWeighted.educationOnly}</div>
-                        <div style="font-size: 12px; color: #4b5563;">Education Only</div>
+                        <div style="font-size: 12px; color: #4b5563;">${HTMLUtils.escape(this.criterionLabel('education'))} Only</div>
                     </div>
                     <div style="text-align: center;">
                         <div style="font-size: 28px; font-weight: 700; color: #991b1b;">${combinedWeighted.incomeOnly}</div>
-                        <div style="font-size: 12px; color: #4b5563;">Income Only</div>
+                        <div style="font-size: 12px; color: #4b5563;">${HTMLUtils.escape(this.criterionLabel('income'))} Only</div>
                     </div>
                     <div style="text-align: center;">
                         <div style="font-size: 28px; font-weight: 700; color: #6b21a8;">${combinedWeighted.bothCriteria}</div>
@@ -810,20 +1360,16 @@ getWeightedContent(ring) {
                     </div>
                     <div style="text-align: center;">
                         <div style="font-size: 28px; font-weight: 700; color: #1f2937;">${combinedWeighted.totalMarkers}</div>
-                        <div style="font-size: 12px; color: #4b5563;">Total ZIPs</div>
+                        <div style="font-size: 12px; color: #4b5563;">Total ${this.geographyUnits}</div>
                     </div>
                 </div>
                 
                 <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 16px; padding-top: 16px; border-top: 1px solid #e5e7eb;">
-                    <div>
-                        <div style="font-size: 12px; color: #4b5563;">Total Education ≥ Bachelor's</div>
-                        <div style="font-size: 24px; font-weight: 700; color: #1e40af;">${Math.round(combinedWeighted.totalEducation).toLocaleString()}</div>
-                    </div>
-                    <div>
-                        <div style="font-size: 12px; color: #4b5563;">Total Households ≥ $100k</div>
-                        <div style="font-size: 24px; font-weight: 700; color: #991b1b;">${Math.round(combinedWeighted.totalHighIncome).toLocaleString()}</div>
-                    </div>
+                    ${this.renderMetricGrid(combinedMetrics, { label: 12, value: 24 }, combinedBaseline)}
                 </div>
+                ${this.renderDistributionHistograms(combinedMetrics)}
+                ${comparisonVintage ? `<div style="margin-top: 8px; font-size: 11px; color: #6b7280;">Change vs ACS ${comparisonVintage} (same ${this.geographyUnits})</div>` : ''}
+                ${this.renderProvenanceSummary(ACSProvenance.combine(Object.values(regularStats).map(d => d.provenance)), ws.inner.thresholds)}
             </div>
             
             <!-- Donut Breakdown (Collapsible/Expandable) -->
@@ -839,7 +1385,7 @@ getWeightedContent(ring) {
                                 <span style="font-weight: 600; color: #065f46;">Inner Weighted</span>
                                 <span style="font-size: 11px; color: #4b5563; margin-left: 6px;">${ranges.inner.min}-${ranges.inner.max} miles</span>
                             </div>
-                            <span style="font-size: 11px; background: #10b981; color: white; padding: 2px 8px; border-radius: 12px;">${ws.inner.totalMarkers} ZIPs</span>
+                            <span style="font-size: 11px; background: #10b981; color: white; padding: 2px 8px; border-radius: 12px;">${ws.inner.totalMarkers} ${this.geographyUnits}</span>
                         </div>
                         <div style="display: flex; gap: 12px; font-size: 11px;">
                             <span>Edu: ${ws.inner.educationOnly}</span>
@@ -855,7 +1401,7 @@ getWeightedContent(ring) {
                                 <span style="font-weight: 600; color: #92400e;">Middle Weighted</span>
                                 <span style="font-size: 11px; color: #4b5563; margin-left: 6px;">${ranges.middle.min}-${ranges.middle.max} miles</span>
                             </div>
-                            <span style="font-size: 11px; background: #f59e0b; color: white; padding: 2px 8px; border-radius: 12px;">${ws.middle.totalMarkers} ZIPs</span>
+                            <span style="font-size: 11px; background: #f59e0b; color: white; padding: 2px 8px; border-radius: 12px;">${ws.middle.totalMarkers} ${this.geographyUnits}</span>
                         </div>
                         <div style="display: flex; gap: 12px; font-size: 11px;">
                             <span>Edu: ${ws.middle.educationOnly}</span>
@@ -871,7 +1417,7 @@ getWeightedContent(ring) {
                                 <span style="font-weight: 600; color: #991b1b;">Outer Weighted</span>
                                 <span style="font-size: 11px; color: #4b5563; margin-left: 6px;">${ranges.outer.min}-${ranges.outer.max} miles</span>
                             </div>
-                            <span style="font-size: 11px; background: #ef4444; color: white; padding: 2px 8px; border-radius: 12px;">${ws.outer.totalMarkers} ZIPs</span>
+                            <span style="font-size: 11px; background: #ef4444; color: white; padding: 2px 8px; border-radius: 12px;">${ws.outer.totalMarkers} ${this.geographyUnits}</span>
                         </div>
                         <div style="display: flex; gap: 12px; font-size: 11px;">
                             <span>Edu: ${ws.outer.educationOnly}</span>
@@ -894,12 +1440,12 @@ getWeightedContent(ring) {
                 <div style="background: #f3f4f6; padding: 12px; border-radius: 8px; text-align: center;">
                     <div style="color: #374151;">Regular (Cumulative)</div>
                     <div style="font-size: 20px; font-weight: 700;">${regularStats.inner.totalMarkers + regularStats.middle.totalMarkers + regularStats.outer.totalMarkers}</div>
-                    <div style="font-size: 11px;">Total ZIPs</div>
+                    <div style="font-size: 11px;">Total ${this.geographyUnits}</div>
                 </div>
                 <div style="background: #10b981; padding: 12px; border-radius: 8px; text-align: center; color: white;">
                     <div>Weighted (Combined)</div>
                     <div style="font-size: 20px; font-weight: 700;">${combinedWeighted.totalMarkers}</div>
-                    <div style="font-size: 11px;">Total ZIPs</div>
+                    <div style="font-size: 11px;">Total ${this.geographyUnits}</div>
                 </div>
             </div>
         </div>
@@ -1008,14 +1554,17 @@ getWeightedContent(ring) {
             interactive: true
         }).addTo(this.map);
         
+        // Saved stats are only a placeholder until markers are loaded
+        const ringStats = this.markers.size > 0
+            ? this.computeRingStats(center, ringData.radii)
+            : { donutStats: ringData.donutStats, weightedStats: ringData.weightedStats, locations: ringData.locations };
+        
         const ringObj = {
             id: ringId,
             center: center,
             layers: [innerRing, middleRing, outerRing],
             radii: ringData.radii,
-            donutStats: ringData.donutStats,
-            weightedStats: ringData.weightedStats,
-            locations: ringData.locations,
+            ...ringStats,
             created: ringData.created || Date.now(),
             timestamp: ringData.timestamp || new Date().toISOString()
         };
@@ -1348,9 +1897,9 @@ getWeightedContent(ring) {
                             overflow: hidden;
                             text-overflow: ellipsis;
                         ">
-                            <i class="fas fa-fire"></i> #${hotspot.rank}: ${hotspot.name}
+                            <i class="fas fa-fire"></i> #${hotspot.rank}: ${HTMLUtils.escape(hotspot.name)}
                             <span style="background: rgba(255,255,255,0.2); padding: 2px 6px; border-radius: 12px; margin-left: 6px;">
-                                ${hotspot.totalCount} ZIPs
+                                ${hotspot.totalCount} ${this.geographyUnits}
                             </span>
                         </div>`,
                         className: 'hotspot-label',
@@ -1602,24 +2151,30 @@ getWeightedContent(ring) {
         }
         
         const radius = this.calculateMarkerSize(value, point.markerType);
-        const color = point.color || this.layerColors.both;
-        
         const marker = L.circleMarker([point.lat, point.lng], {
             radius: radius,
-            fillColor: color,
-            color: '#ffffff',
-            weight: 1.5,
-            opacity: 0.9,
-            fillOpacity: 0.9,
-            className: `acs-marker marker-${point.markerType}`
+            ...this.getMarkerStyle(point),
+            className: `acs-marker marker-${point.markerType}${point.unreliable ? ' marker-unreliable' : ''}`
         });
         
         marker.data = {
             hasEducation: point.hasEducation,
             hasIncome: point.hasIncome,
-            totalHigherEd: point.totalHigherEd,
-            totalHighIncomeHouseholds: point.totalHighIncomeHouseholds,
             medianIncome: point.medianIncome,
+            metrics: point.metrics,
+            deltas: point.deltas,
+            baselineMetrics: point.baselineMetrics,
+            comparisonVintage: point.comparisonVintage,
+            moe: point.moe,
+            reliability: point.reliability,
+            flags: point.flags,
+            baselineFlags: point.baselineFlags,
+            unreliable: point.unreliable,
+            components: point.components,
+            distributions: point.distributions,
+            baselineDistributions: point.baselineDistributions,
+            provenance: point.provenance,
+            postalZips: point.postalZips,
             location: point.location,
             city: point.city,
             county: point.county,
@@ -1652,12 +2207,71 @@ getWeightedContent(ring) {
         const latlng = marker.getLatLng();
         
         const location = data.location || 'Unknown location';
-        const hasEducation = data.hasEducation ? '✅ Yes (≥1,000)' : '❌ No';
-        const hasIncome = data.hasIncome ? '✅ Yes (≥1,000)' : '❌ No';
+        const registry = this.metricRegistry;
+        const metrics = data.metrics || {};
+        const deltas = data.deltas || {};
+        const moe = data.moe || {};
+        const reliability = data.reliability || {};
+        const flags = data.flags || {};
+        const provenance = data.provenance || ACSProvenance.of(null, { vintage: this.dataVintage });
+        const escape = HTMLUtils.escape;
+        const flagNote = (id, color) => flags[id]
+            ? `<div style="font-size: 10px; color: ${color}; margin-top: 2px;" title="${escape(flags[id].label)}"><i class="fas fa-info-circle"></i> ${escape(flags[id].label)}</div>`
+            : '';
+        
+        // Criteria metrics for the active mode get a highlighted card with their threshold result
+        const criteria = registry.getCriteria(this.analysisMode);
+        const thresholds = this.thresholds[this.analysisMode];
+        const criteriaResults = {
+            [criteria.education]: data.hasEducation,
+            [criteria.income]: data.hasIncome
+        };
+        const criteriaThresholds = {
+            [criteria.education]: thresholds.education,
+            [criteria.income]: thresholds.income
+        };
         
-        const higherEd = data.totalHigherEd ? data.totalHigherEd.toLocaleString() : '0';
-        const highIncome = data.totalHighIncomeHouseholds ? data.totalHighIncomeHouseholds.toLocaleString() : '0';
-        const medianIncome = data.medianIncome ? `$${data.medianIncome.toLocaleString()}` : 'N/A';
+        const metricCards = registry.getAll().filter(m => m.id in criteriaResults).map(metric => `
+                    <div style="background: ${metric.color}; padding: 12px; border-radius: 8px; text-align: center;">
+                        <div style="font-size: 11px; color: rgba(255,255,255,0.8); font-weight: 600; margin-bottom: 4px;" title="${escape(metric.description)}">${escape(metric.label)}</div>
+                        <div style="font-weight: 700; color: white; font-size: 18px;">${flags[metric.id] ? registry.describeValue(metric.id, metrics[metric.id], flags[metric.id]) : registry.formatValue(metric.id, metrics[metric.id] || 0)}</div>
+                        ${flagNote(metric.id, 'rgba(255,255,255,0.9)')}
+                        ${moe[metric.id] !== undefined ? `<div style="font-size: 10px; color: rgba(255,255,255,0.8);">${this.formatMoe(metric.id, moe[metric.id], reliability[metric.id]?.cv)}</div>` : ''}
+                        ${reliability[metric.id] ? `<div style="margin-top: 4px;">${this.getReliabilityBadge(reliability[metric.id])}</div>` : ''}
+                        <div style="font-size: 10px; color: rgba(255,255,255,0.8); margin-top: 4px;">${criteriaResults[metric.id] ? `✅ Yes (≥${registry.formatValue(metric.id, criteriaThresholds[metric.id])})` : '❌ No'}</div>
+                        ${data.comparisonVintage ? `<div style="font-size: 10px; color: white; margin-top: 4px;">${this.formatChange(metric.id, deltas[metric.id])}</div>` : ''}
+                    </div>
+        `).join('');
+        
+        const renderRow = (metric) => `
+                    <div style="display: flex; justify-content: space-between; margin-bottom: 8px;">
+                        <span style="font-size: 13px; color: #4b5563;" title="${escape(metric.description)}">${escape(metric.label)}:</span>
+                        <span style="font-weight: 700; color: #1f2937; font-size: 16px;">${registry.describeValue(metric.id, metrics[metric.id], flags[metric.id])}</span>
+                    </div>
+                    ${flags[metric.id] ? `<div style="margin: -6px 0 8px; text-align: right;">${flagNote(metric.id, '#92400e')}</div>` : ''}
+                    ${moe[metric.id] !== undefined && metrics[metric.id] !== null ? `
+                    <div style="display: flex; justify-content: flex-end; gap: 6px; align-items: center; margin: -6px 0 8px; font-size: 11px; color: #6b7280;">
+                        ${this.formatMoe(metric.id, moe[metric.id], reliability[metric.id]?.cv)} ${this.getReliabilityBadge(reliability[metric.id])}
+                    </div>
+                    ` : ''}
+                    ${data.comparisonVintage ? `
+                    <div style="display: flex; justify-content: flex-end; margin: -6px 0 8px; font-size: 11px; color: ${this.getGrowthColor(deltas[metric.id]?.percent)};">
+                        ${this.formatChange(metric.id, deltas[metric.id])}
+                    </div>
+                    ` : ''}
+        `;
+        
+        // Core metrics first, then each enabled pack under its own heading
+        const rowMetrics = registry.getAll().filter(m => !(m.id in criteriaResults));
+        const metricRows = rowMetrics.filter(m => !m.pack).map(renderRow).join('') +
+            registry.getPacks().filter(pack => pack.enabled).map(pack => {
+                const packMetrics = rowMetrics.filter(m => m.pack === pack.id);
+                if (packMetrics.length === 0) return '';
+                return `
+                    <div style="font-size: 11px; font-weight: 600; color: #6b7280; text-transform: uppercase; letter-spacing: 0.04em; margin: 12px 0 6px; padding-top: 8px; border-top: 1px solid #e5e7eb;">${pack.label}</div>
+                    ${packMetrics.map(renderRow).join('')}
+                `;
+            }).join('');
         
         let markerType = '';
         let bgColor = '';
@@ -1666,10 +2280,10 @@ getWeightedContent(ring) {
             markerType = 'Both Criteria';
             bgColor = '#8b5cf6';
         } else if (data.hasEducation) {
-            markerType = 'Education Only';
+            markerType = `${this.criterionLabel('education')} Only`;
             bgColor = '#3b82f6';
         } else if (data.hasIncome) {
-            markerType = 'Income Only';
+            markerType = `${this.criterionLabel('income')} Only`;
             bgColor = '#ef4444';
         }
         
@@ -1678,54 +2292,55 @@ getWeightedContent(ring) {
                 <div style="display: flex; align-items: center; gap: 10px; margin-bottom: 16px;">
                     <div style="background: ${bgColor}; width: 16px; height: 16px; border-radius: 50%; border: 2px solid white; box-shadow: 0 2px 4px rgba(0,0,0,0.2);"></div>
                     <div style="font-weight: bold; color: #1f2937; font-size: 16px;">
-                        ${location}
-                        <span style="font-size: 11px; color: #6b7280; margin-left: 6px; font-weight: normal;">${zip}</span>
+                        ${escape(location)}
+                        <span style="font-size: 11px; color: #6b7280; margin-left: 6px; font-weight: normal;">${escape(zip)}</span>
                     </div>
                 </div>
                 
+                ${data.postalZips && (data.postalZips.length > 1 || data.postalZips[0] !== zip) ? `
+                <div style="font-size: 11px; color: #4b5563; margin: -8px 0 12px;" title="Postal ZIPs whose ACS data comes from this ZCTA">
+                    <i class="fas fa-exchange-alt"></i> ZCTA ${escape(zip)} covers postal ZIP${data.postalZips.length > 1 ? 's' : ''} ${escape(data.postalZips.join(', '))}
+                </div>
+                ` : ''}
+                
+                ${data.unreliable ? `
+                <div style="background: #fef2f2; border: 1px dashed #ef4444; color: #991b1b; padding: 8px 10px; border-radius: 8px; margin-bottom: 12px; font-size: 12px;">
+                    <i class="fas fa-exclamation-triangle"></i> Unreliable estimate: a classification metric has CV above ${ACSMetricRegistry.CV_THRESHOLDS.medium}%. Treat this ${this.geographyLevel.unit} with caution.
+                </div>
+                ` : ''}
+                
                 ${data.county ? `
                 <div style="background: #f3f4f6; padding: 10px; border-radius: 8px; margin-bottom: 16px;">
                     <div style="display: flex; justify-content: space-between; font-size: 13px;">
                         <span style="color: #4b5563;">County:</span>
-                        <span style="font-weight: 600; color: #1f2937;">${data.county}</span>
+                        <span style="font-weight: 600; color: #1f2937;">${escape(data.county)}</span>
                     </div>
                     ${data.city ? `
                     <div style="display: flex; justify-content: space-between; font-size: 13px; margin-top: 6px;">
                         <span style="color: #4b5563;">City:</span>
-                        <span style="font-weight: 600; color: #1f2937;">${data.city}</span>
+                        <span style="font-weight: 600; color: #1f2937;">${escape(data.city)}</span>
                     </div>
                     ` : ''}
                 </div>
                 ` : ''}
                 
                 <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 12px; margin-bottom: 16px;">
-                    <div style="background: #1e40af; padding: 12px; border-radius: 8px; text-align: center;">
-                        <div style="font-size: 11px; color: #bfdbfe; font-weight: 600; margin-bottom: 4px;">Higher Education</div>
-                        <div style="font-weight: 700; color: white; font-size: 18px;">${higherEd}</div>
-                        <div style="font-size: 10px; color: #bfdbfe; margin-top: 4px;">${hasEducation}</div>
-                    </div>
-                    <div style="background: #991b1b; padding: 12px; border-radius: 8px; text-align: center;">
-                        <div style="font-size: 11px; color: #fee2e2; font-weight: 600; margin-bottom: 4px;">High Income HH</div>
-                        <div style="font-weight: 700; color: white; font-size: 18px;">${highIncome}</div>
-                        <div style="font-size: 10px; color: #fee2e2; margin-top: 4px;">${hasIncome}</div>
-                    </div>
+                    ${metricCards}
                 </div>
                 
                 <div style="background: #f9fafb; padding: 12px; border-radius: 8px;">
-                    <div style="display: flex; justify-content: space-between; margin-bottom: 8px;">
-                        <span style="font-size: 13px; color: #4b5563;">Median Income:</span>
-                        <span style="font-weight: 700; color: #1f2937; font-size: 16px;">${medianIncome}</span>
-                    </div>
+                    ${metricRows}
                     <div style="display: flex; justify-content: space-between;">
                         <span style="font-size: 13px; color: #4b5563;">Marker Type:</span>
-                        <span style="font-weight: 600; color: ${bgColor};">${markerType}</span>
+                        <span style="font-weight: 600; color: ${bgColor};">${escape(markerType)}</span>
                     </div>
                 </div>
                 
                 <div style="margin-top: 12px; font-size: 10px; color: #6b7280; display: flex; justify-content: space-between;">
-                    <span><i class="fas fa-database"></i> ACS 2022</span>
-                    <span><i class="fas fa-vector-square"></i> Threshold: 1,000+</span>
+                    <span><i class="fas fa-database"></i> ${ACSProvenance.DATASET.label} ${provenance.vintage || this.dataVintage}${data.comparisonVintage ? ` vs ${data.comparisonVintage}` : ''}</span>
+                    <span><i class="fas fa-vector-square"></i> ${this.analysisMode === 'rate' ? 'Rate' : 'Count'} mode</span>
                 </div>
+                ${this.renderProvenanceDetails(provenance)}
             </div>
         `;
         
@@ -1770,7 +2385,10 @@ getWeightedContent(ring) {
             }
         });
         
+        this.spatialIndex = ACSSpatialIndex.fromMarkers(this.markers);
+        this.recordIndex = ACSSpatialIndex.fromPoints(this.prepareRecordPoints(zipData, acsData));
         this.buildMarkerList();
+        this.updateViewportDistribution();
         
         setTimeout(() => {
             this.loadSavedRings();
@@ -1784,8 +2402,10 @@ getWeightedContent(ring) {
             const zipRecord = zipData.get(zip);
             if (!zipRecord || !acsRecord?.data) return;
             
-            const hasEducation = acsRecord.metadata?.hasEducation || false;
-            const hasIncome = acsRecord.metadata?.hasIncome || false;
+            const flags = this.metricRegistry.classify(acsRecord, this.analysisMode, this.thresholds);
+            const hasEducation = flags.hasEducation;
+            const hasIncome = flags.hasIncome;
+            const criteria = this.metricRegistry.criteria;
             
             if (!hasEducation && !hasIncome) return;
             
@@ -1810,9 +2430,23 @@ getWeightedContent(ring) {
                 markerType,
                 hasEducation,
                 hasIncome,
-                totalHigherEd: acsRecord.data.Higher_Education || 0,
-                totalHighIncomeHouseholds: acsRecord.data.High_Income_Households || 0,
+                totalHigherEd: acsRecord.data[criteria.education] || 0,
+                totalHighIncomeHouseholds: acsRecord.data[criteria.income] || 0,
                 medianIncome: acsRecord.data.Median_Income,
+                metrics: { ...acsRecord.data },
+                deltas: acsRecord.comparison?.deltas || null,
+                baselineMetrics: acsRecord.comparison?.baseline || null,
+                comparisonVintage: acsRecord.comparison?.vintage || null,
+                moe: acsRecord.moe || null,
+                reliability: acsRecord.reliability || null,
+                flags: acsRecord.flags || null,
+                baselineFlags: acsRecord.comparison?.baselineFlags || null,
+                unreliable: flags.unreliable || false,
+                components: acsRecord.components || null,
+                distributions: acsRecord.distributions || null,
+                baselineDistributions: acsRecord.comparison?.baselineDistributions || null,
+                provenance: ACSProvenance.of(acsRecord, { vintage: this.dataVintage, geography: this.geographyLevel.id }),
+                postalZips: zipRecord.zips || null,
                 location: `${zipRecord.city || ''}, ${zipRecord.state_id || ''}`.trim().replace(/^,\s*/, '') || zip,
                 city: zipRecord.city || '',
                 county: zipRecord.county_name || '',
@@ -1823,6 +2457,33 @@ getWeightedContent(ring) {
         return dataPoints;
     }
 
+    /**
+     * Every loaded record with a location, whether or not it passes a
+     * threshold, carrying what collectInterpolated() pools
+     */
+    prepareRecordPoints(zipData, acsData) {
+        const points = [];
+        
+        Object.entries(acsData).forEach(([zip, acsRecord]) => {
+            const zipRecord = zipData.get(zip);
+            if (!zipRecord || !acsRecord?.data) return;
+            
+            points.push({
+                zip,
+                lat: zipRecord.lat,
+                lng: zipRecord.lng,
+                metrics: acsRecord.data,
+                flags: acsRecord.flags || null,
+                distributions: acsRecord.distributions || null,
+                baselineMetrics: acsRecord.comparison?.baseline || null,
+                baselineFlags: acsRecord.comparison?.baselineFlags || null,
+                baselineDistributions: acsRecord.comparison?.baselineDistributions || null
+            });
+        });
+        
+        return points;
+    }
+
     createClusterIcon(cluster) {
         const childCount = cluster.getChildCount();
         const markers = cluster.getAllChildMarkers();
@@ -1908,6 +2569,58 @@ getWeightedContent(ring) {
         }
     }
 
+    // ============================================================================
+    // VIEWPORT INCOME DISTRIBUTION
+    // ============================================================================
+
+    /**
+     * Pooled brackets and interpolated medians of every loaded record in
+     * the current map view
+     * @returns {Object} - { recordCount, metrics } with metrics as from aggregateMetrics()
+     */
+    calculateViewportStats() {
+        const bounds = this.map.getBounds();
+        const records = this.recordIndex.withinBounds({
+            south: bounds.getSouth(),
+            west: bounds.getWest(),
+            north: bounds.getNorth(),
+            east: bounds.getEast()
+        });
+        const pooled = this.collectInterpolated(records);
+        const metrics = this.aggregateMetrics(pooled.values, {}, {}, pooled.excluded, pooled.distributions);
+        const interpolated = this.interpolatedMetricIds();
+        
+        Object.keys(metrics).forEach(id => {
+            if (!interpolated.has(id)) delete metrics[id];
+        });
+        
+        return { recordCount: records.length, metrics };
+    }
+
+    updateViewportDistribution() {
+        const container = document.getElementById('viewportDistributionContent');
+        if (!container) return;
+        
+        if (this.recordIndex.size === 0) {
+            container.innerHTML = '<div class="settings-note">No data loaded yet.</div>';
+            return;
+        }
+        
+        const { recordCount, metrics } = this.calculateViewportStats();
+        if (recordCount === 0) {
+            container.innerHTML = '<div class="settings-note">No loaded areas in view.</div>';
+            return;
+        }
+        
+        container.innerHTML = `
+            <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 8px;">
+                ${this.renderMetricGrid(metrics, { label: 11, value: 16 })}
+            </div>
+            ${this.renderDistributionHistograms(metrics)}
+            <div class="settings-note">${recordCount.toLocaleString()} loaded ${this.geographyLevel.units} in view, whether or not they pass a threshold</div>
+        `;
+    }
+
     // ============================================================================
     // UTILITIES
     // ============================================================================
@@ -1920,6 +2633,9 @@ getWeightedContent(ring) {
             marker.remove();
         });
         this.markers.clear();
+        this.spatialIndex.clear();
+        this.recordIndex.clear();
+        this.updateViewportDistribution();
         this.markerList = [];
         this.currentMarkerIndex = -1;
         
@@ -0,0 +1,1091 @@
+// ============================================================================
+// ACS METRIC REGISTRY - CONFIGURABLE CENSUS VARIABLES
+// ============================================================================
+
+class ACSMetricRegistry {
+    constructor(options = {}) {
+        this.storageKey = 'acs_metric_registry_v1';
+        this.persist = options.persist !== false;
+        this.metrics = new Map();
+        this.disabled = new Set();
+        this.packs = new Set(); // enabled optional metric packs
+
+        // Metrics that drive marker classification (blue / red / purple).
+        // The slot names are historical; any metric can fill either slot.
+        this.criteria = { ...ACSMetricRegistry.DEFAULT_CRITERIA.count };
+        
+        // Share-of-universe equivalents used in rate mode
+        this.rateCriteria = { ...ACSMetricRegistry.DEFAULT_CRITERIA.rate };
+
+        ACSMetricRegistry.DEFAULT_METRICS.forEach(def => {
+            this.metrics.set(def.id, this.normalize({ ...def, builtIn: true }));
+        });
+        ACSMetricRegistry.METRIC_PACKS.forEach(pack => {
+            pack.metrics.forEach(def => {
+                this.metrics.set(def.id, this.normalize({ ...def, pack: pack.id, builtIn: true }));
+            });
+        });
+
+        if (this.persist) {
+            this.load();
+        }
+    }
+
+    static get COMBINE_TYPES() {
+        return ['sum', 'ratio', 'pick'];
+    }
+
+    // 'interpolated' pools a bracket distribution and interpolates its median
+    static get AGGREGATE_TYPES() {
+        return ['sum', 'mean', 'median', 'ratio', 'interpolated'];
+    }
+
+    // Slider bounds for editable thresholds
+    static get THRESHOLD_RANGES() {
+        return {
+            count: { min: 0, max: 10000, step: 100 },
+            rate: { min: 0, max: 100, step: 1 }
+        };
+    }
+
+    // Slider bounds by metric unit; counts use the count range
+    static get UNIT_THRESHOLD_RANGES() {
+        return {
+            percent: ACSMetricRegistry.THRESHOLD_RANGES.rate,
+            currency: { min: 0, max: 1000000, step: 5000 },
+            decimal: { min: 0, max: 6, step: 0.1 }
+        };
+    }
+
+    static get ANALYSIS_MODES() {
+        return ['count', 'rate'];
+    }
+
+    static get CRITERIA_SLOTS() {
+        return ['education', 'income'];
+    }
+
+    static get DEFAULT_CRITERIA() {
+        return {
+            count: { education: 'Higher_Education', income: 'High_Income_Households' },
+            rate: { education: 'Pct_Bachelors_Plus', income: 'Pct_High_Income' }
+        };
+    }
+
+    // Classification thresholds: counts in people/households, rates in percent
+    static get DEFAULT_THRESHOLDS() {
+        return {
+            count: { education: 1000, income: 1000 },
+            rate: { education: 40, income: 40 }
+        };
+    }
+
+    // ACS publishes MOEs at the 90% confidence level
+    static get MOE_Z() {
+        return 1.645;
+    }
+
+    // Coefficient-of-variation cutoffs (percent) for reliability levels
+    static get CV_THRESHOLDS() {
+        return { high: 15, medium: 30 };
+    }
+
+    /**
+     * Margin-of-error variable for an estimate variable (B19001_014E -> B19001_014M)
+     */
+    static moeVariable(variable) {
+        return /E$/.test(variable) ? variable.replace(/E$/, 'M') : null;
+    }
+
+    /**
+     * Coefficient of variation and reliability level for an estimate
+     * @param {number} estimate
+     * @param {number} moe - 90% margin of error
+     * @returns {Object|null} - { cv, level: 'high'|'medium'|'low' }
+     */
+    static reliability(estimate, moe) {
+        if (moe === null || moe === undefined || estimate === null || estimate === undefined) {
+            return null;
+        }
+        
+        const standardError = moe / ACSMetricRegistry.MOE_Z;
+        const cv = estimate !== 0 ? (standardError / Math.abs(estimate)) * 100 : (standardError > 0 ? Infinity : 0);
+        const thresholds = ACSMetricRegistry.CV_THRESHOLDS;
+        const level = cv <= thresholds.high ? 'high' : cv <= thresholds.medium ? 'medium' : 'low';
+        
+        return { cv, level };
+    }
+
+    /**
+     * ACS annotation ("jam") values the API returns in place of a number.
+     * Estimates carrying one are missing, never zero.
+     */
+    static get ANNOTATIONS() {
+        return {
+            '-999999999': { status: 'not_available', symbol: 'N', label: 'Not available: too few sample cases to display' },
+            '-888888888': { status: 'not_applicable', symbol: '(X)', label: 'Not applicable for this geography' },
+            '-666666666': { status: 'not_computable', symbol: '-', label: 'Not computable: too few sample observations' },
+            '-555555555': { status: 'controlled', symbol: '*****', label: 'Controlled estimate: no sampling error' },
+            '-333333333': { status: 'open_interval', symbol: '***', label: 'Median falls in an open-ended interval' },
+            '-222222222': { status: 'not_computable', symbol: '**', label: 'Margin not computable: too few sample observations' },
+            '-111111111': { status: 'not_available', symbol: 'N', label: 'Not available for this geography' }
+        };
+    }
+
+    /**
+     * Annotation for a raw API cell, or null for an ordinary number
+     */
+    static annotation(raw) {
+        const value = parseFloat(raw);
+        if (isNaN(value) || value > -100000000) return null;
+        return ACSMetricRegistry.ANNOTATIONS[String(value)] || null;
+    }
+
+    /**
+     * Bracketed counts that rings sum before estimating a median. Upper
+     * bounds are exclusive; null marks the open-ended top bracket.
+     */
+    static get DISTRIBUTIONS() {
+        return {
+            income: {
+                id: 'income',
+                label: 'Household income',
+                unit: 'currency',
+                universe: 'households',
+                total: 'B19001_001E',
+                brackets: [
+                    { variable: 'B19001_002E', lower: 0, upper: 10000 },
+                    { variable: 'B19001_003E', lower: 10000, upper: 15000 },
+                    { variable: 'B19001_004E', lower: 15000, upper: 20000 },
+                    { variable: 'B19001_005E', lower: 20000, upper: 25000 },
+                    { variable: 'B19001_006E', lower: 25000, upper: 30000 },
+                    { variable: 'B19001_007E', lower: 30000, upper: 35000 },
+                    { variable: 'B19001_008E', lower: 35000, upper: 40000 },
+                    { variable: 'B19001_009E', lower: 40000, upper: 45000 },
+                    { variable: 'B19001_010E', lower: 45000, upper: 50000 },
+                    { variable: 'B19001_011E', lower: 50000, upper: 60000 },
+                    { variable: 'B19001_012E', lower: 60000, upper: 75000 },
+                    { variable: 'B19001_013E', lower: 75000, upper: 100000 },
+                    { variable: 'B19001_014E', lower: 100000, upper: 125000 },
+                    { variable: 'B19001_015E', lower: 125000, upper: 150000 },
+                    { variable: 'B19001_016E', lower: 150000, upper: 200000 },
+                    { variable: 'B19001_017E', lower: 200000, upper: null }
+                ]
+            }
+        };
+    }
+
+    // Census uses linear interpolation in brackets up to this wide, Pareto above
+    static get PARETO_MIN_WIDTH() {
+        return 2500;
+    }
+
+    static get DEFAULT_METRICS() {
+        return [
+            {
+                id: 'Higher_Education',
+                label: 'Higher Education',
+                description: "Bachelor's, Master's, Professional or Doctorate (age 25+)",
+                unit: 'people',
+                combine: 'sum',
+                variables: ['B15003_022E', 'B15003_023E', 'B15003_024E', 'B15003_025E'],
+                aggregate: 'sum',
+                color: '#1e40af'
+            },
+            {
+                id: 'High_Income_Households',
+                label: 'High Income HH',
+                description: 'Households earning $100,000 or more',
+                unit: 'households',
+                combine: 'sum',
+                variables: ['B19001_014E', 'B19001_015E', 'B19001_016E', 'B19001_017E'],
+                aggregate: 'sum',
+                color: '#991b1b'
+            },
+            {
+                id: 'Pct_Bachelors_Plus',
+                label: "% Bachelor's+",
+                description: "Share of the population 25+ with a Bachelor's degree or higher",
+                unit: 'percent',
+                combine: 'ratio',
+                variables: ['B15003_022E', 'B15003_023E', 'B15003_024E', 'B15003_025E'],
+                denominator: ['B15003_001E'],
+                aggregate: 'ratio',
+                color: '#1e40af'
+            },
+            {
+                id: 'Pct_High_Income',
+                label: '% HH ≥ $100k',
+                description: 'Share of households earning $100,000 or more',
+                unit: 'percent',
+                combine: 'ratio',
+                variables: ['B19001_014E', 'B19001_015E', 'B19001_016E', 'B19001_017E'],
+                denominator: ['B19001_001E'],
+                aggregate: 'ratio',
+                color: '#991b1b'
+            },
+            {
+                id: 'Population_25_Plus',
+                label: 'Population 25+',
+                description: 'Universe for educational attainment (B15003)',
+                unit: 'people',
+                combine: 'pick',
+                variables: ['B15003_001E'],
+                aggregate: 'sum',
+                color: '#4b5563'
+            },
+            {
+                id: 'Total_Households',
+                label: 'Total Households',
+                description: 'Universe for household income (B19001)',
+                unit: 'households',
+                combine: 'pick',
+                variables: ['B19001_001E'],
+                aggregate: 'sum',
+                color: '#4b5563'
+            },
+            {
+                id: 'Median_Income',
+                label: 'Median Income',
+                description: 'Median household income (past 12 months)',
+                unit: 'currency',
+                combine: 'pick',
+                variables: ['B19013_001E'],
+                // Rings pool the B19001 brackets instead of taking a median of medians
+                aggregate: 'interpolated',
+                distribution: 'income',
+                // The API reports "250,000+" as 250001 and "2,500-" as 2499
+                topCoded: 250001,
+                bottomCoded: 2499,
+                color: '#1f2937'
+            }
+        ];
+    }
+
+    /**
+     * Optional metric groups, off by default. Enabling one adds its
+     * variables to every request, so cached records are refetched.
+     */
+    static get METRIC_PACKS() {
+        const ageBands = (first, last) => {
+            const variables = [];
+            for (let i = first; i <= last; i++) {
+                variables.push(`B01001_${String(i).padStart(3, '0')}E`);        // male
+                variables.push(`B01001_${String(i + 24).padStart(3, '0')}E`);   // female
+            }
+            return variables;
+        };
+        
+        return [
+            {
+                id: 'population',
+                label: 'Total population',
+                description: 'Total population (B01003)',
+                metrics: [
+                    {
+                        id: 'Total_Population',
+                        label: 'Total Population',
+                        description: 'Total population',
+                        unit: 'people',
+                        combine: 'pick',
+                        variables: ['B01003_001E'],
+                        aggregate: 'sum',
+                        threshold: 5000,
+                        color: '#0f766e'
+                    }
+                ]
+            },
+            {
+                id: 'age',
+                label: 'Age',
+                description: 'Children and seniors by sex and age (B01001)',
+                metrics: [
+                    {
+                        id: 'Pop_Under_18',
+                        label: 'Under 18',
+                        description: 'Population under 18 years',
+                        unit: 'people',
+                        combine: 'sum',
+                        variables: ageBands(3, 6),
+                        aggregate: 'sum',
+                        threshold: 2000,
+                        color: '#0e7490'
+                    },
+                    {
+                        id: 'Pop_65_Plus',
+                        label: '65 and Over',
+                        description: 'Population 65 years and over',
+                        unit: 'people',
+                        combine: 'sum',
+                        variables: ageBands(20, 25),
+                        aggregate: 'sum',
+                        threshold: 2000,
+                        color: '#7c2d12'
+                    },
+                    {
+                        id: 'Pct_Under_18',
+                        label: '% Under 18',
+                        description: 'Share of the population under 18 years',
+                        unit: 'percent',
+                        combine: 'ratio',
+                        variables: ageBands(3, 6),
+                        denominator: ['B01001_001E'],
+                        aggregate: 'ratio',
+                        threshold: 25,
+                        color: '#0e7490'
+                    },
+                    {
+                        id: 'Pct_65_Plus',
+                        label: '% 65 and Over',
+                        description: 'Share of the population 65 years and over',
+                        unit: 'percent',
+                        combine: 'ratio',
+                        variables: ageBands(20, 25),
+                        denominator: ['B01001_001E'],
+                        aggregate: 'ratio',
+                        threshold: 20,
+                        color: '#7c2d12'
+                    }
+                ]
+            },
+            {
+                id: 'homeownership',
+                label: 'Homeownership',
+                description: 'Owner-occupied housing units (B25003)',
+                metrics: [
+                    {
+                        id: 'Owner_Occupied',
+                        label: 'Owner-Occupied',
+                        description: 'Owner-occupied housing units',
+                        unit: 'households',
+                        combine: 'pick',
+                        variables: ['B25003_002E'],
+                        aggregate: 'sum',
+                        threshold: 2000,
+                        color: '#166534'
+                    },
+                    {
+                        id: 'Pct_Owner_Occupied',
+                        label: '% Owner-Occupied',
+                        description: 'Share of occupied housing units that are owner-occupied',
+                        unit: 'percent',
+                        combine: 'ratio',
+                        variables: ['B25003_002E'],
+                        denominator: ['B25003_001E'],
+                        aggregate: 'ratio',
+                        threshold: 60,
+                        color: '#166534'
+                    }
+                ]
+            },
+            {
+                id: 'home_value',
+                label: 'Home value',
+                description: 'Median value of owner-occupied homes (B25077)',
+                metrics: [
+                    {
+                        id: 'Median_Home_Value',
+                        label: 'Median Home Value',
+                        description: 'Median value of owner-occupied housing units',
+                        unit: 'currency',
+                        combine: 'pick',
+                        variables: ['B25077_001E'],
+                        aggregate: 'median',
+                        // "2,000,000+" and "10,000-"
+                        topCoded: 2000001,
+                        bottomCoded: 9999,
+                        threshold: 400000,
+                        color: '#92400e'
+                    }
+                ]
+            },
+            {
+                id: 'household_size',
+                label: 'Household size',
+                description: 'Average household size (B25010)',
+                metrics: [
+                    {
+                        id: 'Avg_Household_Size',
+                        label: 'Avg Household Size',
+                        description: 'Average number of people per occupied housing unit',
+                        unit: 'decimal',
+                        combine: 'pick',
+                        variables: ['B25010_001E'],
+                        aggregate: 'mean',
+                        threshold: 2.5,
+                        color: '#6b21a8'
+                    }
+                ]
+            }
+        ];
+    }
+
+    /**
+     * Validate and fill defaults for a metric definition
+     * @param {Object} def - {id, label, unit, combine, variables, denominator, aggregate,
+     *   distribution, topCoded, bottomCoded (the values the API uses for open-ended
+     *   "X+" / "X-" medians), threshold (default when picked as a criterion), pack}
+     * @returns {Object} - Normalized definition
+     */
+    normalize(def) {
+        if (!def || !def.id || !/^[A-Za-z][A-Za-z0-9_]*$/.test(def.id)) {
+            throw new Error(`Invalid metric id: ${def?.id}`);
+        }
+
+        const combine = def.combine || 'sum';
+        if (!ACSMetricRegistry.COMBINE_TYPES.includes(combine)) {
+            throw new Error(`Unknown combine type "${combine}" for metric ${def.id}`);
+        }
+
+        const variables = (def.variables || []).map(v => String(v).trim().toUpperCase()).filter(Boolean);
+        const denominator = (def.denominator || []).map(v => String(v).trim().toUpperCase()).filter(Boolean);
+
+        if (variables.length === 0) {
+            throw new Error(`Metric ${def.id} declares no variables`);
+        }
+        if (combine === 'pick' && variables.length !== 1) {
+            throw new Error(`Metric ${def.id} uses "pick" but declares ${variables.length} variables`);
+        }
+        if (combine === 'ratio' && denominator.length === 0) {
+            throw new Error(`Metric ${def.id} uses "ratio" but declares no denominator`);
+        }
+
+        const aggregate = def.aggregate || (combine === 'sum' ? 'sum' : combine === 'ratio' ? 'ratio' : 'median');
+        if (!ACSMetricRegistry.AGGREGATE_TYPES.includes(aggregate)) {
+            throw new Error(`Unknown aggregate type "${aggregate}" for metric ${def.id}`);
+        }
+        if (aggregate === 'ratio' && combine !== 'ratio') {
+            throw new Error(`Metric ${def.id} can only pool as a ratio if it combines as one`);
+        }
+        const distribution = def.distribution || null;
+        if (aggregate === 'interpolated' && !ACSMetricRegistry.DISTRIBUTIONS[distribution]) {
+            throw new Error(`Metric ${def.id} is interpolated but names no known distribution`);
+        }
+
+        return {
+            id: def.id,
+            label: def.label || def.id,
+            description: def.description || '',
+            unit: def.unit || 'count',
+            combine,
+            variables,
+            denominator,
+            aggregate,
+            distribution: aggregate === 'interpolated' ? distribution : null,
+            topCoded: ACSMetricRegistry.codedLimit(def.topCoded),
+            bottomCoded: ACSMetricRegistry.codedLimit(def.bottomCoded),
+            threshold: ACSMetricRegistry.codedLimit(def.threshold),
+            color: def.color || '#1f2937',
+            pack: def.pack || null,
+            builtIn: !!def.builtIn
+        };
+    }
+
+    static codedLimit(value) {
+        const limit = parseFloat(value);
+        return isNaN(limit) ? null : limit;
+    }
+
+    register(def) {
+        const metric = this.normalize(def);
+        this.metrics.set(metric.id, metric);
+        this.disabled.delete(metric.id);
+        this.save();
+        return metric;
+    }
+
+    unregister(id) {
+        const metric = this.metrics.get(id);
+        if (!metric) return false;
+
+        if (this.isCriterion(id)) {
+            throw new Error(`Metric ${id} is used for marker classification and cannot be removed`);
+        }
+
+        if (metric.builtIn) {
+            this.disabled.add(id);
+        } else {
+            this.metrics.delete(id);
+        }
+        this.save();
+        return true;
+    }
+
+    /**
+     * Classification metrics for an analysis mode ('count' or 'rate')
+     */
+    getCriteria(mode = 'count') {
+        return mode === 'rate' ? this.rateCriteria : this.criteria;
+    }
+
+    /**
+     * Classify a record against thresholds at render time (never cached)
+     * @param {Object} record - Parsed ACS record ({ data, reliability })
+     * @param {string} mode - 'count' or 'rate'
+     * @param {Object} thresholds - { count: {education, income}, rate: {education, income} }
+     * @returns {Object} - { hasEducation, hasIncome, unreliable }
+     */
+    classify(record, mode = 'count', thresholds = ACSMetricRegistry.DEFAULT_THRESHOLDS) {
+        const criteria = this.getCriteria(mode);
+        const limits = thresholds[mode] || ACSMetricRegistry.DEFAULT_THRESHOLDS[mode];
+        const data = record?.data || {};
+        const reliability = record?.reliability || {};
+        const meets = (id, threshold) => data[id] !== null && data[id] !== undefined && data[id] >= threshold;
+        
+        return {
+            hasEducation: meets(criteria.education, limits.education),
+            hasIncome: meets(criteria.income, limits.income),
+            // Unreliable when either classification estimate has CV > 30%
+            unreliable: [criteria.education, criteria.income].some(id => reliability[id]?.level === 'low')
+        };
+    }
+
+    isCriterion(id) {
+        return Object.values(this.criteria).includes(id) || Object.values(this.rateCriteria).includes(id);
+    }
+
+    /**
+     * Pick the metric that fills a classification slot in one mode
+     * @param {string} mode - 'count' or 'rate'
+     * @param {string} slot - 'education' (blue) or 'income' (red)
+     */
+    setCriterion(mode, slot, id) {
+        if (!ACSMetricRegistry.ANALYSIS_MODES.includes(mode) || !ACSMetricRegistry.CRITERIA_SLOTS.includes(slot)) {
+            throw new Error(`Unknown classification slot ${mode}/${slot}`);
+        }
+        if (!this.get(id)) {
+            throw new Error(`Metric ${id} is not enabled`);
+        }
+        
+        (mode === 'rate' ? this.rateCriteria : this.criteria)[slot] = id;
+        this.save();
+    }
+
+    /**
+     * Threshold a criterion starts at: the metric's own default, the built-in
+     * default for its slot, or the middle of its slider range
+     */
+    defaultThreshold(id, mode = 'count', slot = null) {
+        const metric = this.get(id);
+        if (metric?.threshold !== null && metric?.threshold !== undefined) return metric.threshold;
+        if (slot && ACSMetricRegistry.DEFAULT_CRITERIA[mode][slot] === id) {
+            return ACSMetricRegistry.DEFAULT_THRESHOLDS[mode][slot];
+        }
+        const range = this.thresholdRange(id, mode);
+        return range.min + Math.round((range.max - range.min) / 2 / range.step) * range.step;
+    }
+
+    // Default thresholds for the metrics currently filling each slot
+    getDefaultThresholds(mode) {
+        const criteria = this.getCriteria(mode);
+        const thresholds = {};
+        ACSMetricRegistry.CRITERIA_SLOTS.forEach(slot => {
+            thresholds[slot] = this.defaultThreshold(criteria[slot], mode, slot);
+        });
+        return thresholds;
+    }
+
+    // Slider range for a criterion, by its unit rather than the mode, so a
+    // count criterion in rate mode still gets a count range
+    thresholdRange(id, mode = 'count') {
+        const metric = this.get(id);
+        if (!metric) return ACSMetricRegistry.THRESHOLD_RANGES[mode];
+        return ACSMetricRegistry.UNIT_THRESHOLD_RANGES[metric.unit] || ACSMetricRegistry.THRESHOLD_RANGES.count;
+    }
+
+    get(id) {
+        const metric = this.metrics.get(id);
+        if (!metric || !this.isEnabled(metric)) return null;
+        return metric;
+    }
+
+    getAll() {
+        return Array.from(this.metrics.values()).filter(m => this.isEnabled(m));
+    }
+
+    isEnabled(metric) {
+        return !this.disabled.has(metric.id) && (!metric.pack || this.packs.has(metric.pack));
+    }
+
+    // ============================================================================
+    // METRIC PACKS
+    // ============================================================================
+
+    getPacks() {
+        return ACSMetricRegistry.METRIC_PACKS.map(pack => ({ ...pack, enabled: this.packs.has(pack.id) }));
+    }
+
+    setPackEnabled(packId, enabled) {
+        const pack = ACSMetricRegistry.METRIC_PACKS.find(p => p.id === packId);
+        if (!pack) {
+            throw new Error(`Unknown metric pack: ${packId}`);
+        }
+        
+        if (!enabled) {
+            const inUse = pack.metrics.find(def => this.isCriterion(def.id));
+            if (inUse) {
+                throw new Error(`${inUse.label} is used for marker classification; pick another criterion first`);
+            }
+            this.packs.delete(packId);
+        } else {
+            this.packs.add(packId);
+        }
+        this.save();
+    }
+
+    /**
+     * Unique Census variable IDs needed by every registered metric
+     * @param {Object} options - { includeMoe: also request the matching M columns }
+     */
+    getVariables(options = {}) {
+        const variables = new Set();
+        this.getAll().forEach(metric => {
+            metric.variables.forEach(v => variables.add(v));
+            metric.denominator.forEach(v => variables.add(v));
+        });
+        
+        if (options.includeMoe) {
+            Array.from(variables).forEach(v => {
+                const moe = ACSMetricRegistry.moeVariable(v);
+                if (moe) variables.add(moe);
+            });
+        }
+        
+        // Bracket estimates only; their MOEs would push requests past the
+        // API's 50-variable limit
+        this.getDistributions().forEach(distribution => {
+            variables.add(distribution.total);
+            distribution.brackets.forEach(b => variables.add(b.variable));
+        });
+        
+        return Array.from(variables);
+    }
+
+    // Distributions used by enabled interpolated metrics
+    getDistributions() {
+        const ids = new Set(this.getAll().map(m => m.distribution).filter(Boolean));
+        return Array.from(ids).map(id => ACSMetricRegistry.DISTRIBUTIONS[id]);
+    }
+
+    /**
+     * Everything that changes how a record is parsed (not how it is labelled).
+     * Cached records are keyed by a hash of this, so editing metrics never
+     * serves values computed under the old definitions.
+     */
+    getSchemaSignature() {
+        return this.getAll()
+            .slice()
+            .sort((a, b) => a.id.localeCompare(b.id))
+            .map(m => `${m.id}:${m.combine}:${m.unit}:${m.variables.join('+')}/${m.denominator.join('+')}` +
+                (m.topCoded !== null || m.bottomCoded !== null ? `:${m.bottomCoded}-${m.topCoded}` : '') +
+                (m.distribution ? `:dist=${m.distribution}` : ''))
+            .join('|');
+    }
+
+    /**
+     * Map each variable ID to its column in an API header row
+     */
+    buildIndex(headers) {
+        const index = new Map();
+        this.getVariables({ includeMoe: true }).forEach(v => index.set(v, headers.indexOf(v)));
+        return index;
+    }
+
+    readValue(row, index, variable) {
+        const idx = index.get(variable);
+        if (idx === undefined || idx === -1) return null;
+        if (ACSMetricRegistry.annotation(row[idx])) return null;
+        const value = parseFloat(row[idx]);
+        return isNaN(value) ? null : value;
+    }
+
+    readMoe(row, index, variable) {
+        const idx = index.get(ACSMetricRegistry.moeVariable(variable));
+        if (idx === undefined || idx === -1) return null;
+        // A controlled estimate has no sampling error
+        if (ACSMetricRegistry.annotation(row[idx])?.status === 'controlled') return 0;
+        const moe = parseFloat(row[idx]);
+        // Other negative MOEs are annotation codes, not margins
+        return isNaN(moe) || moe < 0 ? null : moe;
+    }
+
+    // First annotation among a metric's input estimates, if any
+    findAnnotation(row, index, variables) {
+        for (const variable of variables) {
+            const idx = index.get(variable);
+            const annotation = idx === undefined || idx === -1 ? null : ACSMetricRegistry.annotation(row[idx]);
+            if (annotation) return annotation;
+        }
+        return null;
+    }
+
+    sumValues(row, index, variables) {
+        return variables.reduce((total, v) => total + (this.readValue(row, index, v) || 0), 0);
+    }
+
+    // Sum of estimates: MOE = sqrt(sum of squared MOEs)
+    sumMoes(row, index, variables) {
+        const moes = variables.map(v => this.readMoe(row, index, v));
+        if (moes.some(m => m === null)) return null;
+        return Math.sqrt(moes.reduce((total, m) => total + m * m, 0));
+    }
+
+    /**
+     * MOE of a derived proportion/ratio (Census "Understanding and Using ACS Data")
+     * Uses the proportion formula, falling back to the ratio formula when the radicand is negative
+     */
+    static ratioMoe(numerator, denominator, numeratorMoe, denominatorMoe, scale = 1) {
+        if (numeratorMoe === null || denominatorMoe === null || !(denominator > 0)) {
+            return null;
+        }
+        
+        const ratio = numerator / denominator;
+        let radicand = numeratorMoe * numeratorMoe - ratio * ratio * denominatorMoe * denominatorMoe;
+        if (radicand < 0) {
+            radicand = numeratorMoe * numeratorMoe + ratio * ratio * denominatorMoe * denominatorMoe;
+        }
+        return (Math.sqrt(radicand) / denominator) * scale;
+    }
+
+    getScale(metric) {
+        return metric.unit === 'percent' ? 100 : 1;
+    }
+
+    /**
+     * Combine raw row values into one value per metric
+     * @param {Array} row - API data row
+     * @param {Map} index - Result of buildIndex()
+     * @returns {Object} - { [metricId]: number|null }
+     */
+    evaluate(row, index) {
+        const values = {};
+        this.getAll().forEach(metric => {
+            // One annotated input makes the whole metric missing, not a partial sum
+            if (this.findAnnotation(row, index, [...metric.variables, ...metric.denominator])) {
+                values[metric.id] = null;
+            } else if (metric.combine === 'pick') {
+                // readValue() is null when missing; a reported 0 stays 0
+                values[metric.id] = this.readValue(row, index, metric.variables[0]);
+            } else if (metric.combine === 'ratio') {
+                const denominator = this.sumValues(row, index, metric.denominator);
+                values[metric.id] = denominator > 0
+                    ? (this.sumValues(row, index, metric.variables) / denominator) * this.getScale(metric)
+                    : null;
+            } else {
+                values[metric.id] = this.sumValues(row, index, metric.variables);
+            }
+        });
+
+        return values;
+    }
+
+    /**
+     * Combine margins of error the same way evaluate() combines estimates
+     * @param {Array} row - API data row
+     * @param {Map} index - Result of buildIndex()
+     * @returns {Object} - { [metricId]: number|null }
+     */
+    evaluateMoe(row, index) {
+        const moes = {};
+        this.getAll().forEach(metric => {
+            if (metric.combine === 'pick') {
+                moes[metric.id] = this.readMoe(row, index, metric.variables[0]);
+            } else if (metric.combine === 'ratio') {
+                moes[metric.id] = ACSMetricRegistry.ratioMoe(
+                    this.sumValues(row, index, metric.variables),
+                    this.sumValues(row, index, metric.denominator),
+                    this.sumMoes(row, index, metric.variables),
+                    this.sumMoes(row, index, metric.denominator),
+                    this.getScale(metric)
+                );
+            } else {
+                moes[metric.id] = this.sumMoes(row, index, metric.variables);
+            }
+        });
+        
+        return moes;
+    }
+
+    /**
+     * Metrics whose value is missing (annotation) or open-ended (top/bottom
+     * coded). Flagged values are labelled in popups and left out of ring
+     * aggregates and growth comparisons.
+     * @returns {Object} - { [metricId]: { status, symbol, label } } for flagged metrics only
+     */
+    evaluateFlags(row, index, values = this.evaluate(row, index)) {
+        const flags = {};
+        this.getAll().forEach(metric => {
+            const annotation = this.findAnnotation(row, index, [...metric.variables, ...metric.denominator]);
+            const value = values[metric.id];
+            
+            if (annotation) {
+                flags[metric.id] = { status: annotation.status, symbol: annotation.symbol, label: annotation.label };
+            } else if (metric.topCoded !== null && value !== null && value >= metric.topCoded) {
+                flags[metric.id] = { status: 'top_coded', symbol: '+', label: `Top-coded: ${this.formatValue(metric.id, metric.topCoded - 1)} or more` };
+            } else if (metric.bottomCoded !== null && value !== null && value <= metric.bottomCoded) {
+                flags[metric.id] = { status: 'bottom_coded', symbol: '-', label: `Bottom-coded: below ${this.formatValue(metric.id, metric.bottomCoded + 1)}` };
+            }
+        });
+        return flags;
+    }
+
+    /**
+     * Display text for a possibly flagged value: "$250,000+", "< $2,500",
+     * or the annotation in place of a number
+     */
+    describeValue(id, value, flag = null) {
+        if (!flag) return this.formatValue(id, value);
+        
+        if (flag.status === 'top_coded') return `${this.formatValue(id, value - 1)}+`;
+        if (flag.status === 'bottom_coded') return `< ${this.formatValue(id, value + 1)}`;
+        if (flag.status === 'not_applicable') return 'N/A';
+        return flag.status === 'not_available' ? 'Not available' : 'Not computable';
+    }
+
+    /**
+     * Numerator/denominator of each ratio metric, so rings can pool rates
+     * instead of averaging per-ZIP percentages
+     * @returns {Object} - { [metricId]: { numerator, denominator, numeratorMoe, denominatorMoe } }
+     */
+    evaluateComponents(row, index) {
+        const components = {};
+        this.getAll().filter(m => m.combine === 'ratio').forEach(metric => {
+            if (this.findAnnotation(row, index, [...metric.variables, ...metric.denominator])) return;
+            components[metric.id] = {
+                numerator: this.sumValues(row, index, metric.variables),
+                denominator: this.sumValues(row, index, metric.denominator),
+                numeratorMoe: this.sumMoes(row, index, metric.variables),
+                denominatorMoe: this.sumMoes(row, index, metric.denominator)
+            };
+        });
+        return components;
+    }
+
+    /**
+     * Bracket counts per distribution, stored with each record so rings can
+     * sum them. A distribution with any annotated bracket is left out.
+     * @returns {Object} - { [distributionId]: number[] } aligned with its brackets
+     */
+    evaluateDistributions(row, index) {
+        const distributions = {};
+        this.getDistributions().forEach(distribution => {
+            const variables = distribution.brackets.map(b => b.variable);
+            if (this.findAnnotation(row, index, variables)) return;
+            
+            const counts = variables.map(v => this.readValue(row, index, v));
+            if (counts.some(c => c === null)) return;
+            distributions[distribution.id] = counts;
+        });
+        return distributions;
+    }
+
+    /**
+     * Sum bracket counts from several ZIPs and estimate the pooled median
+     * @param {Object} metric - Interpolated metric definition
+     * @param {Array<number[]>} countsList - evaluateDistributions() entries
+     * @returns {Object} - { value, method, openEnded, counts, total }
+     */
+    poolDistribution(metric, countsList) {
+        const distribution = ACSMetricRegistry.DISTRIBUTIONS[metric.distribution];
+        const counts = distribution.brackets.map(() => 0);
+        countsList.forEach(list => list.forEach((c, i) => { counts[i] += c || 0; }));
+        
+        const median = ACSMetricRegistry.interpolateMedian(distribution.brackets, counts);
+        return { ...median, counts, total: counts.reduce((a, b) => a + b, 0) };
+    }
+
+    /**
+     * Median of bracketed counts, following the Census Bureau: linear
+     * interpolation within the first bracket and brackets up to
+     * PARETO_MIN_WIDTH wide, Pareto interpolation in wider ones. A median in
+     * the open-ended top bracket is reported as that bracket's lower bound.
+     * @param {Array} brackets - [{ lower, upper }] in ascending order
+     * @param {Array<number>} counts - Aligned with brackets
+     * @returns {Object} - { value, method: 'linear'|'pareto'|'open', openEnded }
+     */
+    static interpolateMedian(brackets, counts) {
+        const total = counts.reduce((a, b) => a + b, 0);
+        if (!(total > 0)) return { value: null, method: null, openEnded: false };
+        
+        const half = total / 2;
+        let below = 0;
+        
+        for (let i = 0; i < brackets.length; i++) {
+            const { lower, upper } = brackets[i];
+            const count = counts[i];
+            
+            if (below + count < half || count === 0) {
+                below += count;
+                continue;
+            }
+            
+            if (upper === null) {
+                return { value: lower, method: 'open', openEnded: true };
+            }
+            
+            // Shares of the total at or above each bound
+            const shareAtLower = (total - below) / total;
+            const shareAtUpper = (total - below - count) / total;
+            
+            if (lower > 0 && upper - lower > ACSMetricRegistry.PARETO_MIN_WIDTH && shareAtUpper > 0) {
+                const theta = Math.log(shareAtLower / shareAtUpper) / Math.log(upper / lower);
+                return {
+                    value: lower * Math.pow(shareAtLower / 0.5, 1 / theta),
+                    method: 'pareto',
+                    openEnded: false
+                };
+            }
+            
+            return {
+                value: lower + ((half - below) / count) * (upper - lower),
+                method: 'linear',
+                openEnded: false
+            };
+        }
+        
+        return { value: null, method: null, openEnded: false };
+    }
+
+    /**
+     * Pool ratio components from several ZIPs into one rate
+     * @param {Object} metric - Ratio metric definition
+     * @param {Array} componentsList - evaluateComponents() entries for that metric
+     * @returns {Object} - { value, moe, components } where components is the
+     *   pooled entry, so pooled rates can be pooled again
+     */
+    poolRatio(metric, componentsList) {
+        let numerator = 0;
+        let denominator = 0;
+        let numeratorMoeSq = 0;
+        let denominatorMoeSq = 0;
+        let moeComplete = true;
+        
+        componentsList.forEach(c => {
+            numerator += c.numerator || 0;
+            denominator += c.denominator || 0;
+            if (c.numeratorMoe === null || c.denominatorMoe === null) {
+                moeComplete = false;
+            } else {
+                numeratorMoeSq += c.numeratorMoe * c.numeratorMoe;
+                denominatorMoeSq += c.denominatorMoe * c.denominatorMoe;
+            }
+        });
+        
+        const components = {
+            numerator,
+            denominator,
+            numeratorMoe: moeComplete ? Math.sqrt(numeratorMoeSq) : null,
+            denominatorMoe: moeComplete ? Math.sqrt(denominatorMoeSq) : null
+        };
+        if (!(denominator > 0)) return { value: null, moe: null, components };
+        
+        const scale = this.getScale(metric);
+        return {
+            value: (numerator / denominator) * scale,
+            moe: moeComplete
+                ? ACSMetricRegistry.ratioMoe(numerator, denominator, components.numeratorMoe, components.denominatorMoe, scale)
+                : null,
+            components
+        };
+    }
+
+    formatValue(id, value) {
+        if (value === null || value === undefined || isNaN(value)) return 'N/A';
+
+        const metric = this.metrics.get(id);
+        const unit = metric ? metric.unit : 'count';
+
+        if (unit === 'currency') return `$${Math.round(value).toLocaleString()}`;
+        if (unit === 'percent') return `${value.toFixed(1)}%`;
+        if (unit === 'decimal') return value.toFixed(2);
+        return Math.round(value).toLocaleString();
+    }
+
+    /**
+     * Custom metrics, disabled built-ins, enabled packs and chosen criteria;
+     * what save() persists and what the ACS worker needs to rebuild the
+     * same registry
+     */
+    toJSON() {
+        return {
+            custom: Array.from(this.metrics.values()).filter(m => !m.builtIn),
+            disabled: Array.from(this.disabled),
+            packs: Array.from(this.packs),
+            criteria: { count: { ...this.criteria }, rate: { ...this.rateCriteria } }
+        };
+    }
+
+    static fromJSON(state) {
+        const registry = new ACSMetricRegistry({ persist: false });
+        registry.applyState(state);
+        return registry;
+    }
+
+    applyState(state) {
+        (state?.custom || []).forEach(def => {
+            try {
+                const metric = this.normalize({ ...def, builtIn: false });
+                this.metrics.set(metric.id, metric);
+            } catch (e) {
+                console.warn('Skipping invalid saved metric:', e.message);
+            }
+        });
+        (state?.packs || []).forEach(id => {
+            if (ACSMetricRegistry.METRIC_PACKS.some(pack => pack.id === id)) {
+                this.packs.add(id);
+            }
+        });
+        // Saved criteria only apply while their metrics are still enabled
+        ACSMetricRegistry.ANALYSIS_MODES.forEach(mode => {
+            ACSMetricRegistry.CRITERIA_SLOTS.forEach(slot => {
+                const id = state?.criteria?.[mode]?.[slot];
+                if (id && this.get(id)) {
+                    (mode === 'rate' ? this.rateCriteria : this.criteria)[slot] = id;
+                }
+            });
+        });
+        (state?.disabled || []).forEach(id => {
+            if (!this.isCriterion(id)) {
+                this.disabled.add(id);
+            }
+        });
+    }
+
+    save() {
+        if (!this.persist || typeof localStorage === 'undefined') return;
+
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.toJSON()));
+        } catch (e) {
+            console.error('Failed to save metric registry:', e);
+        }
+    }
+
+    load() {
+        if (typeof localStorage === 'undefined') return;
+
+        try {
+            const saved = localStorage.getItem(this.storageKey);
+            if (!saved) return;
+
+            this.applyState(JSON.parse(saved));
+        } catch (e) {
+            console.error('Failed to load metric registry:', e);
+        }
+    }
+
+    reset() {
+        this.metrics.forEach((metric, id) => {
+            if (!metric.builtIn) this.metrics.delete(id);
+        });
+        this.disabled.clear();
+        this.packs.clear();
+        this.criteria = { ...ACSMetricRegistry.DEFAULT_CRITERIA.count };
+        this.rateCriteria = { ...ACSMetricRegistry.DEFAULT_CRITERIA.rate };
+        this.save();
+    }
+}
+
+if (typeof window !== 'undefined') {
+    window.ACSMetricRegistry = ACSMetricRegistry;
+}
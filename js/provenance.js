@@ -0,0 +1,196 @@
+// ============================================================================
+// ACS PROVENANCE - WHERE EACH RECORD CAME FROM AND HOW OLD IT IS
+// ============================================================================
+
+class ACSProvenance {
+    static get DATASET() {
+        return { id: 'acs/acs5', label: 'ACS 5-year' };
+    }
+
+    // Puerto Rico's data comes from the Puerto Rico Community Survey, the
+    // ACS's counterpart there (see ACSGeography.PRCS_TABLES)
+    static get SURVEYS() {
+        return {
+            acs: { label: 'American Community Survey' },
+            prcs: { label: 'Puerto Rico Community Survey' }
+        };
+    }
+
+    // How a record reached the page: fetched this load, read back from the
+    // cache, or loaded from an imported file
+    static get SOURCES() {
+        return {
+            api: { label: 'Census API', icon: 'fa-cloud-download-alt', color: '#2563eb' },
+            cache: { label: 'Cache', icon: 'fa-database', color: '#059669' },
+            import: { label: 'Imported file', icon: 'fa-file-import', color: '#d97706' }
+        };
+    }
+
+    /**
+     * Provenance stamped on records parsed by a service. Tables rather than
+     * every variable keep the stored record small; the variables themselves
+     * follow from the tables and the metric schema the record is cached under.
+     * @param {ACSAPIService} service
+     * @param {Object} options - { puertoRico: records answered by the PRCS }
+     */
+    static create(service, options = {}) {
+        let variables = service.metricRegistry.getVariables();
+        if (options.puertoRico) variables = variables.map(ACSGeography.prcsVariable);
+
+        const provenance = {
+            dataset: ACSProvenance.DATASET.id,
+            vintage: service.vintage,
+            geography: service.geography,
+            tables: ACSProvenance.tablesOf(variables),
+            variableCount: variables.length,
+            schema: service.getCacheSchema(),
+            source: 'api'
+        };
+        if (options.puertoRico) provenance.survey = 'prcs';
+        if (service.fixtureServer) provenance.server = service.fixtureServer;
+        return provenance;
+    }
+
+    static tablesOf(variables) {
+        return Array.from(new Set(variables.map(v => v.split('_')[0]))).sort();
+    }
+
+    /**
+     * Provenance for any record, including ones cached before records
+     * carried it (those fall back to what their metadata recorded)
+     * @returns {Object} - { dataset, vintage, geography, survey, tables,
+     *   variableCount, source, fetchedAt, sourceFiles, server }
+     */
+    static of(record, fallback = {}) {
+        const metadata = record?.metadata || {};
+        const stored = metadata.provenance || {};
+        return {
+            dataset: stored.dataset || ACSProvenance.DATASET.id,
+            vintage: stored.vintage ?? fallback.vintage ?? null,
+            geography: stored.geography || metadata.geography || fallback.geography || null,
+            survey: stored.survey || 'acs',
+            tables: stored.tables || [],
+            variableCount: stored.variableCount ?? null,
+            source: stored.source || metadata.source || 'api',
+            fetchedAt: metadata.fetchedAt || null,
+            sourceFiles: metadata.sourceFiles || null,
+            server: stored.server || null
+        };
+    }
+
+    /**
+     * Copy of a cached record whose provenance says it was served from the
+     * cache. Imported records keep 'import': the file is still their source.
+     */
+    static servedFromCache(record) {
+        const metadata = record?.metadata;
+        if (!metadata) return record;
+
+        // Records cached before provenance existed only know metadata.source
+        const provenance = metadata.provenance || { source: metadata.source || 'api' };
+        if (provenance.source !== 'api') return record;
+
+        return {
+            ...record,
+            metadata: { ...metadata, provenance: { ...provenance, source: 'cache' } }
+        };
+    }
+
+    /**
+     * Counts per source and the age range for a set of records
+     * @param {Array<Object>} records - Records or ACSProvenance.of() results
+     * @returns {Object} - { total, bySource: { api, cache, import }, oldest,
+     *   newest, vintages, servers }
+     */
+    static summarize(records, fallback = {}) {
+        const summary = {
+            total: 0,
+            bySource: { api: 0, cache: 0, import: 0 },
+            oldest: null,
+            newest: null,
+            vintages: [],
+            servers: []
+        };
+        const vintages = new Set();
+        const servers = new Set();
+
+        records.forEach(record => {
+            const provenance = record?.metadata ? ACSProvenance.of(record, fallback) : record;
+            if (!provenance) return;
+
+            summary.total++;
+            summary.bySource[provenance.source] = (summary.bySource[provenance.source] || 0) + 1;
+            if (provenance.vintage) vintages.add(provenance.vintage);
+            if (provenance.server) servers.add(provenance.server);
+
+            const fetchedAt = provenance.fetchedAt;
+            if (fetchedAt) {
+                if (!summary.oldest || fetchedAt < summary.oldest) summary.oldest = fetchedAt;
+                if (!summary.newest || fetchedAt > summary.newest) summary.newest = fetchedAt;
+            }
+        });
+
+        summary.vintages = Array.from(vintages).sort();
+        summary.servers = Array.from(servers);
+        return summary;
+    }
+
+    // Merge summaries of disjoint record sets (e.g. a ring's three donuts)
+    static combine(summaries) {
+        const combined = ACSProvenance.summarize([]);
+        const vintages = new Set();
+        const servers = new Set();
+
+        summaries.filter(Boolean).forEach(summary => {
+            combined.total += summary.total;
+            Object.entries(summary.bySource).forEach(([source, count]) => {
+                combined.bySource[source] = (combined.bySource[source] || 0) + count;
+            });
+            if (summary.oldest && (!combined.oldest || summary.oldest < combined.oldest)) combined.oldest = summary.oldest;
+            if (summary.newest && (!combined.newest || summary.newest > combined.newest)) combined.newest = summary.newest;
+            summary.vintages.forEach(v => vintages.add(v));
+            summary.servers.forEach(s => servers.add(s));
+        });
+
+        combined.vintages = Array.from(vintages).sort();
+        combined.servers = Array.from(servers);
+        return combined;
+    }
+
+    static describeSource(provenance) {
+        const source = ACSProvenance.SOURCES[provenance.source] || ACSProvenance.SOURCES.api;
+        if (provenance.source === 'import' && provenance.sourceFiles?.length) {
+            return `${source.label} (${provenance.sourceFiles.join(', ')})`;
+        }
+        if (provenance.server) {
+            return `${source.label} (fixture server ${provenance.server})`;
+        }
+        return source.label;
+    }
+
+    // "just now", "5 min ago", "3 days ago"
+    static formatAge(iso, now = Date.now()) {
+        if (!iso) return 'unknown';
+        const ms = now - new Date(iso).getTime();
+        if (!isFinite(ms)) return 'unknown';
+
+        const minutes = Math.round(ms / 60000);
+        if (minutes < 1) return 'just now';
+        if (minutes < 60) return `${minutes} min ago`;
+        const hours = Math.round(minutes / 60);
+        if (hours < 48) return `${hours} h ago`;
+        return `${Math.round(hours / 24)} days ago`;
+    }
+
+    static formatAgeRange(summary, now = Date.now()) {
+        if (!summary.oldest) return 'age unknown';
+        const newest = ACSProvenance.formatAge(summary.newest, now);
+        const oldest = ACSProvenance.formatAge(summary.oldest, now);
+        return newest === oldest ? `fetched ${newest}` : `fetched ${newest} – ${oldest}`;
+    }
+}
+
+// Export to global scope
+if (typeof window !== 'undefined') {
+    window.ACSProvenance = ACSProvenance;
+}
@@ -0,0 +1,283 @@
+// ============================================================================
+// PROXY CHAIN - CONFIGURABLE CORS PROXIES WITH PER-PROXY HEALTH & COOLDOWN
+// ============================================================================
+
+class ACSProxyChain {
+    constructor(options = {}) {
+        this.storageKey = 'acs_proxy_chain_v1';
+        this.persist = options.persist !== false;
+        this.baseCooldown = options.baseCooldown ?? 30 * 1000;     // 30s after first failure
+        this.maxCooldown = options.maxCooldown ?? 10 * 60 * 1000;  // capped at 10 minutes
+        this.proxies = ACSProxyChain.DEFAULT_PROXIES.map(p => this.normalize(p));
+        this.allowThirdParty = true;
+
+        // Health is tracked per proxy for this session only
+        this.health = new Map();
+
+        if (this.persist) {
+            this.load();
+        }
+    }
+
+    /**
+     * URL templates: {url} is replaced with the encoded Census URL,
+     * {rawUrl} with the URL as-is. "{rawUrl}" alone is a direct request.
+     */
+    static get DEFAULT_PROXIES() {
+        return [
+            { id: 'corsproxy', name: 'corsproxy.io', template: 'https://corsproxy.io/?{url}', thirdParty: true },
+            { id: 'allorigins', name: 'allorigins.win', template: 'https://api.allorigins.win/raw?url={url}', thirdParty: true },
+            { id: 'direct', name: 'Direct (no proxy)', template: '{rawUrl}', thirdParty: false }
+        ];
+    }
+
+    normalize(def) {
+        const name = String(def.name || '').trim();
+        const template = String(def.template || '').trim();
+
+        if (!template.includes('{url}') && !template.includes('{rawUrl}')) {
+            throw new Error('Proxy template must contain {url} or {rawUrl}');
+        }
+        if (template !== '{rawUrl}' && !/^https?:\/\/[^/{}]+/i.test(template)) {
+            throw new Error('Proxy template must start with http:// or https:// and a host');
+        }
+
+        return {
+            id: def.id || `proxy_${Date.now().toString(36)}`,
+            name: name || template.replace(/^https?:\/\//i, '').split(/[/?]/)[0],
+            template,
+            thirdParty: !!def.thirdParty,
+            direct: template === '{rawUrl}'
+        };
+    }
+
+    // ============================================================================
+    // CONFIGURATION
+    // ============================================================================
+
+    add(def) {
+        const proxy = this.normalize(def);
+        if (this.proxies.some(p => p.id === proxy.id)) {
+            throw new Error(`Proxy "${proxy.id}" already exists`);
+        }
+        this.proxies.push(proxy);
+        this.save();
+        return proxy;
+    }
+
+    remove(id) {
+        this.proxies = this.proxies.filter(p => p.id !== id);
+        this.health.delete(id);
+        this.save();
+    }
+
+    // Move a proxy up (-1) or down (+1) in the chain
+    move(id, delta) {
+        const index = this.proxies.findIndex(p => p.id === id);
+        const target = index + delta;
+        if (index === -1 || target < 0 || target >= this.proxies.length) return;
+
+        const [proxy] = this.proxies.splice(index, 1);
+        this.proxies.splice(target, 0, proxy);
+        this.save();
+    }
+
+    setAllowThirdParty(allow) {
+        this.allowThirdParty = !!allow;
+        this.save();
+    }
+
+    getProxies() {
+        return this.proxies.map(proxy => ({
+            ...proxy,
+            allowed: this.isAllowed(proxy),
+            health: this.getHealth(proxy.id)
+        }));
+    }
+
+    isAllowed(proxy) {
+        return this.allowThirdParty || !proxy.thirdParty;
+    }
+
+    // ============================================================================
+    // SELECTION & HEALTH
+    // ============================================================================
+
+    /**
+     * Proxies to try for one request, in configured order, skipping any in
+     * cooldown. If every permitted proxy is cooling down, the one that
+     * recovers first is still offered rather than failing outright.
+     */
+    candidates(now = Date.now()) {
+        const allowed = this.proxies.filter(p => this.isAllowed(p));
+        const ready = allowed.filter(p => this.getHealth(p.id).cooldownUntil <= now);
+
+        if (ready.length > 0 || allowed.length === 0) return ready;
+
+        return [allowed.reduce((soonest, p) =>
+            this.getHealth(p.id).cooldownUntil < this.getHealth(soonest.id).cooldownUntil ? p : soonest
+        )];
+    }
+
+    buildUrl(proxy, url) {
+        return proxy.template
+            .replace('{url}', encodeURIComponent(url))
+            .replace('{rawUrl}', url);
+    }
+
+    getHealth(id) {
+        if (!this.health.has(id)) {
+            this.health.set(id, {
+                status: 'unknown',
+                successes: 0,
+                failures: 0,
+                consecutiveFailures: 0,
+                cooldownUntil: 0,
+                lastLatency: null,
+                lastError: null,
+                checkedAt: null
+            });
+        }
+        return this.health.get(id);
+    }
+
+    reportSuccess(proxy, latencyMs = null) {
+        const health = this.getHealth(proxy.id);
+        health.status = 'healthy';
+        health.successes++;
+        health.consecutiveFailures = 0;
+        health.cooldownUntil = 0;
+        health.lastLatency = latencyMs;
+        health.checkedAt = Date.now();
+    }
+
+    /**
+     * Exponential cooldown per proxy: 30s, 60s, 120s... up to maxCooldown.
+     * Only this proxy is benched; other requests keep using the rest.
+     */
+    reportFailure(proxy, error) {
+        const health = this.getHealth(proxy.id);
+        health.failures++;
+        health.consecutiveFailures++;
+        health.lastError = error ? error.message : 'Request failed';
+        health.checkedAt = Date.now();
+
+        const cooldown = Math.min(this.maxCooldown, this.baseCooldown * Math.pow(2, health.consecutiveFailures - 1));
+        health.cooldownUntil = Date.now() + cooldown;
+        health.status = 'cooldown';
+
+        console.warn(`Proxy ${proxy.name} cooling down for ${Math.round(cooldown / 1000)}s (${health.consecutiveFailures} consecutive failures)`);
+    }
+
+    /**
+     * Probe every permitted proxy with a keyless Census URL so the
+     * API key is never sent during checks
+     * @param {string} testUrl - Small public Census endpoint
+     * @returns {Array} - [{ id, name, ok, latency, error }]
+     */
+    async checkHealth(testUrl, timeoutMs = 10000) {
+        const proxies = this.proxies.filter(p => this.isAllowed(p));
+
+        return Promise.all(proxies.map(async proxy => {
+            const controller = new AbortController();
+            const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
+            const started = Date.now();
+
+            try {
+                const response = await fetch(this.buildUrl(proxy, testUrl), {
+                    signal: controller.signal,
+                    mode: 'cors',
+                    credentials: 'omit'
+                });
+                if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                await response.json();
+
+                const latency = Date.now() - started;
+                this.reportSuccess(proxy, latency);
+                return { id: proxy.id, name: proxy.name, ok: true, latency };
+            } catch (error) {
+                const failure = error.name === 'AbortError' ? new Error('Timed out') : error;
+                this.reportFailure(proxy, failure);
+                return { id: proxy.id, name: proxy.name, ok: false, error: failure.message };
+            } finally {
+                clearTimeout(timeoutId);
+            }
+        }));
+    }
+
+    // ============================================================================
+    // PERSISTENCE
+    // ============================================================================
+
+    toJSON() {
+        return {
+            proxies: this.proxies.map(({ id, name, template, thirdParty }) => ({ id, name, template, thirdParty })),
+            allowThirdParty: this.allowThirdParty
+        };
+    }
+
+    save() {
+        if (!this.persist || typeof localStorage === 'undefined') return;
+
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.toJSON()));
+        } catch (e) {
+            console.error('Failed to save proxy chain:', e);
+        }
+    }
+
+    load() {
+        if (typeof localStorage === 'undefined') return;
+
+        try {
+            const saved = localStorage.getItem(this.storageKey);
+            if (!saved) return;
+
+            this.applyConfig(JSON.parse(saved));
+        } catch (e) {
+            console.error('Failed to load proxy chain:', e);
+        }
+    }
+
+    // Proxy list and third-party setting, as produced by toJSON()
+    applyConfig(parsed) {
+        if (Array.isArray(parsed.proxies)) {
+            this.proxies = [];
+            parsed.proxies.forEach(def => {
+                try {
+                    this.proxies.push(this.normalize(def));
+                } catch (e) {
+                    console.warn('Skipping invalid saved proxy:', e.message);
+                }
+            });
+        }
+        if (typeof parsed.allowThirdParty === 'boolean') {
+            this.allowThirdParty = parsed.allowThirdParty;
+        }
+    }
+
+    /**
+     * Health entries are plain objects, so they can be copied between the
+     * page and the ACS worker that makes the requests
+     */
+    exportHealth() {
+        return Array.from(this.health.entries());
+    }
+
+    importHealth(entries) {
+        if (!Array.isArray(entries)) return;
+        this.health = new Map(entries.filter(([id]) => this.proxies.some(p => p.id === id)));
+    }
+
+    reset() {
+        this.proxies = ACSProxyChain.DEFAULT_PROXIES.map(p => this.normalize(p));
+        this.allowThirdParty = true;
+        this.health.clear();
+        this.save();
+    }
+}
+
+// Export to global scope
+if (typeof window !== 'undefined') {
+    window.ACSProxyChain = ACSProxyChain;
+}
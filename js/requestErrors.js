@@ -0,0 +1,198 @@
+// ============================================================================
+// REQUEST ERRORS - CLASSIFIED CENSUS API FAILURES & RETRY POLICIES
+// ============================================================================
+
+class ACSRequestError extends Error {
+    /**
+     * @param {string} type - One of ACSRequestError.TYPES
+     * @param {string} message - Technical message for logs
+     * @param {Object} context - { status, url, proxy, vintage, detail }
+     */
+    constructor(type, message, context = {}) {
+        super(message);
+        this.name = 'ACSRequestError';
+        this.type = ACSRequestError.POLICIES[type] ? type : 'unknown';
+        this.status = context.status || null;
+        this.url = context.url ? ACSRequestError.redact(context.url) : null;
+        this.proxy = context.proxy || null;
+        this.vintage = context.vintage || null;
+        this.detail = context.detail || null;
+        this.retryAfter = context.retryAfter || 0;
+        this.timestamp = new Date().toISOString();
+
+        const policy = ACSRequestError.POLICIES[this.type];
+        this.retries = policy.retries;
+        this.retryable = policy.retries > 0;
+        this.switchProxy = policy.switchProxy;
+        this.fatal = policy.fatal;
+    }
+
+    static get TYPES() {
+        return Object.keys(ACSRequestError.POLICIES);
+    }
+
+    /**
+     * Per-class retry policy:
+     * - retries: scheduler attempts after the first (with backoff)
+     * - switchProxy: try the next CORS proxy before giving up on a request
+     * - fatal: every other request would fail the same way, so stop the load
+     */
+    static get POLICIES() {
+        return {
+            auth: { retries: 0, switchProxy: false, fatal: true, label: 'API key' },
+            bad_variable: { retries: 0, switchProxy: false, fatal: true, label: 'Bad variable' },
+            no_data: { retries: 0, switchProxy: false, fatal: false, label: 'No data' },
+            rate_limited: { retries: 6, switchProxy: false, fatal: false, label: 'Rate limited' },
+            proxy: { retries: 3, switchProxy: true, fatal: false, label: 'Proxy' },
+            timeout: { retries: 2, switchProxy: true, fatal: false, label: 'Timeout' },
+            server: { retries: 4, switchProxy: false, fatal: false, label: 'Census server' },
+            network: { retries: 3, switchProxy: true, fatal: false, label: 'Network' },
+            unknown: { retries: 1, switchProxy: true, fatal: false, label: 'Unknown' }
+        };
+    }
+
+    // Keep API keys out of logs and the diagnostics panel
+    static redact(url) {
+        return String(url).replace(/([?&]key=)[^&]+/, '$1…');
+    }
+
+    /**
+     * Classify a completed HTTP response. Returns null for a usable body.
+     * The Census API answers an invalid key with an HTML page, an unknown
+     * variable with 400 "error: unknown variable", and a geography with no
+     * data with 204 No Content.
+     */
+    static fromResponse(response, body, context = {}) {
+        const status = response.status;
+        const text = String(body || '');
+        const ctx = { ...context, status };
+
+        if (/invalid key|key.{0,40}(not valid|invalid)/i.test(text) || status === 401) {
+            return new ACSRequestError('auth', `Census API rejected the key (HTTP ${status})`, ctx);
+        }
+
+        const variableMatch = text.match(/unknown variable\s*'?([^'\s]+)'?/i);
+        if (variableMatch) {
+            return new ACSRequestError('bad_variable', `Unknown variable ${variableMatch[1]}`, { ...ctx, detail: variableMatch[1] });
+        }
+
+        if (status === 204 || (response.ok && text.trim() === '')) {
+            return new ACSRequestError('no_data', 'No data for the requested geography', ctx);
+        }
+
+        if (status === 429) {
+            const retryAfter = parseInt(response.headers?.get?.('Retry-After')) || 0;
+            return new ACSRequestError('rate_limited', 'Rate limited (HTTP 429)', { ...ctx, retryAfter });
+        }
+
+        if (!response.ok) {
+            const message = text.replace(/<[^>]+>/g, ' ').replace(/\s+/g, ' ').trim().slice(0, 200);
+            // A proxy in front of the Census API owns any non-Census failure
+            if (context.proxy && (status === 403 || status >= 500)) {
+                return new ACSRequestError('proxy', `Proxy returned HTTP ${status}`, { ...ctx, detail: message });
+            }
+            if (status >= 500) {
+                return new ACSRequestError('server', `Census API returned HTTP ${status}`, { ...ctx, detail: message });
+            }
+            if (/unknown\/unsupported geography|ambiguous geography/i.test(text)) {
+                return new ACSRequestError('no_data', 'Unsupported geography', { ...ctx, detail: message });
+            }
+            return new ACSRequestError('unknown', `HTTP error: ${status}`, { ...ctx, detail: message });
+        }
+
+        return null;
+    }
+
+    /**
+     * Classify a fetch() rejection (no response at all)
+     */
+    static fromFetchFailure(error, context = {}) {
+        if (error instanceof ACSRequestError) return error;
+
+        if (error && error.name === 'AbortError') {
+            return new ACSRequestError('timeout', 'Request timed out', context);
+        }
+
+        // CORS rejections and offline both surface as TypeError
+        const type = context.proxy ? 'proxy' : 'network';
+        return new ACSRequestError(type, error ? error.message : 'Request failed', context);
+    }
+
+    /**
+     * A 200 whose body is not JSON: an HTML error page from a proxy, or a
+     * Census notice without a status code
+     */
+    static fromInvalidBody(body, context = {}) {
+        const snippet = String(body || '').replace(/<[^>]+>/g, ' ').replace(/\s+/g, ' ').trim().slice(0, 200);
+        const type = context.proxy ? 'proxy' : 'unknown';
+        return new ACSRequestError(type, 'Response was not valid JSON', { ...context, detail: snippet });
+    }
+
+    /**
+     * Actionable message for the user
+     */
+    userMessage() {
+        const vintage = this.vintage ? `ACS ${this.vintage}` : 'this dataset';
+        const proxyHost = this.proxy ? this.proxy.replace(/^https?:\/\//, '').split('/')[0] : null;
+
+        switch (this.type) {
+            case 'auth':
+                return 'The Census API rejected your API key. Click "API Key" to enter a valid key (free at api.census.gov/data/key_signup.html).';
+            case 'bad_variable':
+                return `The Census API does not recognize ${this.detail || 'a requested variable'} in ${vintage}. Disable the metric that uses it or choose another vintage.`;
+            case 'no_data':
+                return `The Census API has no ${vintage} data for some requested ZIP codes.`;
+            case 'rate_limited':
+                return 'The Census API is rate limiting requests; retrying with backoff. Lower "Parallel API requests" or add an API key.';
+            case 'proxy':
+                if (!this.proxy) {
+                    return `${this.message}. Allow third-party proxies or add your own under Data Loading.`;
+                }
+                return `CORS proxy ${proxyHost || ''} failed${this.status ? ` (HTTP ${this.status})` : ''}; trying the next proxy.`;
+            case 'timeout':
+                return 'Census API requests are timing out; retrying. Lower "Parallel API requests" on slow connections.';
+            case 'server':
+                return `The Census API returned a server error (HTTP ${this.status}); retrying shortly.`;
+            case 'network':
+                return 'Network request failed. Check your connection, or use "Import File" to work offline.';
+            default:
+                return `Census API request failed: ${this.message}`;
+        }
+    }
+
+    toJSON() {
+        return {
+            type: this.type,
+            message: this.message,
+            status: this.status,
+            url: this.url,
+            proxy: this.proxy,
+            vintage: this.vintage,
+            detail: this.detail,
+            retryAfter: this.retryAfter,
+            timestamp: this.timestamp
+        };
+    }
+
+    /**
+     * Rebuild an error from toJSON(), e.g. one posted by the ACS worker.
+     * The URL is already redacted.
+     */
+    static fromJSON(json) {
+        const error = new ACSRequestError(json.type, json.message, {
+            status: json.status,
+            proxy: json.proxy,
+            vintage: json.vintage,
+            detail: json.detail,
+            retryAfter: json.retryAfter
+        });
+        error.url = json.url || null;
+        error.timestamp = json.timestamp || error.timestamp;
+        return error;
+    }
+}
+
+// Export to global scope
+if (typeof window !== 'undefined') {
+    window.ACSRequestError = ACSRequestError;
+}
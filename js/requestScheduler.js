@@ -0,0 +1,174 @@
+// ============================================================================
+// REQUEST SCHEDULER - CONCURRENCY LIMIT, EXPONENTIAL BACKOFF WITH JITTER
+// ============================================================================
+
+class ACSRequestScheduler {
+    constructor(options = {}) {
+        this.concurrency = Math.max(1, parseInt(options.concurrency) || ACSRequestScheduler.DEFAULT_CONCURRENCY);
+        this.maxRetries = options.maxRetries ?? 4;
+        this.baseDelay = options.baseDelay ?? 1000;  // 1s, 2s, 4s, 8s...
+        this.maxDelay = options.maxDelay ?? 30000;
+    }
+
+    static get DEFAULT_CONCURRENCY() {
+        return 4;
+    }
+
+    static get CONCURRENCY_OPTIONS() {
+        return [1, 2, 4, 6, 8];
+    }
+
+    /**
+     * Classified errors carry their own policy (see ACSRequestError).
+     * Otherwise rate limits and server errors are worth retrying; other HTTP
+     * errors are not. Network failures, timeouts and CORS errors carry no status.
+     */
+    static isRetryable(error) {
+        if (ACSRequestScheduler.isAbort(error)) {
+            return false;
+        }
+        if (error && typeof error.retryable === 'boolean') {
+            return error.retryable;
+        }
+        if (error && error.status) {
+            return error.status === 429 || error.status >= 500;
+        }
+        return true;
+    }
+
+    /**
+     * Exponential backoff with "equal jitter" so parallel workers that fail
+     * together don't retry together. Retry-After (seconds) wins when present.
+     */
+    backoffDelay(attempt, error) {
+        if (error && error.retryAfter > 0) {
+            return Math.min(error.retryAfter * 1000, this.maxDelay);
+        }
+
+        const ceiling = Math.min(this.maxDelay, this.baseDelay * Math.pow(2, attempt));
+        return ceiling / 2 + Math.random() * (ceiling / 2);
+    }
+
+    // Cancellation, as opposed to a timeout (classified errors are never aborts)
+    static isAbort(error) {
+        return !!error && error.name === 'AbortError' && !error.type;
+    }
+
+    static abortError(signal) {
+        return signal?.reason instanceof Error ? signal.reason : new DOMException('Load cancelled', 'AbortError');
+    }
+
+    sleep(ms, signal = null) {
+        return new Promise((resolve, reject) => {
+            if (signal?.aborted) {
+                reject(ACSRequestScheduler.abortError(signal));
+                return;
+            }
+            const timeoutId = setTimeout(() => {
+                signal?.removeEventListener('abort', onAbort);
+                resolve();
+            }, ms);
+            const onAbort = () => {
+                clearTimeout(timeoutId);
+                reject(ACSRequestScheduler.abortError(signal));
+            };
+            signal?.addEventListener('abort', onAbort, { once: true });
+        });
+    }
+
+    /**
+     * Call worker(task), retrying retryable errors with backoff
+     */
+    async attempt(task, worker, signal = null) {
+        for (let attempt = 0; ; attempt++) {
+            if (signal?.aborted) {
+                throw ACSRequestScheduler.abortError(signal);
+            }
+
+            try {
+                return await worker(task);
+            } catch (error) {
+                if (signal?.aborted) {
+                    throw ACSRequestScheduler.abortError(signal);
+                }
+
+                const maxRetries = typeof error?.retries === 'number' ? error.retries : this.maxRetries;
+                if (attempt >= maxRetries || !ACSRequestScheduler.isRetryable(error)) {
+                    throw error;
+                }
+
+                const delay = this.backoffDelay(attempt, error);
+                console.warn(`Request failed (${error.type || error.status || error.message}), retry ${attempt + 1}/${maxRetries} in ${Math.round(delay)}ms`);
+                await this.sleep(delay, signal);
+            }
+        }
+    }
+
+    /**
+     * Run tasks with at most `concurrency` in flight
+     * @param {Array} tasks - Initial tasks
+     * @param {Function} worker - async (task) => result
+     * @param {Object} handlers - { onSuccess(task, result), onFailure(task, error) };
+     *   onFailure may return an array of replacement tasks to enqueue.
+     *   A fatal error (error.fatal) fails every queued task without running it.
+     * @param {Object} options - { signal } stops taking tasks and cancels backoff
+     *   waits; tasks not yet finished are left unreported
+     */
+    async run(tasks, worker, handlers = {}, options = {}) {
+        const signal = options.signal || null;
+        const queue = [...tasks];
+        let active = 0;
+        const waiters = [];
+
+        // Idle workers wait while others may still enqueue replacements
+        const waitForWork = () => new Promise(resolve => waiters.push(resolve));
+        const notify = () => waiters.splice(0).forEach(resolve => resolve());
+
+        signal?.addEventListener('abort', notify, { once: true });
+
+        const drain = async () => {
+            while ((queue.length > 0 || active > 0) && !signal?.aborted) {
+                if (queue.length === 0) {
+                    await waitForWork();
+                    continue;
+                }
+
+                const task = queue.shift();
+                active++;
+
+                try {
+                    const result = await this.attempt(task, worker, signal);
+                    if (handlers.onSuccess) await handlers.onSuccess(task, result);
+                } catch (error) {
+                    if (signal?.aborted) {
+                        active--;
+                        break;
+                    }
+                    const replacements = handlers.onFailure ? await handlers.onFailure(task, error) : null;
+                    if (error && error.fatal) {
+                        for (const skipped of queue.splice(0)) {
+                            if (handlers.onFailure) await handlers.onFailure(skipped, error);
+                        }
+                    } else if (Array.isArray(replacements)) {
+                        queue.push(...replacements);
+                    }
+                }
+
+                active--;
+                notify();
+            }
+            notify();
+        };
+
+        const workers = [];
+        for (let i = 0; i < this.concurrency; i++) {
+            workers.push(drain());
+        }
+        await Promise.all(workers);
+    }
+}
+
+// Export to global scope
+if (typeof window !== 'undefined') {
+    window.ACSRequestScheduler = ACSRequestScheduler;
+}
@@ -0,0 +1,162 @@
+// ============================================================================
+// SPATIAL INDEX - GRID BUCKETS FOR RADIUS & DONUT QUERIES
+// ============================================================================
+
+class ACSSpatialIndex {
+    /**
+     * Points bucketed into a fixed lat/lng grid. A radius query only measures
+     * the points in cells that overlap the circle's bounding box, instead of
+     * every marker on the map.
+     * @param {number} cellSizeDeg - Grid cell size in degrees
+     */
+    constructor(cellSizeDeg = ACSSpatialIndex.DEFAULT_CELL_SIZE) {
+        this.cellSize = cellSizeDeg;
+        this.cells = new Map(); // "row,col" -> [{ item, lat, lng }]
+        this.size = 0;
+    }
+
+    // 0.25° is about 28 km north-south: a 25-mile ring touches ~9-16 cells
+    static get DEFAULT_CELL_SIZE() {
+        return 0.25;
+    }
+
+    static get METERS_PER_DEGREE_LAT() {
+        return 111320;
+    }
+
+    /**
+     * Index Leaflet markers (anything with getLatLng())
+     * @param {Iterable} markers - e.g. the visualizer's Map of markers
+     */
+    static fromMarkers(markers, cellSizeDeg) {
+        const index = new ACSSpatialIndex(cellSizeDeg);
+        for (const marker of markers.values ? markers.values() : markers) {
+            const { lat, lng } = marker.getLatLng();
+            index.insert(marker, lat, lng);
+        }
+        return index;
+    }
+
+    /**
+     * Index plain { lat, lng } records
+     */
+    static fromPoints(points, cellSizeDeg) {
+        const index = new ACSSpatialIndex(cellSizeDeg);
+        points.forEach(point => index.insert(point, point.lat, point.lng));
+        return index;
+    }
+
+    insert(item, lat, lng) {
+        if (!isFinite(lat) || !isFinite(lng)) return;
+
+        const key = this.cellKey(this.row(lat), this.col(lng));
+        if (!this.cells.has(key)) this.cells.set(key, []);
+        this.cells.get(key).push({ item, lat, lng });
+        this.size++;
+    }
+
+    clear() {
+        this.cells.clear();
+        this.size = 0;
+    }
+
+    row(lat) {
+        return Math.floor(lat / this.cellSize);
+    }
+
+    col(lng) {
+        return Math.floor(lng / this.cellSize);
+    }
+
+    cellKey(row, col) {
+        return `${row},${col}`;
+    }
+
+    /**
+     * Items within radiusMeters of center (inclusive), nearest first
+     * @param {Object} center - { lat, lng }
+     * @returns {Array} - [{ item, distance }] with distance in meters
+     */
+    withinRadius(center, radiusMeters) {
+        return this.withinAnnulus(center, 0, radiusMeters);
+    }
+
+    /**
+     * Items in the ring minMeters < distance <= maxMeters, nearest first.
+     * With minMeters 0 the center itself is included.
+     * @returns {Array} - [{ item, distance }]
+     */
+    withinAnnulus(center, minMeters, maxMeters) {
+        const results = [];
+        if (this.size === 0 || !(maxMeters >= 0)) return results;
+
+        const latSpan = maxMeters / ACSSpatialIndex.METERS_PER_DEGREE_LAT;
+        // Longitude degrees shrink toward the poles; use the widest latitude in the box
+        const widestLat = Math.min(89.9, Math.abs(center.lat) + latSpan);
+        const lngSpan = latSpan / Math.cos(widestLat * Math.PI / 180);
+
+        const rowMin = this.row(center.lat - latSpan);
+        const rowMax = this.row(center.lat + latSpan);
+        const colMin = this.col(center.lng - lngSpan);
+        const colMax = this.col(center.lng + lngSpan);
+
+        for (let row = rowMin; row <= rowMax; row++) {
+            for (let col = colMin; col <= colMax; col++) {
+                const cell = this.cells.get(this.cellKey(row, col));
+                if (!cell) continue;
+
+                cell.forEach(entry => {
+                    const distance = SpatialUtils.haversine(center, entry);
+                    if (distance <= maxMeters && (minMeters <= 0 || distance > minMeters)) {
+                        results.push({ item: entry.item, distance });
+                    }
+                });
+            }
+        }
+
+        return results.sort((a, b) => a.distance - b.distance);
+    }
+
+    /**
+     * Items inside a lat/lng box (inclusive), e.g. the map viewport
+     * @param {Object} bounds - { south, west, north, east } in degrees
+     * @returns {Array} - Items, in no particular order
+     */
+    withinBounds(bounds) {
+        const results = [];
+        if (this.size === 0) return results;
+
+        const inside = entry => entry.lat >= bounds.south && entry.lat <= bounds.north &&
+            entry.lng >= bounds.west && entry.lng <= bounds.east;
+        const rowMin = this.row(bounds.south);
+        const rowMax = this.row(bounds.north);
+        const colMin = this.col(bounds.west);
+        const colMax = this.col(bounds.east);
+
+        // Zoomed far out the box spans more cells than are filled; walk those instead
+        if ((rowMax - rowMin + 1) * (colMax - colMin + 1) > this.cells.size) {
+            this.cells.forEach(cell => cell.forEach(entry => {
+                if (inside(entry)) results.push(entry.item);
+            }));
+            return results;
+        }
+
+        for (let row = rowMin; row <= rowMax; row++) {
+            for (let col = colMin; col <= colMax; col++) {
+                const cell = this.cells.get(this.cellKey(row, col));
+                if (!cell) continue;
+
+                cell.forEach(entry => {
+                    if (inside(entry)) results.push(entry.item);
+                });
+            }
+        }
+
+        return results;
+    }
+}
+
+// Export to global scope
+if (typeof window !== 'undefined') {
+    window.ACSSpatialIndex = ACSSpatialIndex;
+}
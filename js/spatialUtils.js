@@ -203,7 +203,8 @@ class SpatialUtils {
 
     /**
      * Calculate statistics for points within a circle
-     * @param {Array} markers - Array of markers
+     * @param {Array|ACSSpatialIndex} markers - Array of markers, or a spatial
+     *   index over them so only nearby markers are measured
      * @param {Object} center - {lat, lng}
      * @param {number} radiusMeters - Radius in meters
      * @returns {Object} - Statistics
@@ -217,45 +218,59 @@ class SpatialUtils {
             totalEducation: 0,
             totalHighIncome: 0,
             medianIncomes: [],
+            incomeBrackets: null,
             educationValues: [],
             incomeValues: [],
             markers: []
         };
 
-        markers.forEach(marker => {
-            const markerLatLng = { lat: marker.lat, lng: marker.lng };
-            const distance = this.haversineDistance(center, markerLatLng);
+        const inside = typeof markers.withinRadius === 'function'
+            ? markers.withinRadius(center, radiusMeters).map(hit => hit.item)
+            : markers.filter(marker => this.haversineDistance(center, { lat: marker.lat, lng: marker.lng }) <= radiusMeters);
+
+        inside.forEach(marker => {
+            result.totalMarkers++;
+            result.markers.push(marker);
             
-            if (distance <= radiusMeters) {
-                result.totalMarkers++;
-                result.markers.push(marker);
-                
-                if (marker.hasEducation && marker.hasIncome) {
-                    result.bothCriteria++;
-                } else if (marker.hasEducation) {
-                    result.educationOnly++;
-                } else if (marker.hasIncome) {
-                    result.incomeOnly++;
-                }
-                
-                if (marker.totalHigherEd) {
-                    result.totalEducation += marker.totalHigherEd;
-                    result.educationValues.push(marker.totalHigherEd);
-                }
-                
-                if (marker.totalHighIncomeHouseholds) {
-                    result.totalHighIncome += marker.totalHighIncomeHouseholds;
-                    result.incomeValues.push(marker.totalHighIncomeHouseholds);
-                }
-                
-                if (marker.medianIncome) {
-                    result.medianIncomes.push(marker.medianIncome);
-                }
+            if (marker.hasEducation && marker.hasIncome) {
+                result.bothCriteria++;
+            } else if (marker.hasEducation) {
+                result.educationOnly++;
+            } else if (marker.hasIncome) {
+                result.incomeOnly++;
+            }
+            
+            if (marker.totalHigherEd) {
+                result.totalEducation += marker.totalHigherEd;
+                result.educationValues.push(marker.totalHigherEd);
+            }
+            
+            if (marker.totalHighIncomeHouseholds) {
+                result.totalHighIncome += marker.totalHighIncomeHouseholds;
+                result.incomeValues.push(marker.totalHighIncomeHouseholds);
+            }
+            
+            if (marker.medianIncome) {
+                result.medianIncomes.push(marker.medianIncome);
+            }
+            
+            const brackets = marker.distributions?.income;
+            if (brackets) {
+                result.incomeBrackets = result.incomeBrackets || brackets.map(() => 0);
+                brackets.forEach((count, i) => { result.incomeBrackets[i] += count || 0; });
             }
         });
 
-        // Calculate median income
-        if (result.medianIncomes.length > 0) {
+        // Median income: interpolated from the summed brackets when markers
+        // carry them, otherwise the median of the per-ZIP medians
+        if (result.incomeBrackets && typeof ACSMetricRegistry !== 'undefined') {
+            const { value, openEnded } = ACSMetricRegistry.interpolateMedian(
+                ACSMetricRegistry.DISTRIBUTIONS.income.brackets,
+                result.incomeBrackets
+            );
+            result.medianIncome = value;
+            result.medianIncomeOpenEnded = openEnded;
+        } else if (result.medianIncomes.length > 0) {
             result.medianIncomes.sort((a, b) => a - b);
             const mid = Math.floor(result.medianIncomes.length / 2);
             result.medianIncome = result.medianIncomes.length % 2 === 0
@@ -282,6 +297,10 @@ class SpatialUtils {
      * Haversine distance between two points in meters
      */
     haversineDistance(p1, p2) {
+        return SpatialUtils.haversine(p1, p2);
+    }
+
+    static haversine(p1, p2) {
         const R = 6371000; // Earth radius in meters
         const φ1 = p1.lat * Math.PI / 180;
         const φ2 = p2.lat * Math.PI / 180;
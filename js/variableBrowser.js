@@ -0,0 +1,444 @@
+// ============================================================================
+// VARIABLE BROWSER - SEARCH variables.json, TABLE TREES, PREVIEW & ADD METRICS
+// ============================================================================
+
+class ACSVariableBrowser {
+    /**
+     * @param {Object} options - {
+     *   apiService: ACSAPIService (vintage, base URL, proxy chain),
+     *   metricRegistry: ACSMetricRegistry that new metrics are registered in,
+     *   sampleZip(): a ZIP to preview when the user hasn't typed one,
+     *   onMetricAdded(metric): called after a metric is registered
+     * }
+     */
+    constructor(options = {}) {
+        this.apiService = options.apiService;
+        this.metricRegistry = options.metricRegistry;
+        this.sampleZip = options.sampleZip || (() => '');
+        this.onMetricAdded = options.onMetricAdded || null;
+
+        this.catalog = null;        // group id -> { id, concept, variables }
+        this.catalogVintage = null;
+        this.source = null;         // 'api' | 'local'
+        this.loading = null;
+
+        this.selectedGroup = null;
+        this.checked = new Set();
+        this.preview = null;        // { zip, name, values: { variable: { value, annotation } } }
+        this.element = null;
+    }
+
+    // Bundled copy of variables.json for offline use
+    static localUrl(vintage) {
+        return `data/variables/acs5_${vintage}.json`;
+    }
+
+    static get MAX_RESULTS() {
+        return 50;
+    }
+
+    // ============================================================================
+    // CATALOG
+    // ============================================================================
+
+    /**
+     * Load variables.json for the service's vintage: from the API unless
+     * offline, falling back to the bundled copy
+     */
+    async loadCatalog() {
+        const vintage = this.apiService.vintage;
+        if (this.catalog && this.catalogVintage === vintage) return this.catalog;
+        if (this.loading?.vintage === vintage) return this.loading.promise;
+
+        const promise = (async () => {
+            let json = null;
+
+            if (!this.apiService.offline) {
+                try {
+                    json = await this.apiService.fetchWithCorsFallback(`${this.apiService.baseUrl}/variables.json`);
+                    this.source = 'api';
+                } catch (error) {
+                    console.warn(`variables.json from the API failed (${error.message}), trying the bundled copy`);
+                }
+            }
+
+            if (!json) {
+                const response = await fetch(ACSVariableBrowser.localUrl(vintage));
+                if (!response.ok) {
+                    throw new Error(`No variable metadata for ACS ${vintage}: the API is unreachable and ${ACSVariableBrowser.localUrl(vintage)} is missing`);
+                }
+                json = await response.json();
+                this.source = 'local';
+            }
+
+            this.catalog = ACSVariableBrowser.parseCatalog(json);
+            this.catalogVintage = vintage;
+            console.log(`Variable catalog for ACS ${vintage}: ${this.catalog.size} tables (${this.source})`);
+            return this.catalog;
+        })();
+
+        this.loading = { vintage, promise };
+        try {
+            return await promise;
+        } finally {
+            this.loading = null;
+        }
+    }
+
+    /**
+     * Group detailed-table estimates (B/C tables, E suffix) by table.
+     * Annotation and MOE variables are dropped; their names follow from
+     * the estimate's.
+     * @param {Object} json - variables.json: { variables: { [name]: { label, concept, group } } }
+     * @returns {Map} - group id -> { id, concept, variables: [{ name, label, path }] }
+     */
+    static parseCatalog(json) {
+        const groups = new Map();
+
+        Object.entries(json?.variables || {}).forEach(([name, meta]) => {
+            if (!/^[BC]\d{5}[A-Z]*_\d{3}E$/.test(name)) return;
+
+            const groupId = meta.group || name.split('_')[0];
+            if (!groups.has(groupId)) {
+                groups.set(groupId, { id: groupId, concept: meta.concept || '', variables: [] });
+            }
+            groups.get(groupId).variables.push({
+                name,
+                label: meta.label || name,
+                path: ACSVariableBrowser.labelPath(meta.label || name)
+            });
+        });
+
+        groups.forEach(group => group.variables.sort((a, b) => a.name.localeCompare(b.name)));
+        return groups;
+    }
+
+    // "Estimate!!Total:!!$10,000 to $14,999" -> ['Total', '$10,000 to $14,999']
+    static labelPath(label) {
+        return label
+            .split('!!')
+            .map(part => part.replace(/:$/, '').trim())
+            .filter((part, i) => part && !(i === 0 && part === 'Estimate'));
+    }
+
+    /**
+     * Tables whose id, concept or variable labels contain every search word
+     * @returns {Array} - [{ group, matches: variables whose label matched }]
+     */
+    search(query) {
+        if (!this.catalog) return [];
+
+        const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+        if (words.length === 0) return [];
+
+        const results = [];
+        this.catalog.forEach(group => {
+            const groupText = `${group.id} ${group.concept}`.toLowerCase();
+            const matches = group.variables.filter(v => {
+                const text = `${groupText} ${v.name} ${v.label}`.toLowerCase();
+                return words.every(word => text.includes(word));
+            });
+            if (matches.length === 0) return;
+
+            const exactId = group.id.toLowerCase() === words[0];
+            const conceptHit = words.every(word => groupText.includes(word));
+            results.push({ group, matches: conceptHit ? [] : matches, score: exactId ? 0 : conceptHit ? 1 : 2 });
+        });
+
+        return results
+            .sort((a, b) => a.score - b.score || a.group.id.localeCompare(b.group.id))
+            .slice(0, ACSVariableBrowser.MAX_RESULTS);
+    }
+
+    /**
+     * Nest a table's variables by their label path
+     * @returns {Array} - [{ label, variable|null, children }]
+     */
+    static buildTree(group) {
+        const root = { children: [] };
+
+        group.variables.forEach(variable => {
+            let node = root;
+            variable.path.forEach((label, depth) => {
+                let child = node.children.find(c => c.label === label);
+                if (!child) {
+                    child = { label, variable: null, children: [] };
+                    node.children.push(child);
+                }
+                if (depth === variable.path.length - 1) child.variable = variable;
+                node = child;
+            });
+        });
+
+        return root.children;
+    }
+
+    /**
+     * Fetch one ZIP's values for every estimate in a table
+     */
+    async loadPreview(group, zip) {
+        const service = this.apiService;
+        const names = group.variables.map(v => v.name);
+        const geoQuery = ACSGeography.buildGeoQuery(ACSGeography.get('zcta'), [zip]);
+        const values = {};
+        let name = zip;
+
+        for (const chunk of service.chunkArray(names, ACSAPIService.MAX_VARIABLES_PER_REQUEST - 1)) {
+            const data = await service.fetchWithCorsFallback(`${service.baseUrl}?get=NAME,${chunk.join(',')}&${geoQuery}${service.keyParam()}`);
+            const [headers, row] = data;
+            if (!row) break;
+
+            name = row[headers.indexOf('NAME')] || name;
+            chunk.forEach(variable => {
+                const raw = row[headers.indexOf(variable)];
+                const annotation = ACSMetricRegistry.annotation(raw);
+                const value = parseFloat(raw);
+                values[variable] = { value: annotation || isNaN(value) ? null : value, annotation };
+            });
+        }
+
+        return { zip, name, values };
+    }
+
+    /**
+     * Register the checked variables as a metric: their sum, or their share
+     * of the table total
+     * @param {Object} def - { id, label, unit, share }
+     */
+    addMetric(def) {
+        const variables = Array.from(this.checked);
+        if (variables.length === 0) {
+            throw new Error('Check at least one variable first');
+        }
+
+        if (this.metricRegistry.metrics.has(def.id)) {
+            throw new Error(`A metric named ${def.id} already exists`);
+        }
+        if (def.unit === 'currency' && !def.share && variables.length > 1) {
+            throw new Error('Currency metrics take a single variable; medians cannot be summed');
+        }
+
+        const total = `${this.selectedGroup.id}_001E`;
+        const share = !!def.share;
+        if (share && variables.includes(total)) {
+            throw new Error(`${total} is the table total; leave it unchecked to express a share of it`);
+        }
+
+        const metric = this.metricRegistry.register({
+            id: def.id,
+            label: def.label || def.id,
+            description: `${this.selectedGroup.concept} (${this.selectedGroup.id})`,
+            unit: share ? 'percent' : def.unit,
+            combine: share ? 'ratio' : variables.length === 1 ? 'pick' : 'sum',
+            variables,
+            denominator: share ? [total] : [],
+            aggregate: share ? 'ratio' : def.unit === 'currency' ? 'median' : 'sum',
+            color: '#0f766e'
+        });
+
+        console.log(`Added metric ${metric.id} from ${variables.join(', ')}`);
+        if (this.onMetricAdded) this.onMetricAdded(metric);
+        return metric;
+    }
+
+    // ============================================================================
+    // UI
+    // ============================================================================
+
+    async open() {
+        this.element = document.getElementById('variableBrowser');
+        if (!this.element) return;
+
+        this.element.hidden = false;
+        this.renderShell();
+
+        const status = this.element.querySelector('.vb-status');
+        try {
+            status.textContent = `Loading variables for ACS ${this.apiService.vintage}...`;
+            await this.loadCatalog();
+            status.textContent = `ACS ${this.catalogVintage} · ${this.catalog.size.toLocaleString()} tables · ${this.source === 'api' ? 'live API' : 'bundled copy'}`;
+            this.element.querySelector('.vb-search').focus();
+            this.renderResults();
+        } catch (error) {
+            console.error('Variable catalog failed to load:', error);
+            status.textContent = error.message;
+        }
+    }
+
+    close() {
+        if (this.element) this.element.hidden = true;
+    }
+
+    renderShell() {
+        this.element.innerHTML = `
+            <div class="vb-panel">
+                <div class="vb-header">
+                    <h4><i class="fas fa-book"></i> Census Variable Browser</h4>
+                    <button class="vb-close" title="Close"><i class="fas fa-times"></i></button>
+                </div>
+                <input type="search" class="vb-search" placeholder="Search tables and variables (e.g. median rent, B25064, bachelor)">
+                <div class="vb-status settings-note"></div>
+                <div class="vb-body">
+                    <div class="vb-results"></div>
+                    <div class="vb-table"></div>
+                </div>
+            </div>
+        `;
+
+        this.element.querySelector('.vb-close').addEventListener('click', () => this.close());
+        this.element.addEventListener('click', (e) => {
+            if (e.target === this.element) this.close();
+        });
+
+        let timer = null;
+        this.element.querySelector('.vb-search').addEventListener('input', () => {
+            clearTimeout(timer);
+            timer = setTimeout(() => this.renderResults(), 200);
+        });
+
+        if (this.selectedGroup) this.renderTable();
+    }
+
+    renderResults() {
+        const container = this.element?.querySelector('.vb-results');
+        if (!container || !this.catalog) return;
+
+        const query = this.element.querySelector('.vb-search').value;
+        const results = this.search(query);
+
+        if (!query.trim()) {
+            container.innerHTML = '<div class="vb-empty">Type to search table names, concepts and variable labels</div>';
+            return;
+        }
+        if (results.length === 0) {
+            container.innerHTML = '<div class="vb-empty">No matching tables</div>';
+            return;
+        }
+
+        container.innerHTML = results.map(({ group, matches }) => `
+            <div class="vb-result${this.selectedGroup?.id === group.id ? ' vb-result-active' : ''}" data-group="${group.id}">
+                <div class="vb-result-id">${group.id}</div>
+                <div class="vb-result-concept">${HTMLUtils.escape(group.concept)}</div>
+                ${matches.slice(0, 3).map(v => `<div class="vb-result-match">${v.name}: ${HTMLUtils.escape(v.path.join(' › '))}</div>`).join('')}
+                ${matches.length > 3 ? `<div class="vb-result-match">+${matches.length - 3} more</div>` : ''}
+            </div>
+        `).join('');
+
+        container.querySelectorAll('.vb-result').forEach(el => {
+            el.addEventListener('click', () => this.selectGroup(el.dataset.group));
+        });
+    }
+
+    selectGroup(groupId) {
+        this.selectedGroup = this.catalog.get(groupId) || null;
+        this.checked.clear();
+        this.preview = null;
+        this.renderResults();
+        this.renderTable();
+    }
+
+    renderTable() {
+        const container = this.element?.querySelector('.vb-table');
+        const group = this.selectedGroup;
+        if (!container || !group) return;
+
+        const registered = new Set(this.metricRegistry.getVariables());
+        const renderNodes = (nodes, depth) => nodes.map(node => {
+            const variable = node.variable;
+            const preview = variable && this.preview?.values[variable.name];
+            const previewText = !preview ? ''
+                : preview.annotation ? preview.annotation.symbol
+                : preview.value === null ? '–' : preview.value.toLocaleString();
+
+            return `
+                <div class="vb-node" style="padding-left: ${depth * 14}px;">
+                    ${variable ? `<input type="checkbox" data-variable="${variable.name}" ${this.checked.has(variable.name) ? 'checked' : ''}>` : '<span class="vb-node-spacer"></span>'}
+                    <span class="vb-node-label" title="${variable ? variable.name : ''}">${HTMLUtils.escape(node.label)}</span>
+                    ${variable ? `<code class="vb-node-name">${variable.name}${registered.has(variable.name) ? ' ✓' : ''}</code>` : ''}
+                    ${previewText ? `<span class="vb-node-value"${preview.annotation ? ` title="${HTMLUtils.escape(preview.annotation.label)}"` : ''}>${previewText}</span>` : ''}
+                </div>
+                ${renderNodes(node.children, depth + 1)}
+            `;
+        }).join('');
+
+        container.innerHTML = `
+            <div class="vb-table-header">
+                <strong>${group.id}</strong> ${HTMLUtils.escape(group.concept)}
+                <div class="settings-note">${group.variables.length} estimates · ✓ already fetched</div>
+            </div>
+            <div class="vb-preview-row">
+                <input type="text" class="vb-preview-zip" maxlength="5" placeholder="ZIP" value="${this.preview?.zip || this.sampleZip() || ''}">
+                <button class="btn btn-secondary vb-preview-btn"><i class="fas fa-eye"></i> Preview</button>
+                <span class="vb-preview-name settings-note">${this.preview ? HTMLUtils.escape(this.preview.name) : ''}</span>
+            </div>
+            <div class="vb-tree">${renderNodes(ACSVariableBrowser.buildTree(group), 0)}</div>
+            <div class="vb-add">
+                <div class="vb-add-row">
+                    <input type="text" class="vb-metric-id" placeholder="Metric id (e.g. Renter_Households)">
+                    <input type="text" class="vb-metric-label" placeholder="Label">
+                </div>
+                <div class="vb-add-row">
+                    <select class="vb-metric-unit">
+                        <option value="count">Count</option>
+                        <option value="people">People</option>
+                        <option value="households">Households</option>
+                        <option value="currency">Currency (median)</option>
+                    </select>
+                    <label class="settings-checkbox"><input type="checkbox" class="vb-metric-share"> Share of ${group.id}_001E</label>
+                </div>
+                <button class="btn btn-primary vb-add-btn"><i class="fas fa-plus"></i> Add checked variables as metric</button>
+            </div>
+        `;
+
+        container.querySelectorAll('input[data-variable]').forEach(input => {
+            input.addEventListener('change', (e) => {
+                if (e.target.checked) {
+                    this.checked.add(e.target.dataset.variable);
+                } else {
+                    this.checked.delete(e.target.dataset.variable);
+                }
+            });
+        });
+        container.querySelector('.vb-preview-btn').addEventListener('click', () => this.runPreview());
+        container.querySelector('.vb-add-btn').addEventListener('click', () => this.submitMetric());
+    }
+
+    async runPreview() {
+        const zip = this.element.querySelector('.vb-preview-zip').value.trim();
+        const nameEl = this.element.querySelector('.vb-preview-name');
+        if (!/^\d{5}$/.test(zip)) {
+            nameEl.textContent = 'Enter a 5-digit ZIP';
+            return;
+        }
+
+        nameEl.textContent = 'Loading...';
+        try {
+            this.preview = await this.loadPreview(this.selectedGroup, zip);
+            this.renderTable();
+        } catch (error) {
+            nameEl.textContent = `Preview failed: ${error.message}`;
+        }
+    }
+
+    submitMetric() {
+        const value = (selector) => this.element.querySelector(selector);
+        try {
+            const metric = this.addMetric({
+                id: value('.vb-metric-id').value.trim(),
+                label: value('.vb-metric-label').value.trim(),
+                unit: value('.vb-metric-unit').value,
+                share: value('.vb-metric-share').checked
+            });
+            this.checked.clear();
+            this.renderTable();
+            this.element.querySelector('.vb-status').textContent = `Added ${metric.label}; it is fetched on the next load`;
+        } catch (error) {
+            this.element.querySelector('.vb-status').textContent = error.message;
+        }
+    }
+}
+
+// Export to global scope
+if (typeof window !== 'undefined') {
+    window.ACSVariableBrowser = ACSVariableBrowser;
+}
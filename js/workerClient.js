@@ -0,0 +1,162 @@
+// ============================================================================
+// ACS WORKER CLIENT - MESSAGE API TO THE FETCH/PARSE/CACHE WORKER
+// ============================================================================
+
+class ACSWorkerClient {
+    constructor(scriptUrl) {
+        this.scriptUrl = scriptUrl;
+        this.worker = null;
+        this.available = false;
+        this.nextId = 1;
+        this.pending = new Map();   // request id -> { resolve, reject, onProgress, cleanup }
+        this.listeners = new Map(); // event name -> [handler]
+
+        this.start();
+    }
+
+    /**
+     * @returns {ACSWorkerClient|null} - null where workers can't run, so
+     *   callers fall back to the main thread
+     */
+    static create(scriptUrl) {
+        if (typeof Worker === 'undefined') return null;
+
+        // Chrome refuses to start workers from file:// pages
+        if (typeof location !== 'undefined' && location.protocol === 'file:') {
+            console.warn('ACS worker disabled for file:// pages; loading on the main thread');
+            return null;
+        }
+
+        try {
+            return new ACSWorkerClient(scriptUrl);
+        } catch (error) {
+            console.warn('ACS worker could not start:', error.message);
+            return null;
+        }
+    }
+
+    start() {
+        this.worker = new Worker(this.scriptUrl);
+        this.available = true;
+        this.worker.onmessage = (event) => this.handleMessage(event.data);
+
+        // Script load failures and uncaught worker errors both land here
+        this.worker.onerror = (event) => {
+            event.preventDefault?.();
+            this.fail(event.message || 'ACS worker failed');
+        };
+    }
+
+    fail(message) {
+        console.error(`ACS worker stopped: ${message}`);
+        this.available = false;
+        this.worker?.terminate();
+
+        const error = new Error(message);
+        error.workerUnavailable = true;
+        this.pending.forEach(entry => {
+            entry.cleanup();
+            entry.reject(error);
+        });
+        this.pending.clear();
+    }
+
+    on(event, handler) {
+        if (!this.listeners.has(event)) this.listeners.set(event, []);
+        this.listeners.get(event).push(handler);
+    }
+
+    post(type, payload = {}) {
+        if (!this.available) return;
+        this.worker.postMessage({ type, payload });
+    }
+
+    /**
+     * Call a worker method
+     * @param {Object} options - { signal, onProgress(progress) }. Aborting
+     *   rejects at once; the worker stops at its next checkpoint.
+     */
+    request(method, payload, options = {}) {
+        const { signal, onProgress } = options;
+
+        if (!this.available) {
+            const error = new Error('ACS worker is not running');
+            error.workerUnavailable = true;
+            return Promise.reject(error);
+        }
+        if (signal?.aborted) {
+            return Promise.reject(ACSRequestScheduler.abortError(signal));
+        }
+
+        return new Promise((resolve, reject) => {
+            const id = this.nextId++;
+
+            const onAbort = () => {
+                this.worker.postMessage({ type: 'abort', id });
+                this.pending.delete(id);
+                reject(ACSRequestScheduler.abortError(signal));
+            };
+            signal?.addEventListener('abort', onAbort, { once: true });
+
+            this.pending.set(id, {
+                resolve,
+                reject,
+                onProgress,
+                cleanup: () => signal?.removeEventListener('abort', onAbort)
+            });
+            this.worker.postMessage({ type: 'request', id, method, payload });
+        });
+    }
+
+    handleMessage(message) {
+        if (message.type === 'event') {
+            (this.listeners.get(message.event) || []).forEach(handler => {
+                try {
+                    handler(message.payload);
+                } catch (e) {
+                    console.error(`ACS worker ${message.event} handler failed:`, e);
+                }
+            });
+            return;
+        }
+
+        const entry = this.pending.get(message.id);
+        if (!entry) return; // aborted on this side already
+
+        if (message.type === 'progress') {
+            if (entry.onProgress) entry.onProgress(message.progress);
+            return;
+        }
+
+        this.pending.delete(message.id);
+        entry.cleanup();
+
+        if (message.type === 'result') {
+            entry.resolve(message.result);
+        } else {
+            entry.reject(ACSWorkerClient.deserializeError(message.error));
+        }
+    }
+
+    static deserializeError(json) {
+        if (json?.name === 'ACSRequestError') {
+            return ACSRequestError.fromJSON(json);
+        }
+        if (json?.name === 'AbortError') {
+            return new DOMException(json.message, 'AbortError');
+        }
+
+        const error = new Error(json?.message || 'ACS worker request failed');
+        error.name = json?.name || 'Error';
+        return error;
+    }
+
+    terminate() {
+        this.fail('terminated');
+    }
+}
+
+// Export to global scope
+if (typeof window !== 'undefined') {
+    window.ACSWorkerClient = ACSWorkerClient;
+}
@@ -6,31 +6,218 @@ class ZIPCodeIndex {
     constructor() {
         this.zips = new Map();
         this.loaded = false;
+        
+        // ZIP list loaded instead of the ZCTA level's centroid file, its
+        // column mapping as JSON text (see parseSchema), and the validation
+        // report of the last load (see loadReference)
+        this.referenceUrl = null;
+        this.referenceSchema = null;
+        this.referenceReport = null;
+        
+        // Postal ZIP -> ZCTA. Until a crosswalk loads, every postal ZIP is
+        // assumed to be its own ZCTA.
+        this.crosswalk = null;
+        this.zctas = null;
+        this.crosswalkReport = null;
+        
+        // Centroids per geography level; ZCTAs live in this.zctas once the
+        // crosswalk is loaded, in this.zips before that
+        this.levels = new Map([['zcta', this.zips]]);
     }
 
+    // Simplemaps-style JSON list; kept for callers that predate loadReference
     async loadFromJSON(jsonUrl) {
+        await this.loadReference(jsonUrl, { format: 'json' });
+        return true;
+    }
+
+    /**
+     * Single record with the fields of REFERENCE_SCHEMA
+     * @returns {Object|null} - The stored record, null if it was rejected
+     */
+    addRecord(record) {
+        const result = ZIPCodeIndex.normalizeRecord(record);
+        if (result.error) return null;
+        
+        this.zips.set(result.record.zip, result.record);
+        return result.record;
+    }
+
+    get(zip) {
+        return this.zips.get(zip.padStart(5, '0')) || null;
+    }
+
+    // Territories are left out unless asked for (see ACSGeography.REGIONS)
+    getAllStateZips(excludeTerritories = ACSGeography.excludedStates(ACSGeography.DEFAULT_REGIONS)) {
+        return this.getAllIds('zcta', excludeTerritories);
+    }
+
+    // ============================================================================
+    // GEOGRAPHY LEVELS
+    // ============================================================================
+
+    isLevelLoaded(levelId) {
+        return levelId === 'zcta' ? this.loaded && !!this.crosswalkReport : this.levels.has(levelId);
+    }
+
+    /**
+     * Centroids for a geography level, keyed by GEOID. Loaded once from the
+     * level's centroid source (see ACSGeography.LEVELS).
+     * @returns {Map} - GEOID -> { id, lat, lng, city, state_id, county_name, population }
+     */
+    async loadLevel(levelId) {
+        const level = ACSGeography.get(levelId);
+        
+        if (this.isLevelLoaded(level.id)) {
+            return this.getLevel(level.id);
+        }
+        
+        if (level.id === 'zcta') {
+            const schema = this.referenceSchema ? ZIPCodeIndex.parseSchema(this.referenceSchema) : level.centroids.schema;
+            await this.loadReference(this.referenceUrl || level.centroids.url, { schema });
+            await this.loadCrosswalk(level.crosswalk.url);
+            return this.getLevel('zcta');
+        }
+        
+        console.log(`Loading ${level.label} centroids...`);
+        const response = await fetch(level.centroids.url);
+        if (!response.ok) {
+            throw new Error(`Failed to load ${level.label} centroids from ${level.centroids.url}: ${response.status}`);
+        }
+        
+        const text = await response.text();
+        const records = level.centroids.format === 'cenpop'
+            ? this.parseCenPop(text, level)
+            : this.parseGazetteer(text, level);
+        
+        this.levels.set(level.id, records);
+        console.log(`✅ Loaded ${records.size} ${level.units}`);
+        
+        return records;
+    }
+
+    getLevel(levelId) {
+        return this.levels.get(levelId) || new Map();
+    }
+
+    getAllIds(levelId, excludeTerritories = ACSGeography.excludedStates(ACSGeography.DEFAULT_REGIONS)) {
+        const ids = [];
+        const excluded = new Set(excludeTerritories);
+        
+        for (const [id, data] of this.getLevel(levelId)) {
+            if (data.state_id && !excluded.has(data.state_id)) {
+                ids.push(id);
+            }
+        }
+        
+        return ids;
+    }
+
+    // ============================================================================
+    // ZIP REFERENCE LOADING & VALIDATION
+    // ============================================================================
+
+    // Entries listed per category in the reference and crosswalk panels
+    // before "... and N more"
+    static get REPORT_LIST_LIMIT() {
+        return 200;
+    }
+
+    /**
+     * Source columns for each record field, matched case-insensitively.
+     * Covers the simplemaps uszips layout (JSON or CSV) and common
+     * alternatives; a schema passed to loadReference replaces the column
+     * list of the fields it names and may add fields of its own.
+     */
+    static get REFERENCE_SCHEMA() {
+        return {
+            zip: ['zip', 'zipcode', 'zip_code'],
+            lat: ['lat', 'latitude', 'intptlat'],
+            lng: ['lng', 'lon', 'long', 'longitude', 'intptlong'],
+            city: ['city', 'po_name', 'primary_city'],
+            state_id: ['state_id', 'state', 'st', 'usps'],
+            state_name: ['state_name'],
+            county_name: ['county_name', 'county'],
+            county_fips: ['county_fips', 'countyfp'],
+            population: ['population', 'pop', 'irs_estimated_population'],
+            density: ['density'],
+            land_area: ['land_area', 'aland_sqmi', 'area_sq_mi'],
+            timezone: ['timezone', 'tz']
+        };
+    }
+
+    /**
+     * Column mapping given as JSON text, e.g.
+     * {"zip": "postal_code", "lat": ["y", "latitude"], "lng": "x"}:
+     * each field maps to one column name or a list tried in order
+     * @returns {Object} - Schema for loadReference
+     */
+    static parseSchema(text) {
+        let schema;
+        try {
+            schema = JSON.parse(text);
+        } catch (e) {
+            throw new Error(`ZIP list column mapping is not valid JSON: ${e.message}`);
+        }
+        
+        if (!schema || typeof schema !== 'object' || Array.isArray(schema)) {
+            throw new Error('ZIP list column mapping must be a JSON object of field -> column name(s)');
+        }
+        
+        Object.entries(schema).forEach(([field, names]) => {
+            if (ZIPCodeIndex.RESERVED_FIELDS.includes(field)) {
+                throw new Error(`ZIP list column mapping can't set "${field}"; the index fills it in`);
+            }
+            const list = [].concat(names);
+            if (list.length === 0 || !list.every(name => typeof name === 'string' && name.trim())) {
+                throw new Error(`ZIP list column mapping for "${field}" must be a column name or a list of them`);
+            }
+        });
+        
+        return schema;
+    }
+
+    // Fields set by the index itself, never copied from a source file
+    static get RESERVED_FIELDS() {
+        return ['id', 'zcta', 'zips', 'crosswalkStatus'];
+    }
+
+    /**
+     * Load the postal ZIP list from JSON (an array, or an object keyed by
+     * ZIP) or CSV, either optionally gzipped, and validate every row.
+     * Rejected rows are left out; duplicates keep their first row;
+     * suspicious rows are kept but reported.
+     * @param {string} url
+     * @param {Object} options - { format: 'json' | 'csv' (otherwise taken
+     *   from the file name, then the content), schema: see REFERENCE_SCHEMA }
+     * @returns {Object} - Validation report: { url, format, compressed, schema, rows,
+     *   accepted, fields, counts: { rejected, duplicate, suspicious },
+     *   rejected: [{ line, zip, reason }], duplicates: [{ line, zip, firstLine }],
+     *   suspicious: [{ line, zip, reason }] }
+     */
+    async loadReference(url, options = {}) {
         try {
             console.log('Loading ZIP codes...');
             
-            const response = await fetch(jsonUrl);
+            const response = await fetch(url);
             if (!response.ok) {
                 throw new Error(`Failed to load: ${response.status}`);
             }
             
-            const data = await response.json();
-            
-            if (Array.isArray(data)) {
-                data.forEach(record => this.addRecord(record));
-            } else if (typeof data === 'object') {
-                Object.entries(data).forEach(([zip, record]) => {
-                    this.addRecord({ zip: zip.padStart(5, '0'), ...record });
-                });
-            }
+            const { text, compressed } = await ZIPCodeIndex.readText(response);
+            const format = ['json', 'csv'].includes(options.format)
+                ? options.format
+                : ZIPCodeIndex.detectFormat(url, text);
+            const rows = format === 'csv' ? ZIPCodeIndex.parseCsvRows(text) : ZIPCodeIndex.parseJsonRows(text);
             
+            const report = this.addReferenceRows(rows, options.schema);
+            this.referenceReport = { url, format, compressed, schema: options.schema || null, ...report };
             this.loaded = true;
-            console.log(`✅ Loaded ${this.zips.size} ZIP codes`);
             
-            return true;
+            console.log(`✅ Loaded ${this.zips.size} ZIP codes from ${format.toUpperCase()}${compressed ? ' (gzip)' : ''}: ` +
+                `${report.counts.rejected} rejected, ${report.counts.duplicate} duplicates, ${report.counts.suspicious} suspicious`);
+            
+            return this.referenceReport;
             
         } catch (error) {
             console.error('Failed to load ZIP codes:', error);
@@ -38,54 +225,511 @@ class ZIPCodeIndex {
         }
     }
 
-    addRecord(record) {
-        const zip = String(record.zip || record.zipcode || '').padStart(5, '0');
-        
-        if (zip.length === 5 && record.lat && record.lng) {
-            const lat = parseFloat(record.lat);
-            const lng = parseFloat(record.lng);
-            
-            if (!isNaN(lat) && !isNaN(lng)) {
-                this.zips.set(zip, {
-                    zip,
-                    lat,
-                    lng,
-                    city: record.city || '',
-                    state_id: record.state_id || record.state || '',
-                    county_name: record.county_name || '',
-                    population: record.population ? parseInt(record.population) : null
-                });
+    /**
+     * Response body as text, gunzipped when it starts with the gzip magic
+     * bytes. Servers that send Content-Encoding: gzip arrive already
+     * decoded; a plain .gz file does not.
+     * @returns {Object} - { text, compressed }
+     */
+    static async readText(response) {
+        const bytes = new Uint8Array(await response.arrayBuffer());
+        const compressed = bytes[0] === 0x1f && bytes[1] === 0x8b;
+        
+        if (!compressed) {
+            return { text: new TextDecoder().decode(bytes), compressed };
+        }
+        if (typeof DecompressionStream === 'undefined') {
+            throw new Error('This browser cannot decompress gzip files; serve the ZIP list uncompressed');
+        }
+        
+        const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('gzip'));
+        return { text: await new Response(stream).text(), compressed };
+    }
+
+    static detectFormat(url, text) {
+        const path = String(url).split(/[?#]/)[0].toLowerCase().replace(/\.gz$/, '');
+        if (path.endsWith('.csv')) return 'csv';
+        if (path.endsWith('.json')) return 'json';
+        return /^\uFEFF?\s*[[{]/.test(text) ? 'json' : 'csv';
+    }
+
+    // @returns {Array} - [{ line, data }] with data keyed by column name
+    static parseCsvRows(text) {
+        const lines = text.replace(/^\uFEFF/, '').split(/\r?\n/);
+        const headers = ZIPCodeIndex.splitCsvLine(lines[0]).map(h => h.trim());
+        const rows = [];
+        
+        for (let i = 1; i < lines.length; i++) {
+            if (!lines[i].trim()) continue;
+            const cells = ZIPCodeIndex.splitCsvLine(lines[i]);
+            const data = {};
+            headers.forEach((header, j) => {
+                data[header] = (cells[j] ?? '').trim();
+            });
+            rows.push({ line: i + 1, data });
+        }
+        
+        return rows;
+    }
+
+    // @returns {Array} - [{ line, data }]; line is the 1-based entry number
+    static parseJsonRows(text) {
+        const data = JSON.parse(text.replace(/^\uFEFF/, ''));
+        
+        if (Array.isArray(data)) {
+            return data.map((record, i) => ({ line: i + 1, data: record || {} }));
+        }
+        if (data && typeof data === 'object') {
+            return Object.entries(data).map(([zip, record], i) => ({ line: i + 1, data: { zip, ...record } }));
+        }
+        throw new Error('ZIP list JSON must be an array or an object keyed by ZIP');
+    }
+
+    /**
+     * Record field -> source column, for the columns the file actually has
+     */
+    static resolveColumns(keys, schema = {}) {
+        const fields = { ...ZIPCodeIndex.REFERENCE_SCHEMA, ...schema };
+        const byName = new Map(keys.map(key => [String(key).trim().toLowerCase(), key]));
+        const columns = {};
+        
+        Object.entries(fields).forEach(([field, names]) => {
+            if (ZIPCodeIndex.RESERVED_FIELDS.includes(field)) return;
+            const key = [].concat(names).map(name => byName.get(String(name).toLowerCase())).find(k => k !== undefined);
+            if (key !== undefined) columns[field] = key;
+        });
+        
+        return columns;
+    }
+
+    addReferenceRows(rows, schema) {
+        // JSON entries need not share every key; sample a few for the columns
+        const keys = new Set();
+        rows.slice(0, 100).forEach(row => Object.keys(row.data).forEach(key => keys.add(key)));
+        const columns = ZIPCodeIndex.resolveColumns([...keys], schema);
+        
+        const missing = ['zip', 'lat', 'lng'].filter(field => !columns[field]);
+        if (rows.length > 0 && missing.length > 0) {
+            throw new Error(`ZIP list has no ${missing.join(' / ')} column (columns: ${[...keys].join(', ')})`);
+        }
+        
+        const report = {
+            rows: rows.length,
+            accepted: 0,
+            fields: Object.keys(columns),
+            counts: { rejected: 0, duplicate: 0, suspicious: 0 },
+            rejected: [],
+            duplicates: [],
+            suspicious: []
+        };
+        const firstLines = new Map(); // ZIP -> line it was first seen on
+        
+        rows.forEach(({ line, data }) => {
+            const raw = {};
+            Object.entries(columns).forEach(([field, key]) => {
+                const value = data[key];
+                if (value !== undefined && value !== null && value !== '') raw[field] = value;
+            });
+            
+            const result = ZIPCodeIndex.normalizeRecord(raw);
+            if (result.error) {
+                report.rejected.push({ line, zip: result.zip || '', reason: result.error });
+                return;
+            }
+            
+            const { record } = result;
+            if (firstLines.has(record.zip)) {
+                report.duplicates.push({ line, zip: record.zip, firstLine: firstLines.get(record.zip) });
+                return;
             }
+            firstLines.set(record.zip, line);
+            
+            result.warnings.forEach(reason => report.suspicious.push({ line, zip: record.zip, reason }));
+            this.zips.set(record.zip, record);
+            report.accepted++;
+        });
+        
+        report.counts.rejected = report.rejected.length;
+        report.counts.duplicate = report.duplicates.length;
+        report.counts.suspicious = new Set(report.suspicious.map(s => s.zip)).size;
+        return report;
+    }
+
+    /**
+     * Validate one source record and convert it to the index's shape. Fields
+     * beyond the core ones (density, land area, timezone, county FIPS, ...)
+     * are kept as given.
+     * @returns {Object} - { record, warnings } or { zip, error }
+     */
+    static normalizeRecord(raw) {
+        const zipText = String(raw.zip ?? raw.zipcode ?? '').trim().replace(/\.0+$/, '');
+        if (!/^\d{1,5}$/.test(zipText)) {
+            return { zip: zipText, error: zipText ? `invalid ZIP "${zipText}"` : 'missing ZIP' };
+        }
+        const zip = zipText.padStart(5, '0');
+        
+        if (raw.lat === undefined || raw.lat === '' || raw.lng === undefined || raw.lng === '') {
+            return { zip, error: 'missing coordinates' };
+        }
+        const lat = parseFloat(raw.lat);
+        const lng = parseFloat(raw.lng);
+        if (isNaN(lat) || isNaN(lng)) {
+            return { zip, error: `non-numeric coordinates (${raw.lat}, ${raw.lng})` };
+        }
+        if (Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+            return { zip, error: `coordinates out of range (${lat}, ${lng})` };
         }
+        
+        const { zipcode, state, ...extra } = raw;
+        ZIPCodeIndex.RESERVED_FIELDS.forEach(field => delete extra[field]);
+        const number = (value, parse) => {
+            if (value === undefined || value === null || value === '') return null;
+            const parsed = parse(String(value).replace(/,/g, ''));
+            return isNaN(parsed) ? null : parsed;
+        };
+        
+        const record = {
+            ...extra,
+            id: zip,
+            zip,
+            lat,
+            lng,
+            city: raw.city || '',
+            state_id: String(raw.state_id || state || '').trim().toUpperCase(),
+            county_name: raw.county_name || '',
+            population: number(raw.population, parseInt)
+        };
+        if ('density' in raw) record.density = number(raw.density, parseFloat);
+        if ('land_area' in raw) record.land_area = number(raw.land_area, parseFloat);
+        if (/^\d{1,5}$/.test(String(raw.county_fips ?? ''))) record.county_fips = String(raw.county_fips).padStart(5, '0');
+        
+        const warnings = [];
+        const inState = ACSGeography.isInState(record.state_id, lat, lng);
+        if (!record.state_id) {
+            warnings.push('no state');
+        } else if (inState === null) {
+            warnings.push(`unknown state "${record.state_id}"`);
+        } else if (!inState) {
+            warnings.push(`coordinates (${lat}, ${lng}) outside ${record.state_id}`);
+        }
+        if (record.population !== null && record.population < 0) {
+            warnings.push(`negative population (${record.population})`);
+        }
+        
+        return { record, warnings };
     }
 
-    get(zip) {
-        return this.zips.get(zip.padStart(5, '0')) || null;
+    // ============================================================================
+    // ZIP -> ZCTA CROSSWALK
+    // ============================================================================
+
+    /**
+     * Load a ZIP -> ZCTA crosswalk (UDS Mapper layout: ZIP_CODE, ZIP_TYPE,
+     * ZCTA, zip_join_type) and rebuild the ZCTA level from it. Without the
+     * file the index keeps treating postal ZIPs as ZCTAs.
+     * @returns {Object} - crosswalk report, see buildZctaLevel
+     */
+    async loadCrosswalk(url) {
+        try {
+            const response = await fetch(url);
+            if (!response.ok) {
+                throw new Error(`Failed to load: ${response.status}`);
+            }
+            
+            this.crosswalk = this.parseCrosswalk(await response.text());
+            console.log(`✅ Loaded ZIP → ZCTA crosswalk for ${this.crosswalk.size} ZIPs`);
+        } catch (error) {
+            console.warn(`ZIP → ZCTA crosswalk unavailable (${url}): ${error.message}. Requesting postal ZIPs as ZCTAs.`);
+            this.crosswalk = null;
+        }
+        
+        return this.buildZctaLevel(url);
     }
 
-    getAllStateZips(excludeTerritories = ['PR', 'GU', 'VI', 'MP', 'AS', 'UM']) {
-        const stateZips = [];
-        const excluded = new Set(excludeTerritories);
+    /**
+     * @returns {Map} - postal ZIP -> { zcta, zipType, joinType }; zcta is
+     *   null for ZIPs the crosswalk marks as having no ZCTA
+     */
+    parseCrosswalk(text) {
+        const crosswalk = new Map();
+        const lines = text.replace(/^\uFEFF/, '').split(/\r?\n/);
+        const headers = ZIPCodeIndex.splitCsvLine(lines[0]).map(h => h.trim().toUpperCase());
+        const find = (...names) => headers.findIndex(h => names.includes(h));
+        const col = {
+            zip: find('ZIP_CODE', 'ZIP', 'ZIPCODE'),
+            zcta: find('ZCTA', 'ZCTA5', 'ZCTA5CE20', 'ZCTA5CE10'),
+            zipType: find('ZIP_TYPE'),
+            joinType: find('ZIP_JOIN_TYPE', 'JOIN_TYPE')
+        };
         
-        for (const [zip, data] of this.zips) {
-            if (data.state_id && !excluded.has(data.state_id)) {
-                stateZips.push(zip);
+        if (col.zip === -1 || col.zcta === -1) {
+            throw new Error('Crosswalk file is missing ZIP_CODE or ZCTA columns');
+        }
+        
+        for (let i = 1; i < lines.length; i++) {
+            if (!lines[i].trim()) continue;
+            const cells = ZIPCodeIndex.splitCsvLine(lines[i]).map(c => c.trim());
+            const zip = (cells[col.zip] || '').padStart(5, '0');
+            if (!/^\d{5}$/.test(zip)) continue;
+            
+            const joinType = col.joinType !== -1 ? cells[col.joinType] || '' : '';
+            const zcta = (cells[col.zcta] || '').replace(/\.0+$/, '');
+            crosswalk.set(zip, {
+                zcta: /^\d{1,5}$/.test(zcta) && !/no zcta/i.test(joinType) ? zcta.padStart(5, '0') : null,
+                zipType: col.zipType !== -1 ? cells[col.zipType] || '' : '',
+                joinType
+            });
+        }
+        
+        return crosswalk;
+    }
+
+    // Quoted fields may hold commas (e.g. post office names)
+    static splitCsvLine(line) {
+        const cells = [];
+        let field = '';
+        let inQuotes = false;
+        
+        for (let i = 0; i < line.length; i++) {
+            const char = line[i];
+            if (char === '"' && inQuotes && line[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = !inQuotes;
+            } else if (char === ',' && !inQuotes) {
+                cells.push(field);
+                field = '';
+            } else {
+                field += char;
             }
         }
+        cells.push(field);
+        return cells;
+    }
+
+    /**
+     * Rebuild the ZCTA level from the postal ZIPs and the crosswalk. Each
+     * ZCTA sits at its own ZIP's centroid when that ZIP exists, otherwise
+     * at its most populous member ZIP's. Every postal ZIP gets a status:
+     * - exact: the ZIP is its own ZCTA and shares it with no other ZIP
+     * - merged: the ZIP is its own ZCTA, which other ZIPs also map onto
+     * - mapped: the ZIP (PO box, unique or split ZIP) takes another ZCTA's data
+     * - none: no ACS geography; nothing is requested for it
+     * @returns {Object} - { available, url, counts, mapped: [{ zip, zcta }],
+     *   merged: [{ zcta, zips }], none: [zip] }
+     */
+    buildZctaLevel(url = null) {
+        const report = {
+            available: !!this.crosswalk,
+            url,
+            counts: { exact: 0, merged: 0, mapped: 0, none: 0 },
+            mapped: [],
+            merged: [],
+            none: []
+        };
+        
+        if (!this.crosswalk) {
+            this.zctas = null;
+            this.levels.set('zcta', this.zips);
+            this.zips.forEach(record => {
+                record.zcta = record.zip;
+                record.crosswalkStatus = 'exact';
+            });
+            report.counts.exact = this.zips.size;
+            this.crosswalkReport = report;
+            return report;
+        }
+        
+        const members = new Map(); // ZCTA -> [postal ZIP records]
+        this.zips.forEach((record, zip) => {
+            const zcta = this.crosswalk.get(zip)?.zcta || null;
+            record.zcta = zcta;
+            if (!zcta) return;
+            if (!members.has(zcta)) members.set(zcta, []);
+            members.get(zcta).push(record);
+        });
+        
+        this.zctas = new Map();
+        members.forEach((records, zcta) => {
+            const anchor = records.find(r => r.zip === zcta) ||
+                records.reduce((best, r) => ((r.population || 0) > (best.population || 0) ? r : best));
+            const zips = records.map(r => r.zip).sort();
+            const { crosswalkStatus, ...centroid } = anchor;
+            
+            const record = {
+                ...centroid,
+                id: zcta,
+                zip: zcta,
+                zips,
+                population: records.some(r => r.population !== null)
+                    ? records.reduce((sum, r) => sum + (r.population || 0), 0)
+                    : null
+            };
+            
+            // The anchor's area and density describe only its own ZIP
+            if (records.length > 1 && ('land_area' in record || 'density' in record)) {
+                const areas = records.map(r => r.land_area);
+                record.land_area = areas.every(a => typeof a === 'number')
+                    ? areas.reduce((sum, a) => sum + a, 0)
+                    : null;
+                record.density = record.land_area && record.population !== null
+                    ? record.population / record.land_area
+                    : null;
+            }
+            
+            this.zctas.set(zcta, record);
+            if (zips.length > 1) report.merged.push({ zcta, zips });
+        });
+        
+        this.zips.forEach((record, zip) => {
+            let status;
+            if (!record.zcta) {
+                status = 'none';
+                report.none.push(zip);
+            } else if (record.zcta !== zip) {
+                status = 'mapped';
+                report.mapped.push({ zip, zcta: record.zcta });
+            } else {
+                status = members.get(zip).length > 1 ? 'merged' : 'exact';
+            }
+            record.crosswalkStatus = status;
+            report.counts[status]++;
+        });
+        
+        this.levels.set('zcta', this.zctas);
+        this.crosswalkReport = report;
+        console.log(`ZIP → ZCTA: ${this.zctas.size} ZCTAs from ${this.zips.size} ZIPs ` +
+            `(${report.counts.mapped} mapped, ${report.merged.length} ZCTAs merged, ${report.counts.none} without ACS geography)`);
+        
+        return report;
+    }
+
+    /**
+     * The ZCTA whose ACS data a postal ZIP uses
+     * @returns {Object|null} - { zip, zcta, status }, zcta null when none
+     */
+    resolveZip(zip) {
+        const record = this.get(String(zip));
+        if (!record) return null;
+        return {
+            zip: record.zip,
+            zcta: record.zcta !== undefined ? record.zcta : record.zip,
+            status: record.crosswalkStatus || 'exact'
+        };
+    }
+
+    /**
+     * Census Gazetteer files: tab-separated, one row per geography with
+     * USPS, GEOID, optional NAME and internal point INTPTLAT / INTPTLONG
+     */
+    parseGazetteer(text, level) {
+        const records = new Map();
+        const lines = text.replace(/^\uFEFF/, '').split(/\r?\n/);
+        const headers = lines[0].split('\t').map(h => h.trim().toUpperCase());
+        const col = {
+            usps: headers.indexOf('USPS'),
+            geoId: headers.indexOf('GEOID'),
+            name: headers.indexOf('NAME'),
+            lat: headers.indexOf('INTPTLAT'),
+            lng: headers.indexOf('INTPTLONG')
+        };
+        
+        if (col.geoId === -1 || col.lat === -1 || col.lng === -1) {
+            throw new Error(`${level.label} centroid file is missing GEOID, INTPTLAT or INTPTLONG`);
+        }
         
-        return stateZips;
+        for (let i = 1; i < lines.length; i++) {
+            const cells = lines[i].split('\t').map(c => c.trim());
+            const geoId = cells[col.geoId];
+            if (!geoId || !ACSGeography.isValidId(level, geoId)) continue;
+            
+            const name = col.name !== -1 ? cells[col.name] : '';
+            this.addLevelRecord(records, level, geoId, cells[col.lat], cells[col.lng], {
+                name,
+                state: col.usps !== -1 ? cells[col.usps] : null,
+                county: level.id === 'county' ? name : ''
+            });
+        }
+        
+        return records;
+    }
+
+    /**
+     * Census centers of population (CenPop) files: comma-separated FIPS
+     * parts plus a population-weighted LATITUDE / LONGITUDE
+     */
+    parseCenPop(text, level) {
+        const records = new Map();
+        const lines = text.replace(/^\uFEFF/, '').split(/\r?\n/);
+        const headers = lines[0].split(',').map(h => h.trim().toUpperCase());
+        const parts = ['STATEFP', 'COUNTYFP', 'TRACTCE', 'BLKGRPCE']
+            .slice(0, level.idWidths.length)
+            .map(name => headers.indexOf(name));
+        const col = {
+            population: headers.indexOf('POPULATION'),
+            lat: headers.indexOf('LATITUDE'),
+            lng: headers.indexOf('LONGITUDE')
+        };
+        
+        if (parts.includes(-1) || col.lat === -1 || col.lng === -1) {
+            throw new Error(`${level.label} centroid file is missing FIPS, LATITUDE or LONGITUDE columns`);
+        }
+        
+        for (let i = 1; i < lines.length; i++) {
+            const cells = lines[i].split(',').map(c => c.trim());
+            if (cells.length < headers.length) continue;
+            
+            const geoId = ACSGeography.geoIdFromRow(level, cells, parts);
+            if (!ACSGeography.isValidId(level, geoId)) continue;
+            
+            this.addLevelRecord(records, level, geoId, cells[col.lat], cells[col.lng], {
+                population: col.population !== -1 ? cells[col.population] : null
+            });
+        }
+        
+        return records;
+    }
+
+    addLevelRecord(records, level, geoId, latText, lngText, extra = {}) {
+        const lat = parseFloat(latText);
+        const lng = parseFloat(lngText);
+        if (isNaN(lat) || isNaN(lng)) return;
+        
+        records.set(geoId, {
+            id: geoId,
+            lat,
+            lng,
+            city: extra.name || ACSGeography.describe(level, geoId),
+            state_id: extra.state || ACSGeography.STATE_FIPS[geoId.slice(0, 2)] || '',
+            county_name: extra.county || '',
+            population: extra.population ? parseInt(extra.population) : null
+        });
     }
 
     getStats() {
+        const levels = {};
+        this.levels.forEach((records, levelId) => {
+            levels[levelId] = records.size;
+        });
+        
         return {
             totalRecords: this.zips.size,
-            loaded: this.loaded
+            loaded: this.loaded,
+            levels,
+            reference: this.referenceReport?.counts || null,
+            crosswalk: this.crosswalkReport?.counts || null
         };
     }
 
     clear() {
         this.zips.clear();
+        this.levels = new Map([['zcta', this.zips]]);
         this.loaded = false;
+        this.referenceReport = null;
+        this.crosswalk = null;
+        this.zctas = null;
+        this.crosswalkReport = null;
     }
 }
 
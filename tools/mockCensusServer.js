@@ -0,0 +1,514 @@
+#!/usr/bin/env node
+// ============================================================================
+// MOCK CENSUS API SERVER - RECORDED FIXTURES & INJECTED FAILURES FOR DEV/QA
+// ============================================================================
+//
+// Stands in for api.census.gov so batching, proxy fallback and caching can be
+// exercised with no network. Plain Node, no dependencies:
+//
+//   node tools/mockCensusServer.js [--port 8787] [--seed 1]
+//        [--fault 429:0.2] [--fault timeout:0.05] [--no-synthesize]
+//        [--record --key YOUR_CENSUS_KEY]
+//
+// Then open http://localhost:8787/?fixtures=http://localhost:8787 (the app is
+// served from the repo root, so workers run too). It listens on 127.0.0.1 only
+// and never serves dot-paths such as .git/.
+//
+// Answers  GET /data/<vintage>/acs/acs5?get=NAME,...&for=zip code tabulation area:...
+//          GET /data/<vintage>/acs/acs5/variables.json
+// Control  GET|POST|DELETE /__mock/faults, GET /__mock/log
+
+const http = require('http');
+const https = require('https');
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.resolve(__dirname, '..');
+const FIXTURE_DIR = path.join(__dirname, 'fixtures');
+const ZCTA = 'zip code tabulation area';
+
+class MockCensusServer {
+    /**
+     * @param {Object} options - { port, seed, synthesize, record, apiKey, faults }
+     */
+    constructor(options = {}) {
+        this.port = options.port || 8787;
+        this.synthesize = options.synthesize !== false;
+        this.record = !!options.record;
+        this.apiKey = options.apiKey || '';
+        this.random = MockCensusServer.seededRandom(options.seed ?? 1);
+        this.faults = (options.faults || []).map(f => MockCensusServer.normalizeFault(f));
+        this.fixtures = new Map(); // vintage -> { headers, rows: Map(zcta -> { header: value }) }
+        this.log = [];
+        this.maxLog = 200;
+        this.server = null;
+    }
+
+    static get FAULT_TYPES() {
+        return ['timeout', '429', '500', '204', 'malformed'];
+    }
+
+    // The real API's limit on `get=` variables, NAME included
+    static get MAX_VARIABLES() {
+        return 50;
+    }
+
+    start() {
+        this.server = http.createServer((req, res) => {
+            this.handle(req, res).catch(error => {
+                console.error('Mock server error:', error);
+                this.send(res, 500, 'text/plain', `error: ${error.message}`);
+            });
+        });
+        return new Promise(resolve => {
+            this.server.listen(this.port, '127.0.0.1', () => {
+                console.log(`Mock Census API on http://localhost:${this.port} (app: http://localhost:${this.port}/?fixtures=http://localhost:${this.port})`);
+                resolve(this);
+            });
+        });
+    }
+
+    stop() {
+        return new Promise(resolve => (this.server ? this.server.close(() => resolve()) : resolve()));
+    }
+
+    // ============================================================================
+    // ROUTING
+    // ============================================================================
+
+    async handle(req, res) {
+        const url = new URL(req.url, `http://localhost:${this.port}`);
+
+        if (req.method === 'OPTIONS') {
+            this.send(res, 204, 'text/plain', '');
+            return;
+        }
+        if (url.pathname.startsWith('/__mock/')) {
+            await this.handleControl(req, res, url);
+            return;
+        }
+
+        const dataset = url.pathname.match(/^\/data\/(\d{4})\/acs\/acs5(\/.*)?$/);
+        if (!dataset) {
+            this.serveStatic(res, url.pathname);
+            return;
+        }
+
+        const vintage = dataset[1];
+        const rest = dataset[2] || '';
+        if (rest === '/variables.json') {
+            this.serveVariables(res, vintage);
+        } else if (/^\/variables\/[^/]+\.json$/.test(rest)) {
+            const name = rest.slice('/variables/'.length, -'.json'.length);
+            this.send(res, 200, 'application/json', JSON.stringify({ name, label: name === 'NAME' ? 'Geographic Area Name' : name }));
+        } else if (rest === '' || rest === '/') {
+            await this.serveQuery(req, res, url, vintage);
+        } else {
+            this.send(res, 404, 'text/plain', 'error: unknown dataset path');
+        }
+    }
+
+    async serveQuery(req, res, url, vintage) {
+        const variables = (url.searchParams.get('get') || '').split(',').filter(Boolean);
+        const forClause = url.searchParams.get('for') || '';
+        const zctas = forClause.startsWith(`${ZCTA}:`)
+            ? forClause.slice(ZCTA.length + 1).split(',').filter(Boolean)
+            : null;
+
+        const entry = { at: new Date().toISOString(), vintage, variables: variables.length, zctas: zctas ? zctas.length : 0, status: null, fault: null };
+        this.log.unshift(entry);
+        this.log.length = Math.min(this.log.length, this.maxLog);
+
+        const fault = this.takeFault(zctas || []);
+        if (fault) {
+            entry.fault = fault.type;
+            this.applyFault(res, fault, entry);
+            return;
+        }
+
+        if (!zctas) {
+            entry.status = 400;
+            this.send(res, 400, 'text/plain', 'error: the mock server only answers zip code tabulation area queries');
+            return;
+        }
+        if (variables.length > MockCensusServer.MAX_VARIABLES) {
+            entry.status = 400;
+            this.send(res, 400, 'text/plain', `error: You requested ${variables.length} variables. The maximum is ${MockCensusServer.MAX_VARIABLES}.`);
+            return;
+        }
+
+        let table = this.answer(vintage, variables, zctas);
+        if (this.record) {
+            table = await this.recordMissing(vintage, variables, zctas, table);
+        }
+
+        // Like the real API: no matching geographies is a 204 with no body
+        if (table.length <= 1) {
+            entry.status = 204;
+            this.send(res, 204, 'application/json', '');
+            return;
+        }
+
+        entry.status = 200;
+        this.send(res, 200, 'application/json', JSON.stringify(table));
+    }
+
+    // ============================================================================
+    // FIXTURES
+    // ============================================================================
+
+    /**
+     * Fixtures for a vintage: every tools/fixtures/<vintage>/*.json except
+     * variables.json, each { source, headers, rows } in Census table shape.
+     * The committed 2022 set (sample.json) covers a dozen ZCTAs with every
+     * default and metric-pack variable; --record adds recorded.json.
+     */
+    loadFixtures(vintage) {
+        if (this.fixtures.has(vintage)) return this.fixtures.get(vintage);
+
+        const fixture = { rows: new Map() };
+        const dir = path.join(FIXTURE_DIR, vintage);
+        if (fs.existsSync(dir)) {
+            fs.readdirSync(dir)
+                .filter(file => file.endsWith('.json') && file !== 'variables.json')
+                .forEach(file => {
+                    const json = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+                    MockCensusServer.mergeTable(fixture, json.headers, json.rows);
+                });
+        }
+
+        console.log(`Fixtures for ${vintage}: ${fixture.rows.size} ZCTAs`);
+        this.fixtures.set(vintage, fixture);
+        return fixture;
+    }
+
+    static mergeTable(fixture, headers, rows) {
+        const zctaIndex = headers.indexOf(ZCTA);
+        if (zctaIndex === -1) return;
+
+        rows.forEach(row => {
+            const zcta = row[zctaIndex];
+            const values = fixture.rows.get(zcta) || {};
+            headers.forEach((header, i) => { values[header] = row[i]; });
+            fixture.rows.set(zcta, values);
+        });
+    }
+
+    /**
+     * Census-shaped table for the requested variables and ZCTAs. Recorded
+     * values win; anything missing is synthesized unless that is disabled,
+     * in which case ZCTAs without a recording are left out.
+     */
+    answer(vintage, variables, zctas) {
+        const fixture = this.loadFixtures(vintage);
+        const table = [[...variables, ZCTA]];
+
+        zctas.forEach(zcta => {
+            const recorded = fixture.rows.get(zcta);
+            if (!recorded && !this.synthesize) return;
+
+            table.push([
+                ...variables.map(variable => {
+                    if (recorded && variable in recorded) return recorded[variable];
+                    return this.synthesize ? MockCensusServer.syntheticValue(variable, zcta) : null;
+                }),
+                zcta
+            ]);
+        });
+
+        return table;
+    }
+
+    /**
+     * Deterministic stand-in values: the same ZCTA and variable always give
+     * the same number. Table totals (_001) exceed the sum of their parts so
+     * shares stay under 100%; medians and averages get realistic ranges.
+     * An MOE is 5-20% of its own estimate, so synthetic data reads as
+     * mostly reliable.
+     */
+    static syntheticValue(variable, zcta) {
+        if (variable === 'NAME') return `ZCTA5 ${zcta}`;
+
+        const hash = MockCensusServer.hash(`${variable}|${zcta}`);
+        if (/M$/.test(variable)) {
+            const estimate = Number(MockCensusServer.syntheticValue(variable.replace(/M$/, 'E'), zcta));
+            const moe = estimate * (0.05 + (hash % 16) / 100);
+            return String(estimate < 10 && !Number.isInteger(estimate)
+                ? Math.max(0.01, Math.round(moe * 100) / 100)
+                : Math.max(1, Math.round(moe)));
+        }
+
+        const table = variable.split('_')[0];
+        const ranges = {
+            B19013: [20000, 250000],    // median household income
+            B25077: [60000, 1500000],   // median home value
+            B25010: [1.5, 4]            // average household size
+        };
+
+        let estimate;
+        if (ranges[table]) {
+            const [min, max] = ranges[table];
+            estimate = min + (hash % 10000) / 10000 * (max - min);
+            estimate = max < 10 ? Math.round(estimate * 100) / 100 : Math.round(estimate);
+        } else if (/_001E$/.test(variable)) {
+            estimate = 10000 + (hash % 20000);
+        } else {
+            estimate = hash % 500;
+        }
+
+        return String(estimate);
+    }
+
+    // FNV-1a
+    static hash(text) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193) >>> 0;
+        }
+        return hash;
+    }
+
+    serveVariables(res, vintage) {
+        const file = path.join(FIXTURE_DIR, vintage, 'variables.json');
+        if (!fs.existsSync(file)) {
+            this.send(res, 404, 'text/plain', `error: no recorded variables.json for ${vintage} (save one as tools/fixtures/${vintage}/variables.json)`);
+            return;
+        }
+        this.send(res, 200, 'application/json', fs.readFileSync(file));
+    }
+
+    /**
+     * --record: fetch ZCTAs with no recording from the real API and append
+     * them to tools/fixtures/<vintage>/recorded.json
+     */
+    async recordMissing(vintage, variables, zctas, table) {
+        const fixture = this.loadFixtures(vintage);
+        const missing = zctas.filter(zcta => {
+            const recorded = fixture.rows.get(zcta);
+            return !recorded || variables.some(v => !(v in recorded));
+        });
+        if (missing.length === 0) return table;
+
+        const url = `https://api.census.gov/data/${vintage}/acs/acs5?get=${variables.join(',')}&for=${encodeURIComponent(ZCTA)}:${missing.join(',')}${this.apiKey ? `&key=${this.apiKey}` : ''}`;
+        const body = await MockCensusServer.httpsGet(url);
+        if (!body) return table;
+
+        const [headers, ...rows] = JSON.parse(body);
+        MockCensusServer.mergeTable(fixture, headers, rows);
+
+        const file = path.join(FIXTURE_DIR, vintage, 'recorded.json');
+        const saved = fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : { source: 'api.census.gov', headers: [], rows: [] };
+        const merged = { rows: new Map() };
+        MockCensusServer.mergeTable(merged, saved.headers.length ? saved.headers : headers, saved.rows);
+        MockCensusServer.mergeTable(merged, headers, rows);
+        const allHeaders = Array.from(new Set([...merged.rows.values()].flatMap(values => Object.keys(values))));
+
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        fs.writeFileSync(file, JSON.stringify({
+            source: 'api.census.gov',
+            recordedAt: new Date().toISOString(),
+            headers: allHeaders,
+            rows: [...merged.rows.values()].map(values => allHeaders.map(h => values[h] ?? null))
+        }));
+        console.log(`Recorded ${rows.length} ZCTAs into ${path.relative(ROOT, file)}`);
+
+        return this.answer(vintage, variables, zctas);
+    }
+
+    static httpsGet(url) {
+        return new Promise((resolve, reject) => {
+            https.get(url, res => {
+                let body = '';
+                res.on('data', chunk => { body += chunk; });
+                res.on('end', () => {
+                    if (res.statusCode === 204) resolve(null);
+                    else if (res.statusCode !== 200) reject(new Error(`Census API ${res.statusCode}: ${body.slice(0, 200)}`));
+                    else resolve(body);
+                });
+            }).on('error', reject);
+        });
+    }
+
+    // ============================================================================
+    // FAULT INJECTION
+    // ============================================================================
+
+    /**
+     * A fault fires on a matching request with probability `rate`, at most
+     * `count` times (null = unlimited). `zips` limits it to requests that
+     * include one of those ZCTAs, e.g. to make one batch fail every time.
+     */
+    static normalizeFault(def) {
+        if (typeof def === 'string') {
+            const [type, rate] = def.split(':');
+            def = { type, rate: rate === undefined ? 1 : parseFloat(rate) };
+        }
+        const type = String(def.type);
+        if (!MockCensusServer.FAULT_TYPES.includes(type)) {
+            throw new Error(`Unknown fault "${type}" (use ${MockCensusServer.FAULT_TYPES.join(', ')})`);
+        }
+
+        return {
+            type,
+            rate: Math.min(1, Math.max(0, def.rate ?? 1)),
+            count: def.count ?? null,
+            zips: Array.isArray(def.zips) ? def.zips.map(String) : null,
+            retryAfter: def.retryAfter ?? 1,
+            delayMs: def.delayMs ?? 60000
+        };
+    }
+
+    takeFault(zctas) {
+        for (const fault of this.faults) {
+            if (fault.count === 0) continue;
+            if (fault.zips && !zctas.some(zcta => fault.zips.includes(zcta))) continue;
+            if (this.random() >= fault.rate) continue;
+
+            if (fault.count !== null) fault.count--;
+            return fault;
+        }
+        return null;
+    }
+
+    applyFault(res, fault, entry) {
+        switch (fault.type) {
+            case 'timeout':
+                // Hold the request past the client's 30s timeout, then drop it
+                entry.status = 'timeout';
+                setTimeout(() => res.destroy(), fault.delayMs);
+                break;
+            case '429':
+                entry.status = 429;
+                this.send(res, 429, 'text/plain', 'error: rate limit exceeded', { 'Retry-After': String(fault.retryAfter) });
+                break;
+            case '500':
+                entry.status = 500;
+                this.send(res, 500, 'text/plain', 'error: internal server error');
+                break;
+            case '204':
+                entry.status = 204;
+                this.send(res, 204, 'application/json', '');
+                break;
+            case 'malformed':
+                entry.status = 200;
+                this.send(res, 200, 'application/json', '[["NAME","B19013_001E","zip code tabulation area"],["ZCTA5 ');
+                break;
+        }
+    }
+
+    async handleControl(req, res, url) {
+        if (url.pathname === '/__mock/log') {
+            this.send(res, 200, 'application/json', JSON.stringify(this.log));
+            return;
+        }
+        if (url.pathname !== '/__mock/faults') {
+            this.send(res, 404, 'text/plain', 'unknown control endpoint');
+            return;
+        }
+
+        if (req.method === 'POST') {
+            try {
+                const body = JSON.parse(await MockCensusServer.readBody(req) || '{}');
+                (Array.isArray(body) ? body : [body]).forEach(def => this.faults.push(MockCensusServer.normalizeFault(def)));
+            } catch (error) {
+                this.send(res, 400, 'text/plain', error.message);
+                return;
+            }
+        } else if (req.method === 'DELETE') {
+            this.faults = [];
+        }
+        this.send(res, 200, 'application/json', JSON.stringify(this.faults));
+    }
+
+    static readBody(req) {
+        return new Promise((resolve, reject) => {
+            let body = '';
+            req.on('data', chunk => { body += chunk; });
+            req.on('end', () => resolve(body));
+            req.on('error', reject);
+        });
+    }
+
+    // Reproducible fault sequences for a given --seed (mulberry32)
+    static seededRandom(seed) {
+        let state = seed >>> 0;
+        return () => {
+            state = (state + 0x6d2b79f5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    // ============================================================================
+    // STATIC FILES & RESPONSES
+    // ============================================================================
+
+    serveStatic(res, pathname) {
+        let decoded;
+        try {
+            decoded = decodeURIComponent(pathname === '/' ? '/index.html' : pathname);
+        } catch (e) {
+            this.send(res, 400, 'text/plain', 'Malformed URL');
+            return;
+        }
+
+        // .git/, .env and other dot-paths stay private
+        if (decoded.split(/[\\/]/).some(segment => segment.startsWith('.'))) {
+            this.send(res, 404, 'text/plain', 'Not found');
+            return;
+        }
+
+        const file = path.normalize(path.join(ROOT, decoded));
+        if (!file.startsWith(ROOT + path.sep) || !fs.existsSync(file) || !fs.statSync(file).isFile()) {
+            this.send(res, 404, 'text/plain', 'Not found');
+            return;
+        }
+
+        const types = {
+            '.html': 'text/html', '.js': 'text/javascript', '.css': 'text/css', '.json': 'application/json',
+            '.txt': 'text/plain', '.ico': 'image/x-icon', '.png': 'image/png', '.gz': 'application/gzip'
+        };
+        this.send(res, 200, types[path.extname(file)] || 'application/octet-stream', fs.readFileSync(file));
+    }
+
+    send(res, status, type, body, headers = {}) {
+        res.writeHead(status, {
+            'Content-Type': type,
+            'Access-Control-Allow-Origin': '*',
+            'Access-Control-Allow-Headers': '*',
+            'Access-Control-Allow-Methods': 'GET, POST, DELETE, OPTIONS',
+            'Access-Control-Expose-Headers': 'Retry-After',
+            ...headers
+        });
+        res.end(body);
+    }
+
+    static parseArgs(argv) {
+        const options = { faults: [] };
+        for (let i = 0; i < argv.length; i++) {
+            const arg = argv[i];
+            if (arg === '--port') options.port = parseInt(argv[++i], 10);
+            else if (arg === '--seed') options.seed = parseInt(argv[++i], 10);
+            else if (arg === '--fault') options.faults.push(argv[++i]);
+            else if (arg === '--no-synthesize') options.synthesize = false;
+            else if (arg === '--record') options.record = true;
+            else if (arg === '--key') options.apiKey = argv[++i];
+            else throw new Error(`Unknown option ${arg}`);
+        }
+        return options;
+    }
+}
+
+if (require.main === module) {
+    try {
+        new MockCensusServer(MockCensusServer.parseArgs(process.argv.slice(2))).start();
+    } catch (error) {
+        console.error(error.message);
+        process.exit(1);
+    }
+}
+
+module.exports = MockCensusServer;